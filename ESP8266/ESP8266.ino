@@ -2,8 +2,7 @@
 #include <ESP8266WebServer.h>
 #include <EEPROM.h>
 #include <FirebaseESP8266.h>
-#include <NTPClient.h>
-#include <WiFiUdp.h>
+#include <time.h>
 
 // ======= Web Server =======
 ESP8266WebServer server(80);
@@ -13,11 +12,31 @@ const int ssidAddr = 0;
 const int passAddr = 50;
 const int maxSsidLen = 32;
 const int maxPassLen = 64;
+const int tzAddr = 120;
+const int maxTzLen = 48;
 
 String currentSSID = "";
 String currentStatus = "Disconnected";
 bool isConnected = false;
 
+// ======= Device Identity =======
+// Every controller publishes under /Devices/<deviceId>/ so several PAWS boxes
+// can share one Firebase project without overwriting each other.
+String deviceId = "";
+String deviceRoot = "";
+
+// ======= Pairing =======
+// While no account owns this controller it publishes a short code at
+// /Pairing/<code>. The app claims the code and writes <deviceRoot>/owner.
+const char pairingAlphabet[] = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const int pairingCodeLength = 6;
+const unsigned long pairingCodeTTL = 600000;      // 10 minutes, matches the app
+const unsigned long pairingCheckInterval = 10000; // 10 seconds
+String pairingCode = "";
+unsigned long pairingCodeCreatedAt = 0;
+unsigned long lastPairingCheck = 0;
+bool isPaired = false;
+
 // ======= Firebase =======
 FirebaseData fbdo;
 FirebaseAuth auth;
@@ -41,48 +60,148 @@ bool relayStates[4] = {false, false, false, false};  // false = OFF, true = ON
 unsigned long lastFirebaseUpdate = 0;
 const unsigned long firebaseInterval = 3000; // 3 seconds
 
+// ======= Moisture History =======
+// One reading per sensor is pushed to <deviceRoot>/History/SensorN as
+// { value, timestamp } every historyInterval, whether or not the app is open.
+// The app only reads it (history list and trend chart). Readings older than
+// historyRetentionDays - the app's longest trend window - are trimmed hourly.
+const unsigned long historyInterval = 300000; // 5 minutes
+unsigned long lastHistoryPush = 0;
+bool historyPushed = false;
+const long historyRetentionDays = 30;
+const int historyPruneBatch = 50;  // per sensor and pass, well above the 12 pushed an hour
+const unsigned long historyPruneInterval = 3600000; // 1 hour
+unsigned long lastHistoryPrune = 0;
+
 // ======= Manual Pump Timer =======
 unsigned long manualPumpStartTimes[4] = {0, 0, 0, 0};
-const unsigned long manualPumpDuration = 5000; // 5 seconds in milliseconds
+// Manual runs last durationSec from the command (or the web page's seconds arg)
+const int defaultManualSeconds = 5;    // commands that don't say, and the web page's toggle
+const int maxManualSeconds = 300;      // same limit as the app
+unsigned long manualPumpDurations[4] = {0, 0, 0, 0}; // milliseconds
 bool manualPumpActive[4] = {false, false, false, false};
 
-// ======= NTP Client for Scheduling =======
-WiFiUDP ntpUDP;
-NTPClient timeClient(ntpUDP, "pool.ntp.org", 19800, 60000); // UTC+5:30 for India
+// Seconds left on each pump's current run, last value sent to PumpRemaining{n}
+// (-2 = nothing sent yet, so the first cycle clears a stale value)
+long lastRemainingSent[4] = {-2, -2, -2, -2};
+
+// ======= Clock and Timezone =======
+// Schedules run on the timezone the app stores at <deviceRoot>/Config as a
+// POSIX TZ rule, so DST is handled by localtime(). The last rule is kept in
+// EEPROM for boots without Firebase.
+const char* ntpServer = "pool.ntp.org";
+const char* defaultTimezone = "IST-5:30"; // Asia/Kolkata, the original fixed offset
+String timezoneName = "";           // IANA name from the app, for logs and /status
+String timezonePosix = "";
 
 // ======= Auto Mode Structure =======
+// Auto mode waters between two moisture percentages: a run starts below
+// startBelow and stops at stopAt (the gap keeps the pump from flapping around
+// one value). A run also stops after maxRunMinutes, and a new one waits
+// minIntervalMinutes after the last ended so the water can soak in.
+// These compare moistureLevels, not the raw readings dryThreshold uses; the
+// app converts between the two scales in moistureScale.js.
+const int defaultAutoStartBelow = 30;    // %, the original fixed cutoff
+const int defaultAutoStopAt = 40;        // %
+const int defaultAutoMinInterval = 30;   // minutes
+const int defaultAutoMaxRun = 10;        // minutes
+
 struct AutoMode {
   bool enabled;
   String lastUpdated;
+  int startBelow;
+  int stopAt;
+  int minIntervalMinutes;
+  int maxRunMinutes;
+  bool running;              // the pump is on because auto mode started it
+  unsigned long lastRunEnded; // millis(), 0 = no run since boot
 };
 
 AutoMode autoModes[4] = {
-  {false, ""},
-  {false, ""},
-  {false, ""},
-  {false, ""}
+  {false, "", defaultAutoStartBelow, defaultAutoStopAt, defaultAutoMinInterval, defaultAutoMaxRun, false, 0},
+  {false, "", defaultAutoStartBelow, defaultAutoStopAt, defaultAutoMinInterval, defaultAutoMaxRun, false, 0},
+  {false, "", defaultAutoStartBelow, defaultAutoStopAt, defaultAutoMinInterval, defaultAutoMaxRun, false, 0},
+  {false, "", defaultAutoStartBelow, defaultAutoStopAt, defaultAutoMinInterval, defaultAutoMaxRun, false, 0}
+};
+
+// ======= Schedule Rules =======
+// Mirrors the rule model in the app's scheduleRules.js - keep the two in step.
+enum RuleType {
+  RULE_WEEKLY,        // hour:minute on the selected days
+  RULE_EVERY_N_DAYS,  // hour:minute every intervalDays, counted from startDay
+  RULE_EVERY_N_HOURS, // every intervalHours from windowStart to windowEnd on the selected days
+  RULE_SOLAR          // sunrise/sunset + offsetMinutes on the selected days
+};
+
+// What a rule does when the soil already reads below the Dry threshold
+enum MoistureGate {
+  GATE_OFF,     // water anyway
+  GATE_SKIP,    // skip the run
+  GATE_SHORTEN  // run shortenPercent of the duration
 };
 
-// ======= Updated Schedule Structure =======
 struct Schedule {
-  int hour;        // 24-hour format
+  int type;          // RuleType
+  int hour;          // 24-hour format
   int minute;
-  int duration;    // in minutes
+  int duration;      // in minutes
   bool enabled;
-  int daysOfWeek; // bitmask: 0=Sun, 1=Mon, ..., 6=Sat
+  int daysOfWeek;    // bitmask: 0=Sun, 1=Mon, ..., 6=Sat
+  int intervalDays;
+  long startDay;     // days since 1970-01-01 (local calendar)
+  int intervalHours;
+  int windowStart;   // hours, inclusive
+  int windowEnd;
+  bool sunset;       // solar rules: false = sunrise
+  int offsetMinutes;
+  float latitude;
+  float longitude;
+  int seasonStart;   // MMDD, 0 = all year
+  int seasonEnd;
+  int moistureGate;  // MoistureGate
+  int shortenPercent;
 };
 
-Schedule schedules[4][3] = {
-  {{0, 0, 0, false, 0}, {0, 0, 0, false, 0}, {0, 0, 0, false, 0}},
-  {{0, 0, 0, false, 0}, {0, 0, 0, false, 0}, {0, 0, 0, false, 0}},
-  {{0, 0, 0, false, 0}, {0, 0, 0, false, 0}, {0, 0, 0, false, 0}},
-  {{0, 0, 0, false, 0}, {0, 0, 0, false, 0}, {0, 0, 0, false, 0}}
-};
+const int maxRulesPerSensor = 12; // same limit as the app
+Schedule schedules[4][maxRulesPerSensor];
+int ruleCounts[4] = {0, 0, 0, 0};
+
+// Raw readings at or above this are Dry (higher = drier). The app saves the
+// plant's threshold next to its rules; 800 is the app's default.
+const int defaultDryThreshold = 800;
+int dryThresholds[4] = {defaultDryThreshold, defaultDryThreshold, defaultDryThreshold, defaultDryThreshold};
 
 unsigned long pumpStartTimes[4] = {0, 0, 0, 0};
 int currentPumpDurations[4] = {0, 0, 0, 0};
 bool activePumps[4] = {false, false, false, false};
 
+// ======= Schedule Engine =======
+// The controller is the only scheduling authority. Every schedule revision it
+// loads is acknowledged under ScheduleAck/SensorN, and every run is logged
+// under ScheduleRuns/SensorN so the app can show what actually ran and when.
+const int defaultScheduleDuration = 5; // minutes, used when a rule has no valid duration
+const int maxScheduleDuration = 60;    // minutes, same limit as the app
+String loadedScheduleVersions[4] = {"", "", "", ""};
+
+// ======= Watering Log =======
+// Every pump run, whatever started it, goes under WateringLog/SensorN: pushed
+// when the relay switches on, completed when it switches off.
+String wateringLogKeys[4] = {"", "", "", ""};
+unsigned long wateringStartedAt[4] = {0, 0, 0, 0}; // millis(), 0 = no run open
+
+// ======= Reservoir =======
+// Same estimate as the app's waterUsage.js: every finished run adds durationSec *
+// flowRate to Reservoir/usedMl, which the app resets when the tank is refilled.
+// Once usedMl reaches capacityMl no pump starts until a refill, and a running
+// pump stops as soon as its run would drain what was left.
+const float defaultFlowRate = 25.0; // ml per second, same default as the app
+float pumpFlowRates[4] = {defaultFlowRate, defaultFlowRate, defaultFlowRate, defaultFlowRate};
+long reservoirCapacityMl = 0; // 0 = no tank set up, never blocks
+float reservoirUsedMl = 0;
+const String tankEmptyReason = "Water tank empty";
+String activeRunKeys[4] = {"", "", "", ""};
+int lastCheckedMinute = -1;
+
 // ======= Function Declarations =======
 void connectToWiFi(String ssid, String password);
 void disconnectFromWiFi();
@@ -93,14 +212,41 @@ void clearEEPROM();
 void sendToFirebase(int sensorValues[], bool pumpStates[]);
 void checkSchedules();
 void updateSchedulesFromFirebase();
+int applyScheduleRules(int sensor, FirebaseJson &json, String arrayPath);
+bool ruleRunsAt(const Schedule &rule, long dayNumber, int dayOfWeek, int monthDay, int dayOfYear, int minuteOfDay);
+int sunEventMinutes(int dayOfYear, float latitude, float longitude, bool sunset, int utcOffset);
+bool getLocalClock(struct tm &local);
+int currentUtcOffsetMinutes();
+void startClock();
+void updateTimezoneFromFirebase();
+long daysFromCivil(int year, int month, int day);
+void civilFromDays(long days, int &year, int &month, int &day);
+void acknowledgeSchedules(int sensor, String version, int ruleCount);
+void startScheduleRun(int sensor, int rule, int minuteOfDay, int runMinutes, String status, String reason);
+void finishScheduleRun(int sensor, String outcome);
 void handleScheduleUpdate();
-void togglePump(int pumpIndex, bool state);
+void togglePump(int pumpIndex, bool state, String detail = "");
+void openWateringLog(int pumpIndex, String source);
+void closeWateringLog(int pumpIndex, String reason);
+void updateReservoirFromFirebase();
+void readReservoir();
+void addReservoirUsage(int pumpIndex, int seconds);
+bool reservoirEmpty();
+bool runDrainsReservoir(int pumpIndex);
 void checkPumpCommands();
+void startManualPump(int pumpIndex, int seconds, String source);
+void acknowledgePumpCommand(int sensor, String commandId, String status, String reason);
+long pumpSecondsRemaining(int pumpIndex);
 void initializePumpControlStructure();
 void checkManualPumpTimers();
 void checkScheduledPumpTimers();
 void checkAutoModeStatus();
+void runAutoMode(int sensor, unsigned long now);
 void initializeAutoModeStructure();
+void checkPairing();
+void publishPairingCode();
+void pushMoistureHistory();
+bool pruneMoistureHistory();
 
 // Web Server Handlers
 void handleRoot();
@@ -116,6 +262,11 @@ void setup() {
   EEPROM.begin(512);
   delay(10);
 
+  deviceId = "PAWS-" + String(ESP.getChipId());
+  deviceRoot = "/Devices/" + deviceId;
+  Serial.println("Device ID: " + deviceId);
+  randomSeed(RANDOM_REG32);
+
   // Initialize sensor pins as INPUT
   Serial.println("Initializing sensor pins:");
   for (int i = 0; i < 4; i++) {
@@ -138,6 +289,11 @@ void setup() {
     Serial.println(" - INITIALIZED (HIGH)");
   }
 
+  timezonePosix = readEEPROM(tzAddr, maxTzLen);
+  if (timezonePosix.length() == 0) {
+    timezonePosix = defaultTimezone;
+  }
+
   String storedSSID = readEEPROM(ssidAddr, maxSsidLen);
   String storedPass = readEEPROM(passAddr, maxPassLen);
 
@@ -165,22 +321,22 @@ void setup() {
 
   // Initialize Firebase if connected to WiFi
   if (isConnected && WiFi.status() == WL_CONNECTED) {
-    timeClient.begin();
-    timeClient.setTimeOffset(19800); // UTC+5:30
+    startClock();
     
     Firebase.reconnectWiFi(true);
     fbdo.setBSSLBufferSize(1024, 1024);
-    fbdo.setResponseSize(1024);
+    fbdo.setResponseSize(4096); // room for a full set of schedule rules
     
     Firebase.begin(&config, &auth);
     Firebase.setDoubleDigits(5);
     
     Serial.println("Firebase initialized successfully");
     
-    // Initialize PumpControl and AutoMode structures
+    // Nothing is written until an account owns the controller; checkPairing
+    // creates the PumpControl and AutoMode structures once it does
     delay(2000);
-    initializePumpControlStructure();
-    initializeAutoModeStructure();
+    lastPairingCheck = millis();
+    checkPairing();
     
     // LOAD SCHEDULES ON STARTUP
     delay(3000);
@@ -237,27 +393,17 @@ void loop() {
 
       // AUTO MODE (MODE 3): Only control if auto mode is enabled AND not manually controlled AND not scheduled
       for (int i = 0; i < 4; i++) {
+        // Manual and scheduled runs take the pump over from auto mode
+        if (autoModes[i].running && (manualPumpActive[i] || activePumps[i])) {
+          autoModes[i].running = false;
+          autoModes[i].lastRunEnded = now;
+        }
+
         // Check if pump is free for auto mode (auto mode enabled, not manual, and not scheduled)
         bool pumpIsFree = autoModes[i].enabled && !manualPumpActive[i] && !activePumps[i];
         
-        if (pumpIsFree) {
-          if (moistureLevels[i] < 30 && !relayStates[i]) {
-            // Soil is dry - turn pump ON
-            togglePump(i, true);
-            Serial.print("AUTO MODE: Pump ");
-            Serial.print(i + 1);
-            Serial.print(" (GPIO");
-            Serial.print(relayPins[i]);
-            Serial.println(") turned ON - Soil is dry");
-          } else if (moistureLevels[i] >= 30 && relayStates[i]) {
-            // Soil is wet enough - turn pump OFF
-            togglePump(i, false);
-            Serial.print("AUTO MODE: Pump ");
-            Serial.print(i + 1);
-            Serial.print(" (GPIO");
-            Serial.print(relayPins[i]);
-            Serial.println(") turned OFF - Soil is moist");
-          }
+        if (pumpIsFree || autoModes[i].running) {
+          runAutoMode(i, now);
         } else {
           // Print mode status
           if (!autoModes[i].enabled) {
@@ -276,33 +422,123 @@ void loop() {
         }
       }
 
-      // Send sensor data to Firebase and check for manual commands
-      if (Firebase.ready()) {
+      // Send sensor data to Firebase and check for manual commands. The database
+      // secret gets past the security rules, so the controller itself keeps quiet
+      // until an account has claimed it (see checkPairing).
+      if (Firebase.ready() && !isPaired) {
+        Serial.println("Not paired yet - skipping update");
+      } else if (Firebase.ready()) {
         sendToFirebase(sensorValues, relayStates);
         checkPumpCommands(); // Check for manual pump commands (MANUAL MODE)
+
+        if (!historyPushed || now - lastHistoryPush > historyInterval) {
+          pushMoistureHistory();
+          lastHistoryPush = now;
+          historyPushed = true;
+        }
+
+        if (lastHistoryPrune == 0 || now - lastHistoryPrune > historyPruneInterval) {
+          if (pruneMoistureHistory()) lastHistoryPrune = now;
+        }
       } else {
         Serial.println("Firebase not ready - skipping update");
       }
     }
 
-    // Check schedules every minute (SCHEDULE MODE - MODE 2)
+    // Poll ownership and keep a fresh pairing code while unpaired
+    if (now - lastPairingCheck > pairingCheckInterval) {
+      lastPairingCheck = now;
+      if (Firebase.ready()) {
+        checkPairing();
+      }
+    }
+
+    // Check schedules once per clock minute (SCHEDULE MODE - MODE 2).
+    // Polling every few seconds keeps a slow loop from skipping a minute.
     static unsigned long lastScheduleCheck = 0;
-    if (millis() - lastScheduleCheck > 60000) {
+    if (millis() - lastScheduleCheck > 5000) {
       lastScheduleCheck = millis();
-      checkSchedules();
-      
-      // Update schedules from Firebase every 5 minutes
-      static unsigned long lastScheduleUpdate = 0;
-      if (millis() - lastScheduleUpdate > 300000) {
-        lastScheduleUpdate = millis();
-        updateSchedulesFromFirebase();
+      struct tm local;
+      int minuteOfWeek = getLocalClock(local) ? (local.tm_wday * 24 + local.tm_hour) * 60 + local.tm_min : -1;
+      if (minuteOfWeek >= 0 && minuteOfWeek != lastCheckedMinute) {
+        lastCheckedMinute = minuteOfWeek;
+        checkSchedules();
       }
     }
+
+    // Pick up schedule changes from Firebase every minute
+    static unsigned long lastScheduleUpdate = 0;
+    if (millis() - lastScheduleUpdate > 60000) {
+      lastScheduleUpdate = millis();
+      updateSchedulesFromFirebase();
+    }
   } else {
     lastFirebaseUpdate = millis();
   }
 }
 
+// ======= Pairing Functions =======
+void checkPairing() {
+  String ownerPath = deviceRoot + "/owner";
+  bool hasOwner = false;
+
+  if (Firebase.getString(fbdo, ownerPath)) {
+    hasOwner = fbdo.stringData().length() > 0;
+  } else if (fbdo.httpCode() != FIREBASE_ERROR_PATH_NOT_EXIST) {
+    // Network error - keep the current state rather than issuing a new code
+    Serial.print("Failed to read owner: ");
+    Serial.println(fbdo.errorReason());
+    return;
+  }
+
+  if (hasOwner) {
+    if (!isPaired) {
+      isPaired = true;
+      if (pairingCode.length() > 0) {
+        Firebase.deleteNode(fbdo, "/Pairing/" + pairingCode);
+        pairingCode = "";
+      }
+      Serial.println("Controller paired with an account");
+      initializePumpControlStructure();
+      initializeAutoModeStructure();
+    }
+    return;
+  }
+
+  if (isPaired) {
+    Serial.println("Controller was unpaired");
+    isPaired = false;
+  }
+
+  if (pairingCode.length() == 0 || millis() - pairingCodeCreatedAt > pairingCodeTTL) {
+    publishPairingCode();
+  }
+}
+
+void publishPairingCode() {
+  if (pairingCode.length() > 0) {
+    Firebase.deleteNode(fbdo, "/Pairing/" + pairingCode);
+  }
+
+  String code = "";
+  for (int i = 0; i < pairingCodeLength; i++) {
+    code += pairingAlphabet[random(sizeof(pairingAlphabet) - 1)];
+  }
+
+  FirebaseJson json;
+  json.set("deviceId", deviceId);
+  json.set("createdAt/.sv", "timestamp");
+
+  if (Firebase.setJSON(fbdo, "/Pairing/" + code, json)) {
+    pairingCode = code;
+    pairingCodeCreatedAt = millis();
+    Serial.println("Pairing code: " + pairingCode);
+  } else {
+    Serial.print("Failed to publish pairing code: ");
+    Serial.println(fbdo.errorReason());
+  }
+}
+
 // ======= Auto Mode Functions =======
 void checkAutoModeStatus() {
   if (!Firebase.ready()) {
@@ -310,10 +546,13 @@ void checkAutoModeStatus() {
   }
   
   for (int i = 0; i < 4; i++) {
-    String path = "/AutoMode/Sensor" + String(i + 1) + "/enabled";
+    String path = deviceRoot + "/AutoMode/Sensor" + String(i + 1);
     
-    if (Firebase.getBool(fbdo, path)) {
-      bool newAutoMode = fbdo.boolData();
+    if (Firebase.getJSON(fbdo, path)) {
+      FirebaseJson json;
+      FirebaseJsonData result;
+      json.setJsonData(fbdo.jsonString());
+      bool newAutoMode = json.get(result, "enabled") ? result.boolValue : false;
       
       // Only update if changed
       if (autoModes[i].enabled != newAutoMode) {
@@ -323,6 +562,23 @@ void checkAutoModeStatus() {
         Serial.print(": ");
         Serial.println(newAutoMode ? "ENABLED" : "DISABLED");
       }
+
+      // Thresholds written before they were configurable fall back to the defaults
+      int startBelow = json.get(result, "startBelow") ? result.intValue : defaultAutoStartBelow;
+      int stopAt = json.get(result, "stopAt") ? result.intValue : defaultAutoStopAt;
+      if (startBelow < 1 || stopAt > 100 || stopAt <= startBelow) {
+        startBelow = defaultAutoStartBelow;
+        stopAt = defaultAutoStopAt;
+      }
+      int minInterval = json.get(result, "minIntervalMinutes") ? result.intValue : defaultAutoMinInterval;
+      if (minInterval < 0 || minInterval > 1440) minInterval = defaultAutoMinInterval;
+      int maxRun = json.get(result, "maxRunMinutes") ? result.intValue : defaultAutoMaxRun;
+      if (maxRun < 1 || maxRun > maxScheduleDuration) maxRun = defaultAutoMaxRun;
+
+      autoModes[i].startBelow = startBelow;
+      autoModes[i].stopAt = stopAt;
+      autoModes[i].minIntervalMinutes = minInterval;
+      autoModes[i].maxRunMinutes = maxRun;
     } else {
       Serial.print("Failed to read AutoMode for Sensor");
       Serial.print(i + 1);
@@ -332,6 +588,65 @@ void checkAutoModeStatus() {
   }
 }
 
+// Starts and stops a sensor's pump between its auto mode thresholds
+void runAutoMode(int sensor, unsigned long now) {
+  AutoMode &mode = autoModes[sensor];
+
+  if (mode.running) {
+    String reason = "";
+    if (!mode.enabled) {
+      reason = "Auto mode switched off";
+    } else if (moistureLevels[sensor] >= mode.stopAt) {
+      reason = "Soil is moist";
+    } else if (now - pumpStartTimes[sensor] >= (unsigned long)mode.maxRunMinutes * 60000UL) {
+      reason = "Maximum run time reached";
+    } else if (runDrainsReservoir(sensor)) {
+      reason = tankEmptyReason;
+    }
+
+    if (reason.length() > 0) {
+      togglePump(sensor, false, reason);
+      mode.running = false;
+      mode.lastRunEnded = now;
+      Serial.print("AUTO MODE: Pump ");
+      Serial.print(sensor + 1);
+      Serial.print(" (GPIO");
+      Serial.print(relayPins[sensor]);
+      Serial.println(") turned OFF - " + reason);
+    }
+    return;
+  }
+
+  if (relayStates[sensor] || moistureLevels[sensor] >= mode.startBelow) {
+    return;
+  }
+
+  if (reservoirEmpty()) {
+    Serial.print("AUTO MODE: Pump ");
+    Serial.print(sensor + 1);
+    Serial.println(" not started - " + tankEmptyReason);
+    return;
+  }
+
+  unsigned long restMs = (unsigned long)mode.minIntervalMinutes * 60000UL;
+  if (mode.lastRunEnded != 0 && now - mode.lastRunEnded < restMs) {
+    Serial.print("AUTO MODE: Pump ");
+    Serial.print(sensor + 1);
+    Serial.print(" waiting ");
+    Serial.print((restMs - (now - mode.lastRunEnded)) / 1000);
+    Serial.println("s before the next run");
+    return;
+  }
+
+  togglePump(sensor, true, "auto");
+  mode.running = true;
+  Serial.print("AUTO MODE: Pump ");
+  Serial.print(sensor + 1);
+  Serial.print(" (GPIO");
+  Serial.print(relayPins[sensor]);
+  Serial.println(") turned ON - Soil is dry");
+}
+
 void initializeAutoModeStructure() {
   if (!Firebase.ready()) {
     Serial.println("Firebase not ready - cannot initialize AutoMode");
@@ -341,11 +656,11 @@ void initializeAutoModeStructure() {
   Serial.println("Initializing AutoMode structure...");
   
   for (int i = 1; i <= 4; i++) {
-    String path = "/AutoMode/Sensor" + String(i) + "/enabled";
+    String path = deviceRoot + "/AutoMode/Sensor" + String(i) + "/enabled";
     
     // Check if it already exists
-    if (Firebase.getBool(fbdo, "/AutoMode/Sensor" + String(i) + "/enabled")) {
-      Serial.println("AutoMode/Sensor" + String(i) + " already exists");
+    if (Firebase.getBool(fbdo, path)) {
+      Serial.println(path + " already exists");
     } else {
       // Create it if it doesn't exist
       if (Firebase.setBool(fbdo, path, false)) {
@@ -367,21 +682,23 @@ void checkManualPumpTimers() {
   
   for (int i = 0; i < 4; i++) {
     if (manualPumpActive[i]) {
-      if (currentTime - manualPumpStartTimes[i] >= manualPumpDuration) {
-        // 5 seconds have passed, turn off the pump
-        togglePump(i, false);
+      if (runDrainsReservoir(i)) {
+        togglePump(i, false, tankEmptyReason);
+        manualPumpActive[i] = false;
+        Serial.print("MANUAL MODE: Pump ");
+        Serial.print(i + 1);
+        Serial.println(" stopped - " + tankEmptyReason);
+      } else if (currentTime - manualPumpStartTimes[i] >= manualPumpDurations[i]) {
+        // The requested time has passed, turn off the pump
+        togglePump(i, false, "Requested time finished");
         manualPumpActive[i] = false;
         Serial.print("MANUAL MODE: Pump ");
         Serial.print(i + 1);
         Serial.print(" (GPIO");
         Serial.print(relayPins[i]);
-        Serial.println(") turned off after 5 seconds");
-        
-        // Update Firebase command status
-        if (Firebase.ready()) {
-          String commandPath = "/PumpControl/Sensor" + String(i + 1) + "/command";
-          Firebase.setString(fbdo, commandPath, "PROCESSED");
-        }
+        Serial.print(") turned off after ");
+        Serial.print(manualPumpDurations[i] / 1000);
+        Serial.println(" seconds");
       }
     }
   }
@@ -393,10 +710,21 @@ void checkScheduledPumpTimers() {
   
   for (int i = 0; i < 4; i++) {
     if (activePumps[i] && !manualPumpActive[i]) { // Only check scheduled pumps, not manual ones
+      if (runDrainsReservoir(i)) {
+        togglePump(i, false, tankEmptyReason);
+        activePumps[i] = false;
+        finishScheduleRun(i, "stopped");
+        Serial.print("SCHEDULE MODE: Pump ");
+        Serial.print(i + 1);
+        Serial.println(" stopped - " + tankEmptyReason);
+        continue;
+      }
+
       unsigned long elapsed = (currentTime - pumpStartTimes[i]) / 60000; // minutes
       if (elapsed >= currentPumpDurations[i]) {
-        togglePump(i, false);
+        togglePump(i, false, "Schedule duration finished");
         activePumps[i] = false;
+        finishScheduleRun(i, "completed");
         Serial.print("SCHEDULE MODE: Pump ");
         Serial.print(i + 1);
         Serial.print(" (GPIO");
@@ -410,11 +738,19 @@ void checkScheduledPumpTimers() {
 }
 
 // ======= Pump Control Function =======
-void togglePump(int pumpIndex, bool state) {
+// detail goes to the watering log: what started the run when switching on
+// ("manual", "web", "schedule" or "auto"), why it ended when switching off
+void togglePump(int pumpIndex, bool state, String detail) {
   if (pumpIndex < 0 || pumpIndex >= 4) return;
   
   digitalWrite(relayPins[pumpIndex], state ? LOW : HIGH);
   relayStates[pumpIndex] = state;
+
+  if (state) {
+    openWateringLog(pumpIndex, detail.length() > 0 ? detail : "manual");
+  } else {
+    closeWateringLog(pumpIndex, detail);
+  }
   
   if (state) {
     pumpStartTimes[pumpIndex] = millis();
@@ -432,6 +768,116 @@ void togglePump(int pumpIndex, bool state) {
   }
 }
 
+void openWateringLog(int pumpIndex, String source) {
+  // A run that takes over a running pump ends the previous entry
+  if (wateringStartedAt[pumpIndex] != 0) {
+    closeWateringLog(pumpIndex, "Taken over by " + source);
+  }
+  wateringStartedAt[pumpIndex] = millis();
+  if (!Firebase.ready()) return;
+
+  FirebaseJson entry;
+  entry.set("source", source);
+  entry.set("status", "running");
+  entry.set("moistureBefore", sensorValues[pumpIndex]);
+  entry.set("startedAt/.sv", "timestamp");
+
+  String path = deviceRoot + "/WateringLog/Sensor" + String(pumpIndex + 1);
+  if (Firebase.pushJSON(fbdo, path, entry)) {
+    wateringLogKeys[pumpIndex] = fbdo.pushName();
+  } else {
+    Serial.print("Failed to log watering start: ");
+    Serial.println(fbdo.errorReason());
+  }
+}
+
+// moistureAfter is read as the pump stops - the soil keeps soaking for a while after
+void closeWateringLog(int pumpIndex, String reason) {
+  if (wateringStartedAt[pumpIndex] == 0) return;
+
+  int seconds = (millis() - wateringStartedAt[pumpIndex]) / 1000;
+  wateringStartedAt[pumpIndex] = 0;
+  addReservoirUsage(pumpIndex, seconds);
+  if (wateringLogKeys[pumpIndex].length() == 0) return;
+
+  String path = deviceRoot + "/WateringLog/Sensor" + String(pumpIndex + 1) + "/" + wateringLogKeys[pumpIndex];
+  wateringLogKeys[pumpIndex] = "";
+  if (!Firebase.ready()) return;
+
+  FirebaseJson update;
+  update.set("status", "done");
+  update.set("durationSec", seconds);
+  update.set("moistureAfter", analogRead(sensorPins[pumpIndex]));
+  update.set("endReason", reason.length() > 0 ? reason : "Switched off");
+  update.set("endedAt/.sv", "timestamp");
+  if (!Firebase.updateNode(fbdo, path, update)) {
+    Serial.print("Failed to log watering end: ");
+    Serial.println(fbdo.errorReason());
+  }
+}
+
+bool reservoirEmpty() {
+  return reservoirCapacityMl > 0 && reservoirUsedMl >= reservoirCapacityMl;
+}
+
+// True once the current run has used up what the tank had left
+bool runDrainsReservoir(int pumpIndex) {
+  if (reservoirCapacityMl == 0 || wateringStartedAt[pumpIndex] == 0) return false;
+  float runMl = (millis() - wateringStartedAt[pumpIndex]) / 1000.0 * pumpFlowRates[pumpIndex];
+  return reservoirUsedMl + runMl >= reservoirCapacityMl;
+}
+
+void readReservoir() {
+  if (!Firebase.getJSON(fbdo, deviceRoot + "/Reservoir")) {
+    if (fbdo.httpCode() == FIREBASE_ERROR_PATH_NOT_EXIST) {
+      reservoirCapacityMl = 0;
+      reservoirUsedMl = 0;
+    }
+    return;
+  }
+
+  FirebaseJson json;
+  FirebaseJsonData result;
+  json.setJsonData(fbdo.jsonString());
+  reservoirCapacityMl = json.get(result, "capacityMl") ? result.intValue : 0;
+  reservoirUsedMl = json.get(result, "usedMl") ? result.floatValue : 0;
+}
+
+// Tank size, usage so far and each pump's calibrated flow rate
+void updateReservoirFromFirebase() {
+  readReservoir();
+
+  if (!Firebase.getJSON(fbdo, deviceRoot + "/Pumps")) return;
+
+  FirebaseJson json;
+  FirebaseJsonData result;
+  json.setJsonData(fbdo.jsonString());
+  for (int i = 0; i < 4; i++) {
+    float flowRate = json.get(result, "Sensor" + String(i + 1) + "/flowRate") ? result.floatValue : defaultFlowRate;
+    pumpFlowRates[i] = (flowRate >= 0.5 && flowRate <= 500) ? flowRate : defaultFlowRate;
+  }
+}
+
+void addReservoirUsage(int pumpIndex, int seconds) {
+  if (reservoirCapacityMl == 0 || seconds <= 0 || !Firebase.ready()) return;
+
+  // Re-read first so a refill made in the app meanwhile isn't overwritten
+  readReservoir();
+  if (reservoirCapacityMl == 0) return;
+  reservoirUsedMl += seconds * pumpFlowRates[pumpIndex];
+
+  FirebaseJson update;
+  update.set("usedMl", reservoirUsedMl);
+  update.set("empty", reservoirEmpty());
+  if (!Firebase.updateNode(fbdo, deviceRoot + "/Reservoir", update)) {
+    Serial.print("Failed to update reservoir usage: ");
+    Serial.println(fbdo.errorReason());
+  }
+  if (reservoirEmpty()) {
+    Serial.println("RESERVOIR: " + tankEmptyReason + " - pumps blocked until refilled");
+  }
+}
+
 // ======= Initialize PumpControl Structure =======
 void initializePumpControlStructure() {
   if (!Firebase.ready()) {
@@ -442,11 +888,11 @@ void initializePumpControlStructure() {
   Serial.println("Initializing PumpControl structure...");
   
   for (int i = 1; i <= 4; i++) {
-    String path = "/PumpControl/Sensor" + String(i) + "/command";
+    String path = deviceRoot + "/PumpControl/Sensor" + String(i) + "/command";
     
     // Check if it already exists
-    if (Firebase.getString(fbdo, "/PumpControl/Sensor" + String(i) + "/command")) {
-      Serial.println("PumpControl/Sensor" + String(i) + " already exists");
+    if (Firebase.getString(fbdo, path)) {
+      Serial.println(path + " already exists");
     } else {
       // Create it if it doesn't exist
       if (Firebase.setString(fbdo, path, "PROCESSED")) {
@@ -469,46 +915,56 @@ void checkPumpCommands() {
   }
   
   for (int i = 0; i < 4; i++) {
-    String sensorPath = "/PumpControl/Sensor" + String(i + 1);
-    String commandPath = sensorPath + "/command";
-    
-    // Check if PumpControl structure exists
-    if (!Firebase.pathExist(fbdo, sensorPath)) {
-      Serial.println("PumpControl structure missing, creating...");
-      initializePumpControlStructure();
-      continue;
-    }
+    String sensorPath = deviceRoot + "/PumpControl/Sensor" + String(i + 1);
     
     // Now check for commands
-    if (Firebase.getString(fbdo, commandPath)) {
-      String command = fbdo.stringData();
+    if (Firebase.getJSON(fbdo, sensorPath)) {
+      FirebaseJson json;
+      FirebaseJsonData result;
+      json.setJsonData(fbdo.jsonString());
+      String command = json.get(result, "command") ? result.stringValue : "";
+      String commandId = json.get(result, "commandId") ? result.stringValue : "";
       
-      if (command == "ON" && !manualPumpActive[i] && !relayStates[i]) {
-        // MANUAL MODE (MODE 1): Start manual pump for 5 seconds
-        togglePump(i, true);
-        manualPumpActive[i] = true;
-        manualPumpStartTimes[i] = millis();
-        
-        Serial.print("MANUAL MODE: Pump ");
-        Serial.print(i + 1);
-        Serial.print(" (GPIO");
-        Serial.print(relayPins[i]);
-        Serial.println(") turned ON for 5 seconds via Firebase");
-        Firebase.setString(fbdo, commandPath, "PROCESSED");
+      if (command == "ON") {
+        if (manualPumpActive[i] || relayStates[i]) {
+          // Refused rather than left waiting - it would start the pump whenever this run ends
+          acknowledgePumpCommand(i, commandId, "rejected", "Pump is already running");
+          continue;
+        }
+        if (reservoirEmpty()) {
+          acknowledgePumpCommand(i, commandId, "rejected", tankEmptyReason + " - refill it and mark it refilled in the app");
+          continue;
+        }
+
+        // MANUAL MODE (MODE 1): Start manual pump for the requested time
+        int seconds = json.get(result, "durationSec") ? result.intValue : defaultManualSeconds;
+        startManualPump(i, seconds, "Firebase");
+        acknowledgePumpCommand(i, commandId, "done", "");
         
-      } else if (command == "OFF" && relayStates[i]) {
+      } else if (command == "OFF") {
+        if (!relayStates[i]) {
+          acknowledgePumpCommand(i, commandId, "done", "Pump was already off");
+          continue;
+        }
+
         // Force turn off pump (can stop any mode)
-        togglePump(i, false);
+        togglePump(i, false, "Stopped from the app");
         manualPumpActive[i] = false;
-        activePumps[i] = false;
+        if (activePumps[i]) {
+          activePumps[i] = false;
+          finishScheduleRun(i, "stopped");
+        }
         
         Serial.print("MANUAL OVERRIDE: Pump ");
         Serial.print(i + 1);
         Serial.print(" (GPIO");
         Serial.print(relayPins[i]);
         Serial.println(") turned OFF via Firebase");
-        Firebase.setString(fbdo, commandPath, "PROCESSED");
+        acknowledgePumpCommand(i, commandId, "done", "");
       }
+    } else if (fbdo.httpCode() == FIREBASE_ERROR_PATH_NOT_EXIST) {
+      Serial.println("PumpControl structure missing, creating...");
+      initializePumpControlStructure();
     } else {
       Serial.print("Failed to read command for Sensor");
       Serial.print(i + 1);
@@ -518,16 +974,87 @@ void checkPumpCommands() {
   }
 }
 
+// Out-of-range durations fall back to the default rather than running for minutes by mistake
+void startManualPump(int pumpIndex, int seconds, String source) {
+  if (seconds < 1 || seconds > maxManualSeconds) {
+    seconds = defaultManualSeconds;
+  }
+
+  togglePump(pumpIndex, true, source == "web" ? "web" : "manual");
+  manualPumpActive[pumpIndex] = true;
+  manualPumpStartTimes[pumpIndex] = millis();
+  manualPumpDurations[pumpIndex] = (unsigned long)seconds * 1000UL;
+
+  Serial.print("MANUAL MODE: Pump ");
+  Serial.print(pumpIndex + 1);
+  Serial.print(" (GPIO");
+  Serial.print(relayPins[pumpIndex]);
+  Serial.print(") turned ON for ");
+  Serial.print(seconds);
+  Serial.println(" seconds via " + source);
+}
+
+// Marks a command PROCESSED and tells the app which one and how it went.
+// status: "done" or "rejected" (reason says why)
+void acknowledgePumpCommand(int sensor, String commandId, String status, String reason) {
+  FirebaseJson ack;
+  ack.set("command", "PROCESSED");
+  ack.set("ackId", commandId);
+  ack.set("ackStatus", status);
+  ack.set("ackReason", reason);
+  ack.set("ackAt/.sv", "timestamp");
+
+  String path = deviceRoot + "/PumpControl/Sensor" + String(sensor + 1);
+  if (!Firebase.updateNode(fbdo, path, ack)) {
+    Serial.print("Failed to acknowledge pump command: ");
+    Serial.println(fbdo.errorReason());
+  }
+}
+
+// Seconds until the current run ends: 0 when the pump is off, -1 when it has no end
+long pumpSecondsRemaining(int pumpIndex) {
+  if (!relayStates[pumpIndex]) return 0;
+
+  unsigned long total;
+  unsigned long startedAt = pumpStartTimes[pumpIndex];
+  if (manualPumpActive[pumpIndex]) {
+    total = manualPumpDurations[pumpIndex];
+    startedAt = manualPumpStartTimes[pumpIndex];
+  } else if (activePumps[pumpIndex]) {
+    total = (unsigned long)currentPumpDurations[pumpIndex] * 60000UL;
+  } else if (autoModes[pumpIndex].running) {
+    total = (unsigned long)autoModes[pumpIndex].maxRunMinutes * 60000UL; // at most - moist soil stops it sooner
+  } else {
+    return -1;
+  }
+
+  unsigned long elapsed = millis() - startedAt;
+  return elapsed >= total ? 0 : (long)((total - elapsed + 999) / 1000);
+}
+
 // ======= Updated Schedule Functions =======
 void checkSchedules() {
   if (!isConnected || WiFi.status() != WL_CONNECTED) {
     return;
   }
   
-  timeClient.update();
-  int currentHour = timeClient.getHours();
-  int currentMinute = timeClient.getMinutes();
-  int currentDay = timeClient.getDay(); // 0=Sunday, 6=Saturday
+  struct tm local;
+  if (!getLocalClock(local)) {
+    Serial.println("Clock not synced yet - skipping schedule check");
+    return;
+  }
+
+  int currentHour = local.tm_hour;
+  int currentMinute = local.tm_min;
+  int currentDay = local.tm_wday; // 0=Sunday, 6=Saturday
+  int minuteOfDay = currentHour * 60 + currentMinute;
+
+  int year = local.tm_year + 1900;
+  int month = local.tm_mon + 1;
+  int day = local.tm_mday;
+  long dayNumber = daysFromCivil(year, month, day);
+  int monthDay = month * 100 + day;
+  int dayOfYear = local.tm_yday + 1;
 
   Serial.print("=== CHECKING SCHEDULES - Current time: ");
   Serial.print(currentHour);
@@ -535,6 +1062,14 @@ void checkSchedules() {
   Serial.print(currentMinute);
   Serial.print(" Day: ");
   Serial.print(currentDay);
+  Serial.print(" Date: ");
+  Serial.print(year);
+  Serial.print("-");
+  Serial.print(month);
+  Serial.print("-");
+  Serial.print(day);
+  Serial.print(" ");
+  Serial.print(timezonePosix);
   Serial.println(" ===");
 
   // Check all schedules
@@ -547,46 +1082,59 @@ void checkSchedules() {
       continue;
     }
     
-    for (int i = 0; i < 3; i++) {
-      Schedule sched = schedules[sensor][i];
+    for (int i = 0; i < ruleCounts[sensor]; i++) {
+      const Schedule &sched = schedules[sensor][i];
       
-      Serial.print("Sensor ");
-      Serial.print(sensor + 1);
-      Serial.print(" Schedule ");
-      Serial.print(i + 1);
-      Serial.print(": ");
-      Serial.print(sched.enabled ? "ENABLED " : "DISABLED ");
-      Serial.print(sched.hour);
-      Serial.print(":");
-      Serial.print(sched.minute);
-      Serial.print(" Dur:");
-      Serial.print(sched.duration);
-      Serial.print(" Days:");
-      Serial.print(sched.daysOfWeek);
-      Serial.print(" CurrentDayBit:");
-      Serial.print(1 << currentDay);
-      Serial.print(" Match:");
-      Serial.println((sched.daysOfWeek & (1 << currentDay)) ? "YES" : "NO");
-      
-      if (sched.enabled && 
-          (sched.daysOfWeek & (1 << currentDay)) &&
-          sched.hour == currentHour &&
-          sched.minute == currentMinute) {
-        
-        togglePump(sensor, true);
-        currentPumpDurations[sensor] = sched.duration;
+      if (ruleRunsAt(sched, dayNumber, currentDay, monthDay, dayOfYear, minuteOfDay)) {
+        if (reservoirEmpty()) {
+          startScheduleRun(sensor, i, minuteOfDay, 0, "skipped", tankEmptyReason);
+          Serial.print("⏭ SCHEDULE SKIPPED: Sensor ");
+          Serial.print(sensor + 1);
+          Serial.print(" rule ");
+          Serial.print(i + 1);
+          Serial.println(" - " + tankEmptyReason);
+          break;
+        }
+
+        int runMinutes = sched.duration;
+        String reason = "";
+
+        // Soil check: below the Dry threshold the soil is still moist enough
+        if (sched.moistureGate != GATE_OFF && sensorValues[sensor] < dryThresholds[sensor]) {
+          reason = "Soil already moist (reading " + String(sensorValues[sensor]) +
+                   ", dry at " + String(dryThresholds[sensor]) + ")";
+
+          if (sched.moistureGate == GATE_SKIP) {
+            startScheduleRun(sensor, i, minuteOfDay, 0, "skipped", reason);
+            Serial.print("⏭ SCHEDULE SKIPPED: Sensor ");
+            Serial.print(sensor + 1);
+            Serial.print(" rule ");
+            Serial.print(i + 1);
+            Serial.print(" - ");
+            Serial.println(reason);
+            break;
+          }
+
+          runMinutes = max(1, sched.duration * sched.shortenPercent / 100);
+        }
+
+        togglePump(sensor, true, "schedule");
+        currentPumpDurations[sensor] = runMinutes;
         activePumps[sensor] = true;
+        startScheduleRun(sensor, i, minuteOfDay, runMinutes, "running", reason);
         
         Serial.print("🎯 SCHEDULE TRIGGERED: Pump ");
         Serial.print(sensor + 1);
         Serial.print(" (GPIO");
         Serial.print(relayPins[sensor]);
-        Serial.print(") turned ON by schedule at ");
-        Serial.print(sched.hour);
+        Serial.print(") turned ON by rule ");
+        Serial.print(i + 1);
+        Serial.print(" at ");
+        Serial.print(currentHour);
         Serial.print(":");
-        Serial.print(sched.minute);
+        Serial.print(currentMinute);
         Serial.print(" for ");
-        Serial.print(sched.duration);
+        Serial.print(runMinutes);
         Serial.println(" minutes");
         break;
       }
@@ -594,120 +1142,365 @@ void checkSchedules() {
   }
 }
 
+bool ruleRunsAt(const Schedule &rule, long dayNumber, int dayOfWeek, int monthDay, int dayOfYear, int minuteOfDay) {
+  if (!rule.enabled) return false;
+
+  if (rule.seasonStart > 0 && rule.seasonEnd > 0) {
+    bool inSeason = rule.seasonStart <= rule.seasonEnd
+      ? (monthDay >= rule.seasonStart && monthDay <= rule.seasonEnd)
+      : (monthDay >= rule.seasonStart || monthDay <= rule.seasonEnd);
+    if (!inSeason) return false;
+  }
+
+  if (rule.type == RULE_EVERY_N_DAYS) {
+    long elapsed = dayNumber - rule.startDay;
+    return rule.intervalDays > 0 && elapsed >= 0 && elapsed % rule.intervalDays == 0 &&
+           minuteOfDay == rule.hour * 60 + rule.minute;
+  }
+
+  if (!(rule.daysOfWeek & (1 << dayOfWeek))) return false;
+
+  if (rule.type == RULE_EVERY_N_HOURS) {
+    int hour = minuteOfDay / 60;
+    return rule.intervalHours > 0 && minuteOfDay % 60 == rule.minute &&
+           hour >= rule.windowStart && hour <= rule.windowEnd &&
+           (hour - rule.windowStart) % rule.intervalHours == 0;
+  }
+
+  if (rule.type == RULE_SOLAR) {
+    int eventMinutes = sunEventMinutes(dayOfYear, rule.latitude, rule.longitude, rule.sunset, currentUtcOffsetMinutes());
+    if (eventMinutes < 0) return false;
+    return minuteOfDay == ((eventMinutes + rule.offsetMinutes) % 1440 + 1440) % 1440;
+  }
+
+  return minuteOfDay == rule.hour * 60 + rule.minute;
+}
+
+// ======= Clock Functions =======
+void startClock() {
+  configTime(timezonePosix.c_str(), ntpServer);
+  Serial.print("Clock timezone: ");
+  Serial.println(timezonePosix);
+}
+
+// False until NTP has set the clock
+bool getLocalClock(struct tm &local) {
+  time_t now = time(nullptr);
+  if (now < 1600000000) return false;
+  localtime_r(&now, &local);
+  return true;
+}
+
+int currentUtcOffsetMinutes() {
+  time_t now = time(nullptr);
+  struct tm local, utc;
+  localtime_r(&now, &local);
+  gmtime_r(&now, &utc);
+  long localDays = daysFromCivil(local.tm_year + 1900, local.tm_mon + 1, local.tm_mday);
+  long utcDays = daysFromCivil(utc.tm_year + 1900, utc.tm_mon + 1, utc.tm_mday);
+  return (localDays - utcDays) * 1440 + (local.tm_hour - utc.tm_hour) * 60 + (local.tm_min - utc.tm_min);
+}
+
+// Picks up a timezone change made in the app and keeps it for the next boot
+void updateTimezoneFromFirebase() {
+  if (!Firebase.getJSON(fbdo, deviceRoot + "/Config")) {
+    if (fbdo.httpCode() != FIREBASE_ERROR_PATH_NOT_EXIST) {
+      Serial.print("FAILED to get timezone: ");
+      Serial.println(fbdo.errorReason());
+    }
+    return;
+  }
+
+  FirebaseJson json;
+  FirebaseJsonData result;
+  json.setJsonData(fbdo.jsonString());
+  if (json.get(result, "timezone")) {
+    timezoneName = result.stringValue;
+  }
+  if (!json.get(result, "timezonePosix") || result.stringValue.length() == 0 ||
+      result.stringValue.length() > maxTzLen || result.stringValue == timezonePosix) {
+    return;
+  }
+
+  timezonePosix = result.stringValue;
+  setenv("TZ", timezonePosix.c_str(), 1);
+  tzset();
+  writeEEPROM(tzAddr, timezonePosix);
+  EEPROM.commit();
+  lastCheckedMinute = -1;
+
+  Serial.print("Timezone changed to ");
+  Serial.print(timezoneName);
+  Serial.print(" (");
+  Serial.print(timezonePosix);
+  Serial.println(")");
+}
+
+// ======= Calendar and Sun Helpers =======
+// Days since 1970-01-01 <-> proleptic Gregorian date (Howard Hinnant's algorithms)
+long daysFromCivil(int year, int month, int day) {
+  year -= month <= 2;
+  long era = (year >= 0 ? year : year - 399) / 400;
+  long yearOfEra = year - era * 400;
+  long dayOfYear = (153 * (month + (month > 2 ? -3 : 9)) + 2) / 5 + day - 1;
+  long dayOfEra = yearOfEra * 365 + yearOfEra / 4 - yearOfEra / 100 + dayOfYear;
+  return era * 146097 + dayOfEra - 719468;
+}
+
+void civilFromDays(long days, int &year, int &month, int &day) {
+  days += 719468;
+  long era = (days >= 0 ? days : days - 146096) / 146097;
+  long dayOfEra = days - era * 146097;
+  long yearOfEra = (dayOfEra - dayOfEra / 1460 + dayOfEra / 36524 - dayOfEra / 146096) / 365;
+  long dayOfYear = dayOfEra - (365 * yearOfEra + yearOfEra / 4 - yearOfEra / 100);
+  long mp = (5 * dayOfYear + 2) / 153;
+  day = dayOfYear - (153 * mp + 2) / 5 + 1;
+  month = mp < 10 ? mp + 3 : mp - 9;
+  year = yearOfEra + era * 400 + (month <= 2);
+}
+
+// Sunrise/sunset in local minutes after midnight, or -1 when the sun doesn't
+// rise/set that day. Same "Almanac for Computers" formula as the app.
+int sunEventMinutes(int dayOfYear, float latitude, float longitude, bool sunset, int utcOffset) {
+  double lngHour = longitude / 15.0;
+  double t = dayOfYear + ((sunset ? 18.0 : 6.0) - lngHour) / 24.0;
+
+  double meanAnomaly = 0.9856 * t - 3.289;
+  double trueLongitude = meanAnomaly + 1.916 * sin(radians(meanAnomaly)) + 0.020 * sin(radians(2 * meanAnomaly)) + 282.634;
+  trueLongitude = fmod(fmod(trueLongitude, 360.0) + 360.0, 360.0);
+
+  double rightAscension = degrees(atan(0.91764 * tan(radians(trueLongitude))));
+  rightAscension = fmod(fmod(rightAscension, 360.0) + 360.0, 360.0);
+  rightAscension += floor(trueLongitude / 90.0) * 90.0 - floor(rightAscension / 90.0) * 90.0;
+  rightAscension /= 15.0;
+
+  double sinDeclination = 0.39782 * sin(radians(trueLongitude));
+  double cosDeclination = cos(asin(sinDeclination));
+  double cosHourAngle = (cos(radians(90.833)) - sinDeclination * sin(radians(latitude))) /
+                        (cosDeclination * cos(radians(latitude)));
+  if (cosHourAngle > 1 || cosHourAngle < -1) return -1;
+
+  double hourAngle = (sunset ? degrees(acos(cosHourAngle)) : 360.0 - degrees(acos(cosHourAngle))) / 15.0;
+  double localMeanTime = hourAngle + rightAscension - 0.06571 * t - 6.622;
+  double utcHours = fmod(fmod(localMeanTime - lngHour, 24.0) + 24.0, 24.0);
+
+  int minutes = (int)round(utcHours * 60) + utcOffset;
+  return (minutes % 1440 + 1440) % 1440;
+}
+
 void updateSchedulesFromFirebase() {
   if (!Firebase.ready()) {
     Serial.println("Firebase not ready - cannot update schedules");
     return;
   }
-  
-  Serial.println("=== UPDATING SCHEDULES FROM FIREBASE ===");
+
+  updateTimezoneFromFirebase();
+  updateReservoirFromFirebase();
   
   for (int sensor = 0; sensor < 4; sensor++) {
-    String path = "/Schedules/Sensor" + String(sensor + 1);
-    
-    Serial.print("Checking path: ");
-    Serial.println(path);
+    String path = deviceRoot + "/Schedules/Sensor" + String(sensor + 1);
     
     if (Firebase.getJSON(fbdo, path)) {
       FirebaseJson json;
       FirebaseJsonData result;
       json.setJsonData(fbdo.jsonString());
+
+      // The app stamps every save with lastUpdated - skip revisions already loaded
+      String version = json.get(result, "lastUpdated") ? result.stringValue : "";
+      if (version.length() > 0 && version == loadedScheduleVersions[sensor]) {
+        continue;
+      }
       
       Serial.print("Raw JSON for Sensor");
       Serial.print(sensor + 1);
       Serial.print(": ");
       Serial.println(fbdo.jsonString());
       
-      for (int i = 0; i < 3; i++) {
-        String schedulePath = "/schedule" + String(i + 1);
-        
-        // Get enabled status
-        if (json.get(result, schedulePath + "/enabled")) {
-          schedules[sensor][i].enabled = result.boolValue;
-          Serial.print("Schedule ");
-          Serial.print(i + 1);
-          Serial.print(" enabled: ");
-          Serial.println(schedules[sensor][i].enabled);
-        } else {
-          schedules[sensor][i].enabled = false;
-        }
-        
-        // Get hour (24-hour format)
-        if (json.get(result, schedulePath + "/hour24")) {
-          schedules[sensor][i].hour = result.intValue;
-          Serial.print("Schedule ");
-          Serial.print(i + 1);
-          Serial.print(" hour24: ");
-          Serial.println(schedules[sensor][i].hour);
-        } else {
-          schedules[sensor][i].hour = 0;
-        }
-        
-        // Get minute
-        if (json.get(result, schedulePath + "/minute")) {
-          schedules[sensor][i].minute = result.intValue;
-          Serial.print("Schedule ");
-          Serial.print(i + 1);
-          Serial.print(" minute: ");
-          Serial.println(schedules[sensor][i].minute);
-        } else {
-          schedules[sensor][i].minute = 0;
-        }
-        
-        // Get duration
-        if (json.get(result, schedulePath + "/duration")) {
-          schedules[sensor][i].duration = result.intValue;
-          Serial.print("Schedule ");
-          Serial.print(i + 1);
-          Serial.print(" duration: ");
-          Serial.println(schedules[sensor][i].duration);
-        } else {
-          schedules[sensor][i].duration = 0;
-        }
-        
-        // Get days
-        if (json.get(result, schedulePath + "/days")) {
-          schedules[sensor][i].daysOfWeek = result.intValue;
-          Serial.print("Schedule ");
-          Serial.print(i + 1);
-          Serial.print(" days: ");
-          Serial.println(schedules[sensor][i].daysOfWeek);
-        } else {
-          schedules[sensor][i].daysOfWeek = 0;
-        }
-      }
+      int ruleCount = applyScheduleRules(sensor, json, "schedules");
+      loadedScheduleVersions[sensor] = version;
+      acknowledgeSchedules(sensor, version, ruleCount);
       
       Serial.print("=== UPDATED SCHEDULES FOR SENSOR");
       Serial.print(sensor + 1);
       Serial.println(" ===");
       
+    } else if (fbdo.httpCode() == FIREBASE_ERROR_PATH_NOT_EXIST) {
+      ruleCounts[sensor] = 0;
+      loadedScheduleVersions[sensor] = "";
     } else {
+      // Keep running the schedules already loaded until Firebase is reachable again
       Serial.print("FAILED to get schedules for Sensor");
       Serial.print(sensor + 1);
       Serial.print(": ");
       Serial.println(fbdo.errorReason());
-      
-      // Initialize with default values if no data exists
-      for (int i = 0; i < 3; i++) {
-        schedules[sensor][i] = {0, 0, 0, false, 0};
-      }
     }
   }
-  
-  Serial.println("=== SCHEDULE UPDATE COMPLETE ===");
 }
 
+// Reads up to maxRulesPerSensor rules from a JSON array (see the Schedule struct).
+// Entries without a type are weekly slots saved before rule types existed.
+// Returns how many rules were loaded.
+int applyScheduleRules(int sensor, FirebaseJson &json, String arrayPath) {
+  FirebaseJsonData result;
+  int count = 0;
+
+  for (int i = 0; i < maxRulesPerSensor; i++) {
+    String rulePath = arrayPath + "/[" + String(i) + "]";
+    if (!json.get(result, rulePath)) break;
+
+    Schedule rule = {};
+    String type = json.get(result, rulePath + "/type") ? result.stringValue : "weekly";
+    if (type == "everyNDays") rule.type = RULE_EVERY_N_DAYS;
+    else if (type == "everyNHours") rule.type = RULE_EVERY_N_HOURS;
+    else if (type == "solar") rule.type = RULE_SOLAR;
+    else rule.type = RULE_WEEKLY;
+
+    rule.hour = json.get(result, rulePath + "/hour") ? result.intValue : 0;
+    rule.minute = json.get(result, rulePath + "/minute") ? result.intValue : 0;
+    rule.enabled = json.get(result, rulePath + "/enabled") ? result.boolValue : false;
+    rule.daysOfWeek = json.get(result, rulePath + "/days") ? result.intValue : 0;
+    rule.duration = json.get(result, rulePath + "/duration") ? result.intValue : defaultScheduleDuration;
+    if (rule.duration < 1 || rule.duration > maxScheduleDuration) {
+      rule.duration = defaultScheduleDuration;
+    }
+    rule.intervalDays = json.get(result, rulePath + "/intervalDays") ? result.intValue : 1;
+    rule.startDay = json.get(result, rulePath + "/startDay") ? result.intValue : 0;
+    rule.intervalHours = json.get(result, rulePath + "/intervalHours") ? result.intValue : 1;
+    rule.windowStart = json.get(result, rulePath + "/windowStart") ? result.intValue : 0;
+    rule.windowEnd = json.get(result, rulePath + "/windowEnd") ? result.intValue : 23;
+    rule.sunset = json.get(result, rulePath + "/event") && result.stringValue == "sunset";
+    rule.offsetMinutes = json.get(result, rulePath + "/offsetMinutes") ? result.intValue : 0;
+    rule.latitude = json.get(result, rulePath + "/latitude") ? result.floatValue : 0;
+    rule.longitude = json.get(result, rulePath + "/longitude") ? result.floatValue : 0;
+    rule.seasonStart = json.get(result, rulePath + "/seasonStart") ? result.intValue : 0;
+    rule.seasonEnd = json.get(result, rulePath + "/seasonEnd") ? result.intValue : 0;
+    String gate = json.get(result, rulePath + "/moistureGate") ? result.stringValue : "off";
+    rule.moistureGate = gate == "skip" ? GATE_SKIP : gate == "shorten" ? GATE_SHORTEN : GATE_OFF;
+    rule.shortenPercent = json.get(result, rulePath + "/shortenPercent") ? result.intValue : 50;
+    if (rule.shortenPercent < 10 || rule.shortenPercent > 90) {
+      rule.shortenPercent = 50;
+    }
+
+    schedules[sensor][count++] = rule;
+
+    Serial.print("Rule ");
+    Serial.print(count);
+    Serial.print(": ");
+    Serial.print(rule.enabled ? "ENABLED " : "DISABLED ");
+    Serial.print(type);
+    Serial.print(" ");
+    Serial.print(rule.hour);
+    Serial.print(":");
+    Serial.print(rule.minute);
+    Serial.print(" Dur:");
+    Serial.print(rule.duration);
+    Serial.print(" Days:");
+    Serial.println(rule.daysOfWeek);
+  }
+
+  ruleCounts[sensor] = count;
+  dryThresholds[sensor] = json.get(result, "dryThreshold") ? result.intValue : defaultDryThreshold;
+  return count;
+}
+
+void acknowledgeSchedules(int sensor, String version, int ruleCount) {
+  FirebaseJson ack;
+  ack.set("engine", "device");
+  ack.set("lastUpdated", version);
+  ack.set("rules", ruleCount);
+  ack.set("loadedAt/.sv", "timestamp");
+
+  String path = deviceRoot + "/ScheduleAck/Sensor" + String(sensor + 1);
+  if (!Firebase.setJSON(fbdo, path, ack)) {
+    Serial.print("Failed to acknowledge schedules: ");
+    Serial.println(fbdo.errorReason());
+  }
+}
+
+// Logs a run under ScheduleRuns/SensorN. status is "running", or "skipped" when the
+// soil check skipped it; reason is set whenever the soil check changed the run.
+void startScheduleRun(int sensor, int rule, int minuteOfDay, int runMinutes, String status, String reason) {
+  if (!Firebase.ready()) return;
+
+  char scheduledFor[6];
+  snprintf(scheduledFor, sizeof(scheduledFor), "%02d:%02d", minuteOfDay / 60, minuteOfDay % 60);
+
+  FirebaseJson run;
+  run.set("engine", "device");
+  run.set("rule", rule + 1);
+  run.set("scheduledFor", String(scheduledFor));
+  run.set("durationMin", runMinutes);
+  run.set("plannedMin", schedules[sensor][rule].duration);
+  run.set("status", status);
+  run.set("startedAt/.sv", "timestamp");
+  if (reason.length() > 0) {
+    run.set("reason", reason);
+    run.set("moisture", sensorValues[sensor]);
+    run.set("dryThreshold", dryThresholds[sensor]);
+  }
+  if (status == "skipped") {
+    run.set("endedAt/.sv", "timestamp");
+  }
+
+  String path = deviceRoot + "/ScheduleRuns/Sensor" + String(sensor + 1);
+  if (Firebase.pushJSON(fbdo, path, run)) {
+    if (status == "running") activeRunKeys[sensor] = fbdo.pushName();
+  } else {
+    activeRunKeys[sensor] = "";
+    Serial.print("Failed to log schedule run: ");
+    Serial.println(fbdo.errorReason());
+  }
+}
+
+// outcome: "completed" when the duration ran out, "stopped" when overridden
+void finishScheduleRun(int sensor, String outcome) {
+  if (activeRunKeys[sensor].length() == 0) return;
+
+  String path = deviceRoot + "/ScheduleRuns/Sensor" + String(sensor + 1) + "/" + activeRunKeys[sensor];
+  activeRunKeys[sensor] = "";
+  if (!Firebase.ready()) return;
+
+  FirebaseJson update;
+  update.set("status", outcome);
+  update.set("endedAt/.sv", "timestamp");
+  if (!Firebase.updateNode(fbdo, path, update)) {
+    Serial.print("Failed to close schedule run: ");
+    Serial.println(fbdo.errorReason());
+  }
+}
+
+// Direct schedule push from the app in LAN mode.
+// Body: {"sensor": 1-4, "schedules": [rule, ...], "dryThreshold": n} - same as in Firebase
 void handleScheduleUpdate() {
   if (server.method() != HTTP_POST) {
     server.send(405, "text/plain", "Method Not Allowed");
     return;
   }
   
-  if (server.hasArg("plain")) {
-    String data = server.arg("plain");
-    // Parse JSON and update schedules
-    server.send(200, "application/json", "{\"status\":\"success\"}");
+  if (!server.hasArg("plain")) {
+    server.send(400, "application/json", "{\"status\":\"error\",\"message\":\"Missing body\"}");
+    return;
+  }
+
+  FirebaseJson json;
+  FirebaseJsonData result;
+  json.setJsonData(server.arg("plain"));
+
+  if (!json.get(result, "sensor") || result.intValue < 1 || result.intValue > 4) {
+    server.send(400, "application/json", "{\"status\":\"error\",\"message\":\"Invalid sensor\"}");
+    return;
   }
+  int sensor = result.intValue - 1;
+
+  // Kept until the app's next save changes lastUpdated in Firebase
+  int updated = applyScheduleRules(sensor, json, "schedules");
+
+  Serial.print("LAN: updated ");
+  Serial.print(updated);
+  Serial.print(" schedules for Sensor");
+  Serial.println(sensor + 1);
+
+  server.send(200, "application/json", "{\"status\":\"success\",\"updated\":" + String(updated) + "}");
 }
 
 // ======= Send RAW SENSOR VALUES (0-1023) to Firebase =======
@@ -720,7 +1513,7 @@ void sendToFirebase(int sensorValues[], bool pumpStates[]) {
   
   // Send each RAW SENSOR VALUE (0-1023) to its own path
   for (int i = 0; i < 4; i++) {
-    String path = "/Sensor" + String(i + 1);
+    String path = deviceRoot + "/Sensor" + String(i + 1);
     if (Firebase.setInt(fbdo, path, sensorValues[i])) {
       Serial.println("Sensor" + String(i + 1) + " raw value sent to Firebase: " + String(sensorValues[i]) + " (0-1023)");
     } else {
@@ -737,7 +1530,7 @@ void sendToFirebase(int sensorValues[], bool pumpStates[]) {
 
   // Send pump states
   for (int i = 0; i < 4; i++) {
-    String path = "/PumpState" + String(i + 1);
+    String path = deviceRoot + "/PumpState" + String(i + 1);
     if (Firebase.setString(fbdo, path, pumpStates[i] ? "ON" : "OFF")) {
       Serial.println("PumpState" + String(i + 1) + " sent to Firebase: " + String(pumpStates[i] ? "ON" : "OFF"));
     } else {
@@ -745,9 +1538,90 @@ void sendToFirebase(int sensorValues[], bool pumpStates[]) {
       Serial.println(fbdo.errorReason());
     }
     delay(50);
+
+    // The app counts down between updates; nothing to send while the pump stays off
+    long remaining = pumpSecondsRemaining(i);
+    if (remaining == 0 && lastRemainingSent[i] == 0) continue;
+    if (Firebase.setInt(fbdo, deviceRoot + "/PumpRemaining" + String(i + 1), remaining)) {
+      lastRemainingSent[i] = remaining;
+    } else {
+      Serial.print("Firebase Error for PumpRemaining" + String(i + 1) + ": ");
+      Serial.println(fbdo.errorReason());
+    }
+    delay(50);
   }
 }
 
+// ======= Moisture History Functions =======
+void pushMoistureHistory() {
+  for (int i = 0; i < 4; i++) {
+    FirebaseJson entry;
+    entry.set("value", sensorValues[i]);
+    entry.set("timestamp/.sv", "timestamp");
+
+    String path = deviceRoot + "/History/Sensor" + String(i + 1);
+    if (!Firebase.pushJSON(fbdo, path, entry)) {
+      Serial.print("Failed to save history for Sensor" + String(i + 1) + ": ");
+      Serial.println(fbdo.errorReason());
+    }
+    delay(50);
+  }
+}
+
+// Deletes up to historyPruneBatch of the oldest expired readings per sensor in
+// one update each. False until NTP has set the clock, so it is retried.
+bool pruneMoistureHistory() {
+  time_t now = time(nullptr);
+  if (now < 1600000000) return false;
+
+  // float is what QueryFilter takes; being off by a couple of minutes here doesn't matter
+  float cutoff = (float)(now - historyRetentionDays * 86400L) * 1000.0f;
+
+  for (int i = 0; i < 4; i++) {
+    String path = deviceRoot + "/History/Sensor" + String(i + 1);
+    QueryFilter query;
+    query.orderBy("timestamp");
+    query.endAt(cutoff);
+    query.limitToFirst(historyPruneBatch);
+
+    if (!Firebase.getJSON(fbdo, path, query)) {
+      if (fbdo.httpCode() != FIREBASE_ERROR_PATH_NOT_EXIST) {
+        Serial.print("Failed to read old history for Sensor" + String(i + 1) + ": ");
+        Serial.println(fbdo.errorReason());
+      }
+      query.clear();
+      continue;
+    }
+    query.clear();
+
+    FirebaseJson json;
+    json.setJsonData(fbdo.jsonString());
+    FirebaseJson deletes;
+    int expired = 0;
+    String key, value;
+    int type = 0;
+    size_t count = json.iteratorBegin();
+    for (size_t j = 0; j < count; j++) {
+      json.iteratorGet(j, type, key, value);
+      // The iterator also walks each reading's fields; the readings are the push IDs
+      if (type == FirebaseJson::JSON_OBJECT && key.startsWith("-")) {
+        deletes.set(key); // null removes it
+        expired++;
+      }
+    }
+    json.iteratorEnd();
+
+    if (expired > 0 && !Firebase.updateNode(fbdo, path, deletes)) {
+      Serial.print("Failed to trim history for Sensor" + String(i + 1) + ": ");
+      Serial.println(fbdo.errorReason());
+    } else if (expired > 0) {
+      Serial.println("Trimmed " + String(expired) + " old readings for Sensor" + String(i + 1));
+    }
+    delay(50);
+  }
+  return true;
+}
+
 // ======= WiFi Functions =======
 void connectToWiFi(String ssid, String password) {
   Serial.println("Connecting to: " + ssid);
@@ -776,21 +1650,21 @@ void connectToWiFi(String ssid, String password) {
     // Initialize Firebase properly with both config and auth
     Firebase.reconnectWiFi(true);
     fbdo.setBSSLBufferSize(1024, 1024);
-    fbdo.setResponseSize(1024);
+    fbdo.setResponseSize(4096); // room for a full set of schedule rules
     
     Firebase.begin(&config, &auth);
     Firebase.setDoubleDigits(5);
     
     Serial.println("Firebase initialized successfully");
     
-    // Initialize PumpControl and AutoMode structures
+    // Nothing is written until an account owns the controller; checkPairing
+    // creates the PumpControl and AutoMode structures once it does
     delay(2000);
-    initializePumpControlStructure();
-    initializeAutoModeStructure();
+    lastPairingCheck = millis();
+    checkPairing();
     
-    // Initialize NTP client
-    timeClient.begin();
-    timeClient.setTimeOffset(19800); // UTC+5:30
+    // Start NTP with the saved timezone
+    startClock();
     
     // Load schedules on first connection
     delay(3000);
@@ -867,26 +1741,35 @@ void handleRoot() {
   html += "</style></head><body>";
   html += "<h1>Soil Moisture Sensor</h1>";
   html += "<p>Status: <b>" + currentStatus + "</b></p>";
+  html += "<p>Controller ID: <b>" + deviceId + "</b></p>";
+  if (isPaired) {
+    html += "<p>Paired with the PAWS app</p>";
+  } else if (pairingCode.length() > 0) {
+    html += "<p>Pairing code: <b>" + pairingCode + "</b> (enter this in the PAWS app)</p>";
+  } else if (isConnected) {
+    html += "<p>Waiting for a pairing code...</p>";
+  }
 
   if (isConnected) {
     html += "<p>IP Address: " + WiFi.localIP().toString() + "</p>";
     html += "<h3>Sensor Readings:</h3>";
     html += "<table><tr><th>Sensor</th><th>Raw Value (0-1023)</th><th>Moisture %</th><th>Pump Status</th><th>Auto Mode</th><th>Action</th></tr>";
     for (int i = 0; i < 4; i++) {
-      String rowClass = moistureLevels[i] < 30 ? "low-moisture" : "good-moisture";
+      String rowClass = moistureLevels[i] < autoModes[i].startBelow ? "low-moisture" : "good-moisture";
       html += "<tr class='" + rowClass + "'>";
       html += "<td>Sensor " + String(i + 1) + "</td>";
       html += "<td><b>" + String(sensorValues[i]) + "</b></td>";
       html += "<td>" + String(moistureLevels[i]) + "%</td>";
       html += "<td><b>" + String(relayStates[i] ? "ON" : "OFF") + "</b></td>";
-      html += "<td><b>" + String(autoModes[i].enabled ? "ENABLED" : "DISABLED") + "</b></td>";
+      html += "<td><b>" + String(autoModes[i].enabled ? "ENABLED" : "DISABLED") + "</b>";
+      html += "<br><small>" + String(autoModes[i].startBelow) + "% - " + String(autoModes[i].stopAt) + "%</small></td>";
       html += "<td><button onclick=\"location.href='/togglePump?pump=" + String(i) + "'\">Toggle Pump " + String(i + 1) + "</button></td>";
       html += "</tr>";
     }
     html += "</table>";
-    html += "<p><small>Note: Moisture levels below 30% will trigger automatic watering (if Auto Mode enabled)</small></p>";
+    html += "<p><small>Note: With Auto Mode enabled, moisture below the first value starts watering and the second value stops it</small></p>";
     html += "<p><small>Firebase receives: <b>Raw Values (0-1023)</b></small></p>";
-    html += "<p><small><b>Three Modes: 1) Manual (5s), 2) Schedule, 3) Auto (Dry/Wet)</b></small></p>";
+    html += "<p><small><b>Three Modes: 1) Manual (timed), 2) Schedule, 3) Auto (Dry/Wet)</b></small></p>";
     html += "<br><button onclick=\"location.href='/disconnect'\">Disconnect WiFi</button>";
   }
 
@@ -925,6 +1808,9 @@ void handleDisconnect() {
 
 void handleStatus() {
   String json = "{";
+  json += "\"device_id\": \"" + deviceId + "\",";
+  json += "\"paired\": " + String(isPaired ? "true" : "false") + ",";
+  json += "\"pairing_code\": \"" + (isPaired ? "" : pairingCode) + "\",";
   json += "\"connected\": " + String(isConnected ? "true" : "false") + ",";
   json += "\"ssid\": \"" + currentSSID + "\",";
   json += "\"status\": \"" + currentStatus + "\",";
@@ -964,6 +1850,13 @@ void handleStatus() {
     if (i < 3) json += ",";
   }
   json += "],";
+  json += "\"pump_remaining\": [";
+  for (int i = 0; i < 4; i++) {
+    json += String(pumpSecondsRemaining(i));
+    if (i < 3) json += ",";
+  }
+  json += "],";
+  json += "\"timezone\": \"" + timezoneName + "\",";
   json += "\"ip\": \"" + (isConnected ? WiFi.localIP().toString() : "") + "\"";
   json += "}";
   server.send(200, "application/json", json);
@@ -983,36 +1876,67 @@ void handleScan() {
   server.send(200, "text/html", html);
 }
 
+// Optional args: state=on|off sets the relay instead of toggling it,
+// seconds=n sets how long it runs when switched on (default 5),
+// format=json replies with the new state instead of redirecting to "/".
 void handleTogglePump() {
   int pumpIndex = 0;
   if (server.hasArg("pump")) {
     pumpIndex = server.arg("pump").toInt();
   }
-  
-  if (pumpIndex >= 0 && pumpIndex < 4) {
-    if (!relayStates[pumpIndex]) {
-      // Turn pump on for 5 seconds
-      togglePump(pumpIndex, true);
-      manualPumpActive[pumpIndex] = true;
-      manualPumpStartTimes[pumpIndex] = millis();
-      Serial.print("MANUAL MODE: Pump ");
-      Serial.print(pumpIndex + 1);
-      Serial.print(" (GPIO");
-      Serial.print(relayPins[pumpIndex]);
-      Serial.println(") turned ON for 5 seconds via web");
+  bool wantsJson = server.arg("format") == "json";
+
+  if (pumpIndex < 0 || pumpIndex >= 4) {
+    if (wantsJson) {
+      server.send(400, "application/json", "{\"status\":\"error\",\"message\":\"Invalid pump\"}");
     } else {
-      // Force turn off
-      togglePump(pumpIndex, false);
-      manualPumpActive[pumpIndex] = false;
+      server.sendHeader("Location", "/");
+      server.send(303);
+    }
+    return;
+  }
+
+  bool turnOn = !relayStates[pumpIndex];
+  if (server.hasArg("state")) {
+    turnOn = server.arg("state") == "on";
+  }
+
+  if (turnOn && reservoirEmpty()) {
+    Serial.println("Pump " + String(pumpIndex + 1) + " not started via web - " + tankEmptyReason);
+    if (wantsJson) {
+      server.send(409, "application/json", "{\"status\":\"error\",\"message\":\"" + tankEmptyReason + "\"}");
+    } else {
+      server.sendHeader("Location", "/");
+      server.send(303);
+    }
+    return;
+  }
+
+  if (turnOn) {
+    int seconds = server.hasArg("seconds") ? server.arg("seconds").toInt() : defaultManualSeconds;
+    startManualPump(pumpIndex, seconds, "web");
+  } else {
+    // Force turn off
+    togglePump(pumpIndex, false, "Stopped from the controller's web page");
+    manualPumpActive[pumpIndex] = false;
+    if (activePumps[pumpIndex]) {
       activePumps[pumpIndex] = false;
-      Serial.print("MANUAL OVERRIDE: Pump ");
-      Serial.print(pumpIndex + 1);
-      Serial.print(" (GPIO");
-      Serial.print(relayPins[pumpIndex]);
-      Serial.println(") turned OFF manually via web");
+      finishScheduleRun(pumpIndex, "stopped");
     }
+    Serial.print("MANUAL OVERRIDE: Pump ");
+    Serial.print(pumpIndex + 1);
+    Serial.print(" (GPIO");
+    Serial.print(relayPins[pumpIndex]);
+    Serial.println(") turned OFF manually via web");
+  }
+
+  if (wantsJson) {
+    String json = "{\"status\":\"success\",\"pump\":" + String(pumpIndex);
+    json += ",\"state\":" + String(relayStates[pumpIndex] ? "true" : "false") + "}";
+    server.send(200, "application/json", json);
+    return;
   }
   
   server.sendHeader("Location", "/");
   server.send(303);
-}
\ No newline at end of file
+}
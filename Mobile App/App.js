@@ -1,8 +1,8 @@
 // App.js
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { NavigationContainer } from "@react-navigation/native";
 import { createStackNavigator } from "@react-navigation/stack";
-import { ref, onValue, update, get } from "firebase/database";
+import { ref, onValue, update, get, query, orderByChild, startAt, endAt, limitToLast, runTransaction } from "firebase/database";
 import { Picker } from '@react-native-picker/picker';
 import {
   View,
@@ -23,8 +23,57 @@ import { db, auth, sendOTP, verifyOTP, deleteUserAccount } from "./firebaseConfi
 import { signOut, onAuthStateChanged } from "firebase/auth";
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Notifications from 'expo-notifications';
+import { PLANT_CATALOG, getPlantProfile, getDefaultRules } from "./plantCatalog";
+import { rawToPercent, percentToRaw, thresholdsToAutoMode } from "./moistureScale";
+import { getLanStatus, setLanPump, pushLanSchedules, isLanAddress, LAN_POLL_INTERVAL } from "./lanClient";
+import { cacheKeys, readCache, writeCache, writeOrQueue, isFirebaseConnected, startQueueSync, PUMP_COMMAND_TTL } from "./offlineStore";
+import {
+  MAX_RULES_PER_SENSOR,
+  DEFAULT_SCHEDULE_DURATION,
+  MIN_SCHEDULE_DURATION,
+  MAX_SCHEDULE_DURATION,
+  RULE_TYPES,
+  MOISTURE_GATES,
+  MONTH_NAMES,
+  pad2,
+  formatScheduleTime,
+  dateToDayNumber,
+  dayNumberToDate,
+  createRule,
+  normalizeRule,
+  hasSeason,
+  validateRule,
+  describeRule,
+  formatMinutes,
+  getUpcomingRuns,
+  findRuleConflicts,
+  describeConflict
+} from "./scheduleRules";
+import {
+  DEFAULT_DEVICE_TIMEZONE,
+  TIMEZONES,
+  findTimeZone,
+  getPhoneTimeZone,
+  getTimeZoneOffset,
+  formatUtcOffset,
+  describeTimeZone,
+  phoneDiffersFrom,
+  toPhoneTime,
+  getControllerNow
+} from "./timezones";
+import {
+  DEFAULT_PUMP_FLOW_RATE,
+  RESERVOIR_LOW_PERCENT,
+  USAGE_PERIODS,
+  getFlowRate,
+  validateFlowRate,
+  validateReservoirCapacity,
+  formatVolume,
+  getRunSeconds,
+  summarizeUsage,
+  estimateReservoir
+} from "./waterUsage";
 
-const ALLOWED_IP = "192.168.4.1";
 const Stack = createStackNavigator();
 
 // Configure notifications
@@ -55,6 +104,36 @@ const scheduleMoistureNotification = async (title, body, data = {}) => {
   });
 };
 
+// Moisture thresholds - raw readings at or above `dry` are Dry, at or above `moist` are Moist.
+// Each plant can override them in Users/{uid}/plants/{deviceId}/{idx}/thresholds.
+const DEFAULT_MOISTURE_THRESHOLDS = { dry: 800, moist: 400 };
+
+const MOISTURE_STATUS_STYLES = {
+  Dry: { color: "#FF5722", icon: "🌵" },
+  Moist: { color: "#4CAF50", icon: "🌱" },
+  Wet: { color: "#2196F3", icon: "💧" },
+  "No data": { color: "#9E9E9E", icon: "?" }
+};
+
+const getPlantThresholds = (plant) => ({
+  ...DEFAULT_MOISTURE_THRESHOLDS,
+  ...(plant?.thresholds || {})
+});
+
+const classifyMoisture = (value, thresholds = DEFAULT_MOISTURE_THRESHOLDS) => {
+  if (value === null || value === undefined) return "No data";
+  if (value >= thresholds.dry) return "Dry";
+  if (value >= thresholds.moist) return "Moist";
+  return "Wet";
+};
+
+const validateThresholds = (dry, moist) => {
+  if (!Number.isInteger(dry) || !Number.isInteger(moist)) return "Thresholds must be whole numbers";
+  if (dry < 0 || dry > 1023 || moist < 0 || moist > 1023) return "Thresholds must be between 0 and 1023";
+  if (moist >= dry) return "The Dry threshold must be higher than the Moist threshold";
+  return null;
+};
+
 // Soil moisture notification manager
 class MoistureNotificationManager {
   constructor() {
@@ -64,7 +143,7 @@ class MoistureNotificationManager {
   }
 
   // Check for significant moisture changes and send notifications
-  checkMoistureChange(sensorIndex, currentValue, plantName) {
+  checkMoistureChange(sensorIndex, currentValue, plantName, thresholds) {
     const previousValue = this.previousMoistureValues[sensorIndex];
     const now = Date.now();
     
@@ -82,7 +161,7 @@ class MoistureNotificationManager {
     if (changePercentage >= 10) {
       // Check cooldown
       if (now - this.lastNotificationTime[sensorIndex] > this.notificationCooldown) {
-        this.sendMoistureNotification(sensorIndex, currentValue, previousValue, plantName);
+        this.sendMoistureNotification(sensorIndex, currentValue, previousValue, plantName, thresholds);
         this.lastNotificationTime[sensorIndex] = now;
       }
     }
@@ -90,9 +169,9 @@ class MoistureNotificationManager {
     this.previousMoistureValues[sensorIndex] = currentValue;
   }
 
-  async sendMoistureNotification(sensorIndex, currentValue, previousValue, plantName) {
-    const status = this.getMoistureStatus(currentValue);
-    const previousStatus = this.getMoistureStatus(previousValue);
+  async sendMoistureNotification(sensorIndex, currentValue, previousValue, plantName, thresholds) {
+    const status = classifyMoisture(currentValue, thresholds);
+    const previousStatus = classifyMoisture(previousValue, thresholds);
     
     let title = `🌱 ${plantName} Moisture Change`;
     let body = `Changed from ${previousStatus} to ${status} (${currentValue}/1023)`;
@@ -114,19 +193,12 @@ class MoistureNotificationManager {
     });
   }
 
-  getMoistureStatus(value) {
-    if (value === null) return "No data";
-    if (value >= 800) return "Dry";
-    if (value >= 400) return "Moist";
-    return "Wet";
-  }
-
   // Check for critical moisture levels
-  checkCriticalMoisture(sensorIndex, currentValue, plantName) {
+  checkCriticalMoisture(sensorIndex, currentValue, plantName, thresholds) {
     if (currentValue === null) return;
 
     const now = Date.now();
-    const status = this.getMoistureStatus(currentValue);
+    const status = classifyMoisture(currentValue, thresholds);
     
     // Critical dry level - send immediate notification
     if (status === "Dry" && now - this.lastNotificationTime[sensorIndex] > this.notificationCooldown) {
@@ -183,7 +255,9 @@ const handleLogout = async (navigation) => {
                 // If account deletion fails, provide specific feedback
                 console.log('Account deletion result:', result);
                 
-                if (result.error.includes('requires-recent-login')) {
+                if (result.reason === 'release-failed') {
+                  Alert.alert("Account Not Removed", result.error, [{ text: "OK" }]);
+                } else if (result.error.includes('requires-recent-login')) {
                   Alert.alert(
                     "Security Check Required",
                     "For security reasons, we've removed all your data but couldn't delete the account immediately. Please login again if you want to completely remove your account.",
@@ -220,80 +294,481 @@ const generateDeviceId = () => {
   return `Device_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
 
-const generateAccessToken = () => {
-  return Math.random().toString(36).substr(2) + Math.random().toString(36).substr(2);
-};
-
 const getDeviceCountForIPAndUser = (devices, ipAddress, userId) => {
   return Object.values(devices).filter(
     device => device.ip === ipAddress && device.userId === userId
   ).length;
 };
 
-const controlPump = async (sensorId, action) => {
+// Live data and commands are namespaced per controller under Devices/{controllerId}/...
+const CONTROLLER_ID_REGEX = /^[A-Za-z0-9_-]+$/;
+
+const getDevicePath = (device, path) => {
+  return `Devices/${device.controllerId}/${path}`;
+};
+
+// Pairing - an unpaired controller publishes a short code at Pairing/{code}.
+// Claiming it sets Devices/{controllerId}/owner to the signed-in user, and
+// sensor access is granted only while that owner matches. The database rules
+// only accept the claim together with the code it was made with (claimCode).
+const PAIRING_CODE_REGEX = /^[A-Z0-9]{6}$/;
+const PAIRING_CODE_TTL = 10 * 60 * 1000;
+
+const normalizePairingCode = (code) => code.trim().toUpperCase();
+
+const claimPairingCode = async (code, userId) => {
   try {
-    const pumpPath = `/PumpControl/Sensor${sensorId + 1}`;
-    await update(ref(db, pumpPath), {
-      command: action,
-      timestamp: new Date().toISOString(),
-      sensorId: sensorId + 1
+    const pairingRef = ref(db, `Pairing/${code}`);
+    const snapshot = await get(pairingRef);
+    if (!snapshot.exists()) {
+      return { success: false, error: "Pairing code not found. Check the code on the controller's web page." };
+    }
+
+    const { deviceId: controllerId, createdAt } = snapshot.val();
+    if (!controllerId || !CONTROLLER_ID_REGEX.test(controllerId)) {
+      return { success: false, error: "This pairing code is not valid." };
+    }
+    if (createdAt && Date.now() - createdAt > PAIRING_CODE_TTL) {
+      return { success: false, error: "This pairing code has expired. The controller will show a new one shortly." };
+    }
+
+    const ownerSnapshot = await get(ref(db, `Devices/${controllerId}/owner`));
+    if (ownerSnapshot.exists() && ownerSnapshot.val() !== userId) {
+      return { success: false, error: "This controller is already paired with another account." };
+    }
+
+    await update(ref(db), {
+      [`Devices/${controllerId}/owner`]: userId,
+      [`Devices/${controllerId}/claimCode`]: code,
+      [`Devices/${controllerId}/pairedAt`]: new Date().toISOString(),
+      [`Pairing/${code}`]: null
     });
+
+    return { success: true, controllerId };
+  } catch (error) {
+    console.error("Error claiming pairing code:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Resolves to null when the owner could not be read (e.g. Firebase is offline)
+const isDevicePairedWith = async (device, userId) => {
+  if (!device?.controllerId || !userId) return false;
+
+  try {
+    const snapshot = await get(ref(db, `Devices/${device.controllerId}/owner`));
+    return snapshot.val() === userId;
+  } catch (error) {
+    console.error("Error checking device pairing:", error);
+    return null;
+  }
+};
+
+// Releasing a controller clears the claim so it publishes a fresh pairing code
+const getControllerReleaseUpdates = (controllerId) => ({
+  [`Devices/${controllerId}/owner`]: null,
+  [`Devices/${controllerId}/claimCode`]: null,
+  [`Devices/${controllerId}/pairedAt`]: null
+});
+
+// Each controller runs its schedules in its own timezone (see timezones.js).
+// The user's device record keeps the name for display; the controller reads Config.
+const getDeviceTimeZone = (device) => device?.timezone || DEFAULT_DEVICE_TIMEZONE;
+
+const getControllerTimezoneUpdates = (device, timeZoneId) => {
+  if (!device?.controllerId) return {};
+  return {
+    [getDevicePath(device, "Config/timezone")]: timeZoneId,
+    [getDevicePath(device, "Config/timezonePosix")]: findTimeZone(timeZoneId).posix
+  };
+};
+
+const OFFLINE_QUEUED_MESSAGE = "You're offline - the change is saved on this phone and will sync when the connection returns.";
+
+// Firebase drops briefly on every reconnect, so only fall back to LAN after a grace period
+const FIREBASE_OFFLINE_GRACE = 10000;
+
+// A controller on the local network proves itself by reporting the paired controller ID
+const isLanControllerReachable = async (device) => {
+  if (!device?.controllerId || !isLanAddress(device.ip)) return false;
+  const status = await getLanStatus(device.ip);
+  return status.success && status.deviceId === device.controllerId;
+};
+
+// Pump commands queued offline expire - watering minutes later than asked is worse than not at all.
+// Each command carries a commandId; the controller echoes it back as ackId once it
+// has acted on it, with ackStatus "done" or "rejected" (and ackReason).
+// "ON" runs for durationSec (volumeMl is kept for reference when the user asked for an amount).
+// Pass the tank estimate to refuse "ON" while it is empty: { blocked: true } comes back instead.
+const controlPump = async (device, sensorId, action, { seconds = null, volumeMl = null, reservoirEstimate = null } = {}) => {
+  if (action === "ON" && isTankEmpty(reservoirEstimate)) {
+    console.log(`Pump ${sensorId + 1} ON blocked - water tank empty`);
+    return { success: false, queued: false, blocked: true };
+  }
+
+  try {
+    const pumpPath = getDevicePath(device, `PumpControl/Sensor${sensorId + 1}`);
+    const commandId = `${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const { queued } = await writeOrQueue({
+      [`${pumpPath}/command`]: action,
+      [`${pumpPath}/commandId`]: commandId,
+      [`${pumpPath}/durationSec`]: seconds,
+      [`${pumpPath}/volumeMl`]: volumeMl,
+      [`${pumpPath}/timestamp`]: new Date().toISOString(),
+      [`${pumpPath}/sensorId`]: sensorId + 1
+    }, { label: `Pump ${sensorId + 1} ${action}`, ttl: PUMP_COMMAND_TTL });
     
-    console.log(`Pump ${sensorId + 1} ${action} command sent`);
-    return true;
+    console.log(`Pump ${sensorId + 1} ${action} command ${queued ? "queued" : "sent"}`);
+    return { success: true, queued, commandId };
   } catch (error) {
     console.error("Error controlling pump:", error);
-    return false;
+    return { success: false, queued: false };
+  }
+};
+
+// The controller refuses to start pumps on its own estimate too (see ESP8266.ino)
+const isTankEmpty = (reservoirEstimate) => reservoirEstimate?.level === "empty";
+
+const alertTankEmpty = (what) => {
+  Alert.alert(
+    "Water Tank Empty",
+    `${what} is blocked because the tank is estimated to be empty, and running a pump dry can burn it out.\n\nRefill the tank, then tap the tank bar on the plants screen and choose "I just refilled it".`
+  );
+};
+
+// The controller polls commands every few seconds; longer than this means it is offline
+const PUMP_ACK_TIMEOUT = 20000;
+
+// Commands the controller hasn't picked up yet (it marks them PROCESSED)
+const PENDING_PUMP_COMMANDS = ["ON", "OFF"];
+
+// Resolves to { status: "done" | "rejected" | "timeout", reason }. A command that
+// times out is withdrawn so the controller doesn't act on it when it comes back.
+const waitForPumpAck = (device, sensorId, commandId) =>
+  new Promise((resolve) => {
+    const pumpRef = ref(db, getDevicePath(device, `PumpControl/Sensor${sensorId + 1}`));
+    let settled = false;
+    let unsubscribe = null;
+
+    const finish = (result) => {
+      settled = true;
+      clearTimeout(timer);
+      if (unsubscribe) unsubscribe();
+      resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      // Only withdraws the command if it is still this one and still pending on the
+      // server, so a late acknowledgement or a newer command is never overwritten.
+      // Not awaited: offline, the transaction only settles once the connection returns.
+      runTransaction(pumpRef, (current) => {
+        if (current?.commandId !== commandId || current.ackId === commandId || !PENDING_PUMP_COMMANDS.includes(current.command)) {
+          return undefined;
+        }
+        return { ...current, command: "CANCELLED" };
+      }).catch((error) => {
+        console.error("Error withdrawing pump command:", error);
+      });
+      // Started first so the transaction still sees the listener's copy of the command
+      finish({ status: "timeout", reason: null });
+    }, PUMP_ACK_TIMEOUT);
+
+    unsubscribe = onValue(pumpRef, (snapshot) => {
+      const data = snapshot.val();
+      if (settled || data?.ackId !== commandId) return;
+      finish({ status: data.ackStatus === "rejected" ? "rejected" : "done", reason: data.ackReason || null });
+    });
+    if (settled) unsubscribe();
+  });
+
+// Manual watering - the firmware clamps durationSec to the same range
+const MIN_MANUAL_WATERING_SECONDS = 1;
+const MAX_MANUAL_WATERING_SECONDS = 300;
+
+const WATERING_UNITS = {
+  seconds: { label: "Seconds", suffix: "s", presets: [5, 10, 30, 60] },
+  ml: { label: "Millilitres", suffix: "ml", presets: [50, 100, 250, 500] }
+};
+
+// { seconds, volumeMl } for an amount in `unit`, or { error }
+const getManualWateringRequest = (unit, amount, flowRate = DEFAULT_PUMP_FLOW_RATE) => {
+  if (!Number.isFinite(amount) || amount <= 0) return { error: "Enter how much to water" };
+
+  const seconds = unit === "ml" ? Math.round(amount / flowRate) : amount;
+  if (!Number.isInteger(seconds) || seconds < MIN_MANUAL_WATERING_SECONDS || seconds > MAX_MANUAL_WATERING_SECONDS) {
+    return unit === "ml"
+      ? { error: `At ${flowRate} ml/s the pump can deliver ${MIN_MANUAL_WATERING_SECONDS * flowRate}-${MAX_MANUAL_WATERING_SECONDS * flowRate} ml` }
+      : { error: `Choose ${MIN_MANUAL_WATERING_SECONDS}-${MAX_MANUAL_WATERING_SECONDS} whole seconds` };
+  }
+  return { seconds, volumeMl: unit === "ml" ? amount : null };
+};
+
+const PUMP_COMMAND_STATUS_TEXT = {
+  waiting: (action) => `⏳ Pump ${action} sent - waiting for the controller...`,
+  done: (action) => `✅ Controller confirmed pump ${action}`,
+  rejected: (action) => `⚠️ Controller refused pump ${action}`,
+  timeout: (action) => `❌ No reply to pump ${action} - command withdrawn`
+};
+
+const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${pad2(seconds % 60)}`;
+
+// Live pump state for a plant. `pump` is { on, remaining, receivedAt } from
+// PumpState{n} / PumpRemaining{n}; remaining (-1 = no end time) is counted down
+// locally between the controller's updates.
+const PumpStatusBadge = ({ pump }) => {
+  const [now, setNow] = useState(Date.now());
+  const running = pump?.on === true;
+
+  useEffect(() => {
+    if (!running) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  if (!pump) return null;
+  if (!running) {
+    return <Text style={styles.pumpStatusOffText}>Pump off</Text>;
+  }
+
+  const secondsLeft = pump.remaining > 0
+    ? Math.max(0, Math.ceil(pump.remaining - (now - pump.receivedAt) / 1000))
+    : null;
+
+  return (
+    <View style={styles.pumpStatusOn}>
+      <Text style={styles.pumpStatusOnText}>
+        💧 Pump ON{secondsLeft !== null ? ` · ${formatCountdown(secondsLeft)} left` : ""}
+      </Text>
+    </View>
+  );
+};
+
+// Auto mode thresholds are on the controller's 0-100% moisture scale (higher =
+// wetter, see moistureScale.js), not the raw readings plant thresholds use:
+// watering starts below startBelow and stops at stopAt. Runs are capped at
+// maxRunMinutes and a new one waits minIntervalMinutes after the last one ended.
+// The defaults are the firmware's own.
+const DEFAULT_AUTO_MODE_SETTINGS = { startBelow: 30, stopAt: 40, minIntervalMinutes: 30, maxRunMinutes: 10 };
+const AUTO_MODE_FIELDS = Object.keys(DEFAULT_AUTO_MODE_SETTINGS);
+const MAX_AUTO_MODE_INTERVAL = 1440;
+
+const getAutoModeSettings = (data) => {
+  const settings = { ...DEFAULT_AUTO_MODE_SETTINGS };
+  AUTO_MODE_FIELDS.forEach((field) => {
+    if (Number.isInteger(data?.[field])) settings[field] = data[field];
+  });
+  return settings;
+};
+
+const validateAutoModeSettings = ({ startBelow, stopAt, minIntervalMinutes, maxRunMinutes }) => {
+  if (![startBelow, stopAt, minIntervalMinutes, maxRunMinutes].every(Number.isInteger)) return "Auto mode values must be whole numbers";
+  if (startBelow < 1 || stopAt > 100) return "Moisture thresholds must be between 1% and 100%";
+  if (stopAt <= startBelow) return "Watering must stop at a higher moisture than it starts";
+  if (maxRunMinutes < 1 || maxRunMinutes > MAX_SCHEDULE_DURATION) return `The maximum run time must be 1-${MAX_SCHEDULE_DURATION} minutes`;
+  if (minIntervalMinutes < 0 || minIntervalMinutes > MAX_AUTO_MODE_INTERVAL) return `The wait between runs must be 0-${MAX_AUTO_MODE_INTERVAL} minutes`;
+  return null;
+};
+
+const toAutoModeInputs = (settings) =>
+  Object.fromEntries(AUTO_MODE_FIELDS.map((field) => [field, String(settings[field])]));
+
+const describeAutoModeSettings = (settings) =>
+  `Starts below ${settings.startBelow}% (reading above ~${percentToRaw(settings.startBelow)}) · stops at ${settings.stopAt}% (reading ~${percentToRaw(settings.stopAt)}) · runs up to ${settings.maxRunMinutes} min · waits ${settings.minIntervalMinutes} min between runs`;
+
+// Pass settings to change the thresholds along with the switch; fields left out keep their saved value
+const setAutoMode = (device, sensorId, enabled, settings = null) => {
+  const autoModePath = getDevicePath(device, `AutoMode/Sensor${sensorId + 1}`);
+  const updates = {
+    [`${autoModePath}/enabled`]: enabled,
+    [`${autoModePath}/lastUpdated`]: new Date().toISOString(),
+    [`${autoModePath}/sensorId`]: sensorId + 1
+  };
+  if (settings) {
+    AUTO_MODE_FIELDS.forEach((field) => {
+      if (settings[field] !== undefined) updates[`${autoModePath}/${field}`] = settings[field];
+    });
   }
+  return writeOrQueue(updates, { label: `Auto mode for Sensor ${sensorId + 1}` });
+};
+
+const getUserSchedulePath = (userId, deviceId, sensorId) => {
+  return `Schedules/${userId}/${deviceId}/Sensor${sensorId + 1}`;
 };
 
-const loadSchedules = async (sensorId, userId) => {
+const loadSchedules = async (sensorId, userId, device) => {
   // ADDED: User validation
-  if (!userId) {
-    console.error("No user ID provided for loading schedules");
+  if (!userId || !device) {
+    console.error("No user or device provided for loading schedules");
     return getDefaultSchedules();
   }
 
+  const cacheKey = cacheKeys.schedules(userId, device.deviceId, sensorId);
+
   try {
-    const scheduleRef = ref(db, `Schedules/${userId}/Sensor${sensorId + 1}`);
-    const snapshot = await get(scheduleRef);
+    let snapshot = await get(ref(db, getUserSchedulePath(userId, device.deviceId, sensorId)));
+
+    // Schedules saved before multi-device support live directly under the user
+    if (!snapshot.exists() && device.hasLegacyData) {
+      snapshot = await get(ref(db, `Schedules/${userId}/Sensor${sensorId + 1}`));
+    }
     
     if (snapshot.exists()) {
       const data = snapshot.val();
       console.log("Loaded schedules for user", userId, ":", data);
       
       if (Array.isArray(data)) {
-        return data;
+        return data.filter(Boolean).map(normalizeRule);
       } else if (data.schedules && Array.isArray(data.schedules)) {
-        return data.schedules;
+        const schedules = data.schedules.filter(Boolean).map(normalizeRule);
+        writeCache(cacheKey, { schedules, lastUpdated: data.lastUpdated || null });
+        return schedules;
       } else {
-        const schedules = [];
-        for (let i = 1; i <= 3; i++) {
-          const scheduleKey = `schedule${i}`;
-          if (data[scheduleKey]) {
-            schedules.push({
-              hour: data[scheduleKey].hour || 8 + (i-1)*6,
-              minute: data[scheduleKey].minute || 0,
-              enabled: data[scheduleKey].enabled || false,
-              days: data[scheduleKey].days || 127
-            });
-          }
-        }
+        // Oldest format: schedule1, schedule2, ... keys holding weekly slots
+        const schedules = Object.keys(data)
+          .filter((key) => /^schedule\d+$/.test(key))
+          .sort((a, b) => Number(a.slice(8)) - Number(b.slice(8)))
+          .map((key) => normalizeRule({
+            hour: data[key].hour || 0,
+            minute: data[key].minute || 0,
+            enabled: data[key].enabled || false,
+            days: data[key].days || 127,
+            duration: data[key].duration || DEFAULT_SCHEDULE_DURATION
+          }));
         return schedules.length > 0 ? schedules : getDefaultSchedules();
       }
     }
   } catch (error) {
     console.error("Error loading schedules for user", userId, ":", error);
+
+    // Offline - fall back to the copy saved the last time they were loaded or edited
+    const cached = await readCache(cacheKey);
+    if (cached?.schedules) return cached.schedules.map(normalizeRule);
   }
   
   return getDefaultSchedules();
 };
 
-const getDefaultSchedules = () => [
-  { hour: 8, minute: 0, enabled: false, days: 127 },
-  { hour: 14, minute: 0, enabled: false, days: 127 },
-  { hour: 20, minute: 0, enabled: false, days: 127 }
-];
+// Schedules run only on the controller. It acknowledges each revision it loads
+// under ScheduleAck/SensorN and logs every run under ScheduleRuns/SensorN.
+const SCHEDULE_RUN_LIMIT = 5;
+const SCHEDULE_ENGINE_LABELS = { device: "⚙️ Controller" };
+const SCHEDULE_RUN_STATUS_LABELS = { running: "running", completed: "completed", stopped: "stopped early", skipped: "skipped" };
+
+// "08:00 · rule 2 · 2 of 5 min · completed" - runs shortened by the soil check show both lengths
+const describeScheduleRun = (run) => {
+  const plannedMin = run.plannedMin ?? run.durationMin;
+  const minutes = run.status !== "skipped" && run.durationMin !== plannedMin
+    ? `${run.durationMin} of ${plannedMin} min`
+    : `${plannedMin} min`;
+  return `${run.scheduledFor}${run.rule ? ` · rule ${run.rule}` : ""} · ${minutes} · ${SCHEDULE_RUN_STATUS_LABELS[run.status] || run.status}`;
+};
+
+const loadTimestampedEntries = async (path, from, to) => {
+  const entriesQuery = query(ref(db, path), orderByChild("timestamp"), startAt(from), endAt(to));
+  const snapshot = await get(entriesQuery);
+
+  const entries = [];
+  snapshot.forEach((child) => {
+    entries.push({ id: child.key, ...child.val() });
+  });
+
+  // Newest first
+  return entries.sort((a, b) => b.timestamp - a.timestamp);
+};
+
+// Moisture history - the controller pushes a reading per sensor every few minutes to
+// Devices/{controllerId}/History/SensorN (see ESP8266.ino); the app only reads it.
+// The controller trims readings older than 30 days, the longest trend window.
+const loadMoistureHistory = async (device, sensorIndex, from, to) => {
+  if (!device?.controllerId) return [];
+  return loadTimestampedEntries(getDevicePath(device, `History/Sensor${sensorIndex + 1}`), from, to);
+};
+
+// Runs the controller logged under a device path, by startedAt, newest first
+const loadDeviceRuns = async (device, path, from, to) => {
+  const runsQuery = query(
+    ref(db, getDevicePath(device, path)),
+    orderByChild("startedAt"),
+    startAt(from),
+    endAt(to)
+  );
+  const snapshot = await get(runsQuery);
+
+  const runs = [];
+  snapshot.forEach((child) => {
+    runs.push({ id: child.key, ...child.val() });
+  });
+  return runs.sort((a, b) => b.startedAt - a.startedAt);
+};
+
+// Scheduled runs (including ones the soil check skipped)
+const loadScheduleRuns = (device, sensorIndex, from, to) =>
+  loadDeviceRuns(device, `ScheduleRuns/Sensor${sensorIndex + 1}`, from, to);
+
+// Every pump run - manual, schedule or auto - with moisture before and after
+const loadWateringLog = (device, sensorIndex, from, to) =>
+  loadDeviceRuns(device, `WateringLog/Sensor${sensorIndex + 1}`, from, to);
+
+const WATERING_SOURCE_LABELS = {
+  manual: "Manual (app)",
+  web: "Manual (controller page)",
+  schedule: "Schedule",
+  auto: "Auto mode"
+};
+
+const formatRunLength = (seconds) =>
+  seconds < 60 ? `${seconds} s` : `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+
+// Plants used to live directly under Users/{uid}/plants/{idx}. Move them under the
+// device that was registered before pairing existed the first time it is opened.
+const migrateLegacyPlants = async (userId, deviceId) => {
+  try {
+    const snapshot = await get(ref(db, `Users/${userId}/plants`));
+    if (!snapshot.exists()) return;
+
+    const raw = snapshot.val();
+    if (raw[deviceId]) return;
+
+    const updates = {};
+    for (let i = 0; i < 4; i++) {
+      if (raw[i]) {
+        updates[`Users/${userId}/plants/${deviceId}/${i}`] = raw[i];
+        updates[`Users/${userId}/plants/${i}`] = null;
+      }
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await update(ref(db), updates);
+      console.log("Migrated legacy plants to device:", deviceId);
+    }
+  } catch (error) {
+    console.error("Error migrating legacy plants:", error);
+  }
+};
+
+// Average readings into fixed time buckets so long windows stay readable
+const downsampleReadings = (readings, from, to, bucketCount) => {
+  const bucketSize = (to - from) / bucketCount;
+  const buckets = Array.from({ length: bucketCount }, () => ({ sum: 0, count: 0 }));
+
+  readings.forEach((reading) => {
+    const index = Math.min(bucketCount - 1, Math.floor((reading.timestamp - from) / bucketSize));
+    if (index < 0) return;
+    buckets[index].sum += reading.value;
+    buckets[index].count += 1;
+  });
+
+  return buckets
+    .map((bucket, index) => bucket.count > 0 ? {
+      timestamp: from + bucketSize * (index + 0.5),
+      value: Math.round(bucket.sum / bucket.count)
+    } : null)
+    .filter(Boolean);
+};
+
+// A sensor starts with no watering rules - see scheduleRules.js for the rule model
+const getDefaultSchedules = () => [];
 
 // Decorative Components
 const LeafDecoration = ({ style, rotation }) => (
@@ -341,8 +816,21 @@ const LoginScreen = ({ navigation }) => {
       if (result.success) {
         setTempEmail(email);
         setOtpModalVisible(true);
-        // REMOVED ONLY THIS ALERT LINE:
-        // Alert.alert("OTP Sent", `Check your email for the verification code${result.demoOTP ? `\n\nDemo OTP: ${result.demoOTP}` : ''}`);
+      } else if (result.reason === 'delivery-failed') {
+        Alert.alert("Email Not Sent", `We couldn't email your code to ${email}.\n\n${result.error}`, [
+          { text: "Cancel", style: "cancel" },
+          { text: "Try Again", onPress: () => handleSendOTP(purpose) }
+        ]);
+      } else if (result.code === 'not-found' && purpose === 'login') {
+        Alert.alert("No Account Found", result.error, [
+          { text: "Cancel", style: "cancel" },
+          { text: "Register", onPress: () => handleSendOTP('register') }
+        ]);
+      } else if (result.code === 'already-exists' && purpose === 'register') {
+        Alert.alert("Account Exists", `${result.error} Sign in instead?`, [
+          { text: "Cancel", style: "cancel" },
+          { text: "Sign In", onPress: () => handleSendOTP('login') }
+        ]);
       } else {
         Alert.alert("OTP Failed", result.error || "Failed to send OTP");
       }
@@ -364,10 +852,7 @@ const LoginScreen = ({ navigation }) => {
       
       if (result.success) {
         setOtpModalVisible(false);
-        const message = otpPurpose === 'register' 
-          ? "Account created successfully! Welcome to PAWS!" 
-          : "Welcome back to PAWS!";
-        Alert.alert("Success", message);
+        Alert.alert("Success", result.message);
       } else {
         Alert.alert("OTP Error", result.error || "Invalid OTP");
       }
@@ -381,11 +866,12 @@ const LoginScreen = ({ navigation }) => {
     const result = await sendOTP(tempEmail, otpPurpose);
     if (result.success) {
       Alert.alert("OTP Resent", "New OTP sent to your email");
-      return result;
+    } else if (result.reason === 'delivery-failed') {
+      Alert.alert("Email Not Sent", `We couldn't email a new code to ${tempEmail}.\n\n${result.error}`);
     } else {
       Alert.alert("Resend Failed", result.error || "Failed to resend OTP");
-      return result;
     }
+    return result;
   };
 
   return (
@@ -412,6 +898,20 @@ const LoginScreen = ({ navigation }) => {
           />
 
           <View style={styles.otpButtonsContainer}>
+            <TouchableOpacity 
+              style={[
+                styles.otpButton, 
+                styles.loginButton,
+                (isRegisterLoading || isLoading) && styles.disabledButton
+              ]} 
+              onPress={() => handleSendOTP('login')}
+              disabled={isRegisterLoading || isLoading}
+            >
+              <Text style={styles.loginButtonText}>
+                {isLoading ? "Sending OTP..." : "Sign In with OTP"}
+              </Text>
+            </TouchableOpacity>
+
             <TouchableOpacity 
               style={[
                 styles.otpButton, 
@@ -428,7 +928,8 @@ const LoginScreen = ({ navigation }) => {
           </View>
 
           <Text style={styles.otpAlternative}>
-            🔐 Secure OTP authentication - No password required
+            🔐 Secure OTP authentication - No password required.{"\n"}
+            Already registered? Sign in with a new code on any phone.
           </Text>
         </View>
       </View>
@@ -493,23 +994,155 @@ const DeviceRenameModal = ({ visible, onClose, onRename, currentName }) => {
   );
 };
 
+const PairDeviceModal = ({ visible, onClose, onPair, deviceName }) => {
+  const [code, setCode] = useState("");
+  const [isPairing, setIsPairing] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setCode("");
+      setIsPairing(false);
+    }
+  }, [visible]);
+
+  const handlePair = async () => {
+    const pairingCode = normalizePairingCode(code);
+    if (!PAIRING_CODE_REGEX.test(pairingCode)) {
+      Alert.alert("Error", "Please enter the 6-character code shown on the controller");
+      return;
+    }
+
+    setIsPairing(true);
+    await onPair(pairingCode);
+    setIsPairing(false);
+  };
+
+  return (
+    <Modal animationType="fade" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={styles.modalContainer}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Pair Controller</Text>
+          <Text style={styles.modalSubtitle}>{deviceName}</Text>
+          <TextInput 
+            style={styles.input} 
+            value={code} 
+            onChangeText={setCode} 
+            placeholder="Pairing code (e.g., K7Q2XM)" 
+            autoFocus={true}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            maxLength={6}
+          />
+          <Text style={styles.controllerIdHint}>
+            Open the controller's web page on the same network to see its pairing code.
+          </Text>
+          <View style={styles.modalButtons}>
+            <TouchableOpacity style={[styles.modalButton, styles.cancelButton]} onPress={onClose}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity 
+              style={[styles.modalButton, styles.connectButton, isPairing ? styles.disabledButton : {}]} 
+              onPress={handlePair}
+              disabled={isPairing}
+            >
+              <Text style={styles.connectButtonText}>{isPairing ? "Pairing..." : "Pair"}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const TimezoneModal = ({ visible, onClose, onSave, deviceName, currentTimeZone }) => {
+  const [timeZone, setTimeZone] = useState(DEFAULT_DEVICE_TIMEZONE);
+  const phoneTimeZone = getPhoneTimeZone();
+
+  useEffect(() => {
+    if (visible) {
+      setTimeZone(currentTimeZone || DEFAULT_DEVICE_TIMEZONE);
+    }
+  }, [visible, currentTimeZone]);
+
+  return (
+    <Modal animationType="fade" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={styles.modalContainer}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Controller Timezone</Text>
+          <Text style={styles.modalSubtitle}>{deviceName}</Text>
+          <View style={[styles.pickerWrapper, styles.timezonePickerWrapper]}>
+            <Picker
+              selectedValue={timeZone}
+              onValueChange={setTimeZone}
+              style={styles.picker}
+            >
+              {TIMEZONES.map((zone) => (
+                <Picker.Item
+                  key={zone.id}
+                  label={`${zone.label} (${formatUtcOffset(getTimeZoneOffset(zone.id))})`}
+                  value={zone.id}
+                />
+              ))}
+            </Picker>
+          </View>
+          <Text style={styles.controllerIdHint}>
+            Watering rules run at these local times, wherever the phone editing them is.
+          </Text>
+          {phoneTimeZone && phoneTimeZone !== timeZone && (
+            <TouchableOpacity onPress={() => setTimeZone(phoneTimeZone)}>
+              <Text style={styles.timezonePhoneLink}>Use this phone's timezone ({describeTimeZone(phoneTimeZone)})</Text>
+            </TouchableOpacity>
+          )}
+          <View style={styles.modalButtons}>
+            <TouchableOpacity style={[styles.modalButton, styles.cancelButton]} onPress={onClose}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.modalButton, styles.connectButton]} onPress={() => onSave(timeZone)}>
+              <Text style={styles.connectButtonText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
 const PlantRegistrationModal = ({ visible, onClose, onRegister, sensorId }) => {
   const [plantName, setPlantName] = useState("");
+  const [profileId, setProfileId] = useState("");
 
   useEffect(() => {
-    if (!visible) setPlantName("");
+    if (!visible) {
+      setPlantName("");
+      setProfileId("");
+    }
   }, [visible]);
 
+  const profile = getPlantProfile(profileId);
+
+  const handleSelectProfile = (value) => {
+    setProfileId(value);
+    const selected = getPlantProfile(value);
+    // Only suggest a name while the user hasn't typed one
+    if (selected && !plantName.trim()) {
+      setPlantName(selected.name);
+    }
+  };
+
   const handleRegister = () => {
     if (!plantName.trim()) {
       Alert.alert("Error", "Please enter a plant name");
       return;
     }
-    onRegister(sensorId, plantName.trim());
+    onRegister(sensorId, plantName.trim(), profileId || null);
     setPlantName("");
+    setProfileId("");
     onClose();
   };
 
+  const getProfileScheduleText = () =>
+    getDefaultRules(profile, null).map(describeRule).join(", ") + ` (${profile.watering})`;
+
   // Check if this is Sensor 3 (index 2)
   const isSensor3 = sensorId === 2;
 
@@ -525,6 +1158,33 @@ const PlantRegistrationModal = ({ visible, onClose, onRegister, sensorId }) => {
             }
           </Text>
 
+          <Text style={styles.speciesLabel}>Species (from Plant Guide)</Text>
+          <View style={[styles.pickerWrapper, styles.speciesPickerWrapper]}>
+            <Picker
+              selectedValue={profileId}
+              onValueChange={handleSelectProfile}
+              style={styles.picker}
+              mode="dropdown"
+            >
+              <Picker.Item label="Custom - no profile" value="" />
+              {PLANT_CATALOG.map((entry) => (
+                <Picker.Item key={entry.id} label={`${entry.emoji} ${entry.name}`} value={entry.id} />
+              ))}
+            </Picker>
+          </View>
+
+          {profile && (
+            <View style={styles.speciesProfileCard}>
+              <Text style={styles.speciesProfileText}>
+                Thresholds: Dry ≥ {profile.thresholds.dry} · Moist ≥ {profile.thresholds.moist}
+              </Text>
+              <Text style={styles.speciesProfileText}>Schedule: {getProfileScheduleText()}</Text>
+              <Text style={styles.speciesProfileText}>
+                Auto mode: {profile.autoMode.enabled ? "On" : "Off"} · starts below {profile.autoMode.startBelow}% · stops at {profile.autoMode.stopAt}%
+              </Text>
+            </View>
+          )}
+
           <TextInput
             style={styles.input}
             placeholder="e.g., Rose, Basil, Cactus"
@@ -573,7 +1233,7 @@ const OTPModal = ({ visible, onClose, email, purpose, onVerify, onResend }) => {
   }, [visible]);
 
   const startCountdown = () => {
-    setCountdown(30);
+    setCountdown(60); // matches the server's resend cooldown
     const timer = setInterval(() => {
       setCountdown((prev) => {
         if (prev <= 1) {
@@ -604,8 +1264,11 @@ const OTPModal = ({ visible, onClose, email, purpose, onVerify, onResend }) => {
   const handleResend = async () => {
     setResendLoading(true);
     try {
-      await onResend();
-      startCountdown();
+      // Only a code that actually went out starts the cooldown
+      const result = await onResend();
+      if (result?.success) {
+        startCountdown();
+      }
     } catch (error) {
       Alert.alert('Error', 'Failed to resend OTP');
     } finally {
@@ -685,18 +1348,59 @@ const OTPModal = ({ visible, onClose, email, purpose, onVerify, onResend }) => {
   );
 };
 
-const ScheduleModal = ({ visible, onClose, onSave, sensorId, plantName, existingSchedules }) => {
-  const [schedules, setSchedules] = useState(getDefaultSchedules());
+// Numeric rule fields are edited as text and converted back on save
+const RULE_NUMBER_FIELDS = ["duration", "intervalDays", "intervalHours", "offsetMinutes", "latitude", "longitude", "shortenPercent"];
+
+const toEditableRule = (rule) => {
+  const editable = { ...rule };
+  RULE_NUMBER_FIELDS.forEach((field) => {
+    if (field in rule) editable[field] = rule[field] === null ? "" : String(rule[field]);
+  });
+  return editable;
+};
+
+const fromEditableRule = (rule) => {
+  const values = { ...rule };
+  RULE_NUMBER_FIELDS.forEach((field) => {
+    if (typeof rule[field] !== "string") return;
+    const value = rule[field].trim() === "" ? null : Number(rule[field]);
+    values[field] = Number.isFinite(value) ? value : null;
+  });
+  return values;
+};
+
+const ScheduleModal = ({ visible, onClose, onSave, sensorId, plantName, existingSchedules, timeZone, otherSchedules, plantNames, dryThreshold }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [showPreview, setShowPreview] = useState(false);
 
   useEffect(() => {
     if (visible) {
-      setSchedules(existingSchedules || getDefaultSchedules());
+      setSchedules((existingSchedules || getDefaultSchedules()).map((schedule) => toEditableRule(normalizeRule(schedule))));
+      setShowPreview(false);
     }
   }, [visible, existingSchedules]);
 
-  const daysOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  // Conflicts are checked on the rules that are complete so far; incomplete ones
+  // are reported by validateRule on save
+  const controllerNow = getControllerNow(timeZone);
+  const utcOffset = getTimeZoneOffset(timeZone);
+  const checkableRules = schedules.map((schedule) => {
+    const rule = fromEditableRule(schedule);
+    return validateRule(rule) ? { ...rule, enabled: false } : rule;
+  });
+  const conflicts = findRuleConflicts(checkableRules, controllerNow.today, utcOffset);
+
   const hours = Array.from({ length: 24 }, (_, i) => i);
   const minutes = Array.from({ length: 60 }, (_, i) => i);
+  const monthDays = Array.from({ length: 31 }, (_, i) => i + 1);
+  const showPhoneTime = phoneDiffersFrom(timeZone);
+
+  // "07:30 on your phone" hint for a controller clock time, when the two zones differ
+  const describePhoneTime = (minutesOfDay) => {
+    const { minutes, dayShift } = toPhoneTime(minutesOfDay, timeZone);
+    const day = dayShift < 0 ? " (previous day)" : dayShift > 0 ? " (next day)" : "";
+    return `${pad2(Math.floor(minutes / 60))}:${pad2(minutes % 60)} on your phone${day}`;
+  };
 
   const updateSchedule = (index, field, value) => {
     const newSchedules = [...schedules];
@@ -704,39 +1408,294 @@ const ScheduleModal = ({ visible, onClose, onSave, sensorId, plantName, existing
     setSchedules(newSchedules);
   };
 
-  const toggleDay = (scheduleIndex, dayIndex) => {
-    const newSchedules = [...schedules];
-    const currentDays = newSchedules[scheduleIndex].days;
-    const dayMask = 1 << dayIndex;
-    
-    if (currentDays & dayMask) {
-      newSchedules[scheduleIndex].days = currentDays & ~dayMask;
-    } else {
-      newSchedules[scheduleIndex].days = currentDays | dayMask;
+  // Keeps what all rule types share and resets the type-specific fields
+  const changeRuleType = (index, type) => {
+    const current = schedules[index];
+    if (current.type === type) return;
+
+    const overrides = {
+      id: current.id,
+      enabled: current.enabled,
+      duration: Number(current.duration) || DEFAULT_SCHEDULE_DURATION,
+      seasonStart: current.seasonStart ?? null,
+      seasonEnd: current.seasonEnd ?? null
+    };
+    if (type === "everyNDays") {
+      overrides.startDay = dateToDayNumber(controllerNow.today);
     }
-    
+    if (type === "solar") {
+      // Reuse the location of another sunrise/sunset rule if there is one
+      const located = schedules.find((rule) => rule.type === "solar" && rule.latitude !== "");
+      if (located) {
+        overrides.latitude = Number(located.latitude);
+        overrides.longitude = Number(located.longitude);
+      }
+    }
+
+    const newSchedules = [...schedules];
+    newSchedules[index] = toEditableRule(createRule(type, overrides));
     setSchedules(newSchedules);
   };
 
-  const isDaySelected = (scheduleIndex, dayIndex) => {
-    return (schedules[scheduleIndex].days & (1 << dayIndex)) !== 0;
+  const addRule = () => {
+    if (schedules.length >= MAX_RULES_PER_SENSOR) {
+      Alert.alert("Limit Reached", `A sensor can have up to ${MAX_RULES_PER_SENSOR} watering rules.`);
+      return;
+    }
+    setSchedules([...schedules, toEditableRule(createRule("weekly"))]);
   };
 
-  const selectAllDays = (scheduleIndex) => {
-    updateSchedule(scheduleIndex, 'days', 127);
+  const removeRule = (index) => {
+    setSchedules(schedules.filter((_, i) => i !== index));
   };
 
-  const clearAllDays = (scheduleIndex) => {
-    updateSchedule(scheduleIndex, 'days', 0);
+  const stepNumber = (index, field, delta, min, max) => {
+    const current = Number(schedules[index][field]) || 0;
+    const next = Math.min(max, Math.max(min, current + delta));
+    updateSchedule(index, field, String(next));
   };
 
-  const handleSave = () => {
+  const toggleSeason = (index, enabled) => {
+    const newSchedules = [...schedules];
+    newSchedules[index] = {
+      ...newSchedules[index],
+      seasonStart: enabled ? 301 : null,
+      seasonEnd: enabled ? 1031 : null
+    };
+    setSchedules(newSchedules);
+  };
+
+  const updateMonthDay = (index, field, month, day) => {
+    updateSchedule(index, field, month * 100 + day);
+  };
+
+  const saveRules = (schedulesToSave) => {
     console.log("Saving schedules for sensor:", sensorId);
-    console.log("Schedules data:", schedules);
-    onSave(sensorId, schedules);
+    console.log("Schedules data:", schedulesToSave);
+    onSave(sensorId, schedulesToSave);
     onClose();
   };
 
+  const handleSave = () => {
+    // Disabled rules are validated too, so switching one on later can't produce a broken rule
+    const schedulesToSave = schedules.map(fromEditableRule);
+    for (let i = 0; i < schedulesToSave.length; i++) {
+      const error = validateRule(schedulesToSave[i]);
+      if (error) {
+        Alert.alert("Invalid Rule", `Rule ${i + 1}: ${error}`);
+        return;
+      }
+    }
+
+    const saveConflicts = findRuleConflicts(schedulesToSave, controllerNow.today, utcOffset);
+    const duplicate = saveConflicts.find((conflict) => conflict.type === "duplicate");
+    if (duplicate) {
+      Alert.alert("Duplicate Times", `${describeConflict(duplicate)}.\n\nChange or remove one of them before saving.`);
+      return;
+    }
+
+    if (saveConflicts.length > 0) {
+      Alert.alert(
+        "Overlapping Rules",
+        `${saveConflicts.slice(0, 3).map(describeConflict).join("\n\n")}\n\nThe controller waters one rule at a time per sensor, so the later run will be skipped.`,
+        [
+          { text: "Edit", style: "cancel" },
+          { text: "Save Anyway", onPress: () => saveRules(schedulesToSave) }
+        ]
+      );
+      return;
+    }
+
+    saveRules(schedulesToSave);
+  };
+
+  const renderPickerColumn = (label, selectedValue, values, onValueChange, formatLabel = pad2) => (
+    <View style={styles.pickerColumn}>
+      <Text style={styles.pickerLabel}>{label}</Text>
+      <View style={styles.pickerWrapper}>
+        <Picker
+          selectedValue={selectedValue}
+          onValueChange={onValueChange}
+          style={styles.picker}
+          mode="dropdown"
+        >
+          {values.map((value) => (
+            <Picker.Item key={value} label={formatLabel(value)} value={value} />
+          ))}
+        </Picker>
+      </View>
+    </View>
+  );
+
+  const renderStepper = (index, field, label, step, min, max, hint) => (
+    <View style={styles.timeSection}>
+      <Text style={styles.durationLabel}>{label}</Text>
+      <View style={[styles.durationContainer, { justifyContent: 'center' }]}>
+        <TouchableOpacity style={styles.proQuickButton} onPress={() => stepNumber(index, field, -step, min, max)}>
+          <Text style={styles.proQuickButtonText}>−</Text>
+        </TouchableOpacity>
+        <TextInput
+          style={[styles.thresholdInput, styles.durationInput, { marginRight: 10 }]}
+          value={schedules[index][field]}
+          onChangeText={(text) => updateSchedule(index, field, text.replace(min < 0 ? /[^0-9-]/g : /[^0-9]/g, ''))}
+          keyboardType={min < 0 ? "numbers-and-punctuation" : "number-pad"}
+          maxLength={4}
+        />
+        <TouchableOpacity style={styles.proQuickButton} onPress={() => stepNumber(index, field, step, min, max)}>
+          <Text style={styles.proQuickButtonText}>+</Text>
+        </TouchableOpacity>
+      </View>
+      {hint && <Text style={styles.settingsHint}>{hint}</Text>}
+    </View>
+  );
+
+  const renderClockTime = (index, schedule) => (
+    <View style={styles.timeSection}>
+      <Text style={styles.sectionTitle}>Time (24-hour format)</Text>
+      <View style={styles.timePickersContainer}>
+        {renderPickerColumn("Hour", schedule.hour, hours, (value) => updateSchedule(index, 'hour', value))}
+        <Text style={styles.timeSeparator}>:</Text>
+        {renderPickerColumn("Minute", schedule.minute, minutes, (value) => updateSchedule(index, 'minute', value))}
+      </View>
+      <Text style={styles.selectedTime}>
+        Set for: {formatScheduleTime(schedule)}
+      </Text>
+      {showPhoneTime && (
+        <Text style={styles.settingsHint}>{describePhoneTime(schedule.hour * 60 + schedule.minute)}</Text>
+      )}
+    </View>
+  );
+
+  const renderDays = (index, schedule) => (
+    <View style={styles.daysSection}>
+      <ProfessionalDaysSelector
+        selectedDays={schedule.days}
+        onDaysChange={(newDays) => updateSchedule(index, 'days', newDays)}
+      />
+    </View>
+  );
+
+  const renderRuleFields = (index, schedule) => {
+    switch (schedule.type) {
+      case "everyNDays":
+        return (
+          <>
+            {renderStepper(index, 'intervalDays', 'Repeat every (days)', 1, 1, 60)}
+            <View style={styles.timeSection}>
+              <Text style={styles.sectionTitle}>Counting from</Text>
+              <View style={[styles.durationContainer, { justifyContent: 'center' }]}>
+                <TouchableOpacity style={styles.proQuickButton} onPress={() => updateSchedule(index, 'startDay', schedule.startDay - 1)}>
+                  <Text style={styles.proQuickButtonText}>−</Text>
+                </TouchableOpacity>
+                <Text style={styles.ruleStartDate}>{dayNumberToDate(schedule.startDay).toDateString()}</Text>
+                <TouchableOpacity style={styles.proQuickButton} onPress={() => updateSchedule(index, 'startDay', schedule.startDay + 1)}>
+                  <Text style={styles.proQuickButtonText}>+</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+            {renderClockTime(index, schedule)}
+          </>
+        );
+
+      case "everyNHours":
+        return (
+          <>
+            {renderStepper(index, 'intervalHours', 'Repeat every (hours)', 1, 1, 23)}
+            <View style={styles.timeSection}>
+              <Text style={styles.sectionTitle}>Between</Text>
+              <View style={styles.timePickersContainer}>
+                {renderPickerColumn("From", schedule.windowStart, hours, (value) => updateSchedule(index, 'windowStart', value), (hour) => `${pad2(hour)}:00`)}
+                {renderPickerColumn("To", schedule.windowEnd, hours, (value) => updateSchedule(index, 'windowEnd', value), (hour) => `${pad2(hour)}:59`)}
+                {renderPickerColumn("At minute", schedule.minute, minutes, (value) => updateSchedule(index, 'minute', value))}
+              </View>
+              {showPhoneTime && (
+                <Text style={styles.settingsHint}>
+                  First run {describePhoneTime(schedule.windowStart * 60 + schedule.minute)}
+                </Text>
+              )}
+            </View>
+            {renderDays(index, schedule)}
+          </>
+        );
+
+      case "solar":
+        return (
+          <>
+            <View style={styles.historyRangeRow}>
+              {["sunrise", "sunset"].map((event) => (
+                <TouchableOpacity
+                  key={event}
+                  style={[styles.historyRangeButton, schedule.event === event && styles.historyRangeButtonActive]}
+                  onPress={() => updateSchedule(index, 'event', event)}
+                >
+                  <Text style={[styles.historyRangeText, schedule.event === event && styles.historyRangeTextActive]}>
+                    {event === "sunrise" ? "🌅 Sunrise" : "🌇 Sunset"}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {renderStepper(index, 'offsetMinutes', 'Offset (minutes)', 5, -180, 180, 'Negative values water before the sun event, positive after.')}
+            <View style={styles.timeSection}>
+              <Text style={styles.sectionTitle}>Garden location</Text>
+              <View style={styles.timePickersContainer}>
+                <TextInput
+                  style={[styles.input, styles.ruleCoordinateInput]}
+                  placeholder="Latitude"
+                  value={schedule.latitude}
+                  onChangeText={(text) => updateSchedule(index, 'latitude', text.replace(/[^0-9.-]/g, ''))}
+                  keyboardType="numbers-and-punctuation"
+                />
+                <TextInput
+                  style={[styles.input, styles.ruleCoordinateInput]}
+                  placeholder="Longitude"
+                  value={schedule.longitude}
+                  onChangeText={(text) => updateSchedule(index, 'longitude', text.replace(/[^0-9.-]/g, ''))}
+                  keyboardType="numbers-and-punctuation"
+                />
+              </View>
+              <Text style={styles.settingsHint}>Decimal degrees, e.g. 12.97 and 77.59. Used to work out sunrise and sunset for each day.</Text>
+            </View>
+            {renderDays(index, schedule)}
+          </>
+        );
+
+      default:
+        return (
+          <>
+            {renderClockTime(index, schedule)}
+            {renderDays(index, schedule)}
+          </>
+        );
+    }
+  };
+
+  const renderSeason = (index, schedule) => {
+    const seasonOn = hasSeason(schedule);
+    return (
+      <View style={styles.timeSection}>
+        <View style={styles.scheduleCardHeader}>
+          <Text style={styles.sectionTitle}>Only during a season</Text>
+          <Switch
+            value={seasonOn}
+            onValueChange={(value) => toggleSeason(index, value)}
+            trackColor={{ false: '#767577', true: '#81b0ff' }}
+            thumbColor={seasonOn ? '#4CAF50' : '#f4f3f4'}
+          />
+        </View>
+        {seasonOn && [["seasonStart", "From"], ["seasonEnd", "Until"]].map(([field, label]) => {
+          const month = Math.floor(schedule[field] / 100);
+          const day = schedule[field] % 100;
+          return (
+            <View key={field} style={styles.timePickersContainer}>
+              {renderPickerColumn(`${label} month`, month, MONTH_NAMES.map((_, i) => i + 1), (value) => updateMonthDay(index, field, value, day), (value) => MONTH_NAMES[value - 1])}
+              {renderPickerColumn("Day", day, monthDays, (value) => updateMonthDay(index, field, month, value), String)}
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+
   return (
     <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
       <View style={styles.modalContainer}>
@@ -752,15 +1711,32 @@ const ScheduleModal = ({ visible, onClose, onSave, sensorId, plantName, existing
             </TouchableOpacity>
           </View>
 
-          <Text style={styles.warningText}>
-            ⚠️ Uses your phone's local time and day
+          <Text style={styles.timezoneNotice}>
+            🕒 Times and days are the controller's: {describeTimeZone(timeZone)}
+            {showPhoneTime ? `\nYour phone is on ${formatUtcOffset(-new Date().getTimezoneOffset())} - converted times are shown below each rule.` : ""}
           </Text>
 
           <ScrollView style={{ width: '100%' }} showsVerticalScrollIndicator={false}>
+            {conflicts.length > 0 && (
+              <View style={styles.conflictBox}>
+                <Text style={styles.conflictTitle}>⚠️ {conflicts.length === 1 ? "1 conflict" : `${conflicts.length} conflicts`}</Text>
+                {conflicts.slice(0, 3).map((conflict, index) => (
+                  <Text key={index} style={styles.conflictText}>• {describeConflict(conflict)}</Text>
+                ))}
+                {conflicts.length > 3 && (
+                  <Text style={styles.conflictText}>…and {conflicts.length - 3} more</Text>
+                )}
+              </View>
+            )}
+
+            {schedules.length === 0 && (
+              <Text style={styles.scheduleRunEmpty}>No watering rules yet - add one below.</Text>
+            )}
+
             {schedules.map((schedule, index) => (
-              <View key={index} style={styles.scheduleCard}>
+              <View key={schedule.id} style={styles.scheduleCard}>
                 <View style={styles.scheduleCardHeader}>
-                  <Text style={styles.scheduleNumber}>Schedule {index + 1}</Text>
+                  <Text style={styles.scheduleNumber}>Rule {index + 1}</Text>
                   <View style={styles.switchContainer}>
                     <Text style={styles.switchLabel}>
                       {schedule.enabled ? 'Enabled' : 'Disabled'}
@@ -771,71 +1747,91 @@ const ScheduleModal = ({ visible, onClose, onSave, sensorId, plantName, existing
                       trackColor={{ false: '#767577', true: '#81b0ff' }}
                       thumbColor={schedule.enabled ? '#4CAF50' : '#f4f3f4'}
                     />
+                    <TouchableOpacity onPress={() => removeRule(index)} style={styles.ruleDeleteButton}>
+                      <Text style={styles.ruleDeleteText}>🗑️</Text>
+                    </TouchableOpacity>
                   </View>
                 </View>
 
+                {!validateRule(fromEditableRule(schedule)) && (
+                  <Text style={styles.ruleSummary}>{describeRule(fromEditableRule(schedule))}</Text>
+                )}
+
                 {schedule.enabled && (
                   <View style={styles.scheduleContent}>
+                    <View style={styles.ruleTypeRow}>
+                      {RULE_TYPES.map((option) => (
+                        <TouchableOpacity
+                          key={option.key}
+                          style={[styles.historyRangeButton, styles.ruleTypeButton, schedule.type === option.key && styles.historyRangeButtonActive]}
+                          onPress={() => changeRuleType(index, option.key)}
+                        >
+                          <Text style={[styles.historyRangeText, schedule.type === option.key && styles.historyRangeTextActive]}>
+                            {option.label}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+
+                    {renderRuleFields(index, schedule)}
+
+                    {renderStepper(index, 'duration', 'Watering duration (minutes)', 1, MIN_SCHEDULE_DURATION, MAX_SCHEDULE_DURATION,
+                      `${MIN_SCHEDULE_DURATION}–${MAX_SCHEDULE_DURATION} minutes. The controller stops the pump when it runs out.`)}
+
                     <View style={styles.timeSection}>
-                      <Text style={styles.sectionTitle}>Time (24-hour format)</Text>
-                      <View style={styles.timePickersContainer}>
-                        <View style={styles.pickerColumn}>
-                          <Text style={styles.pickerLabel}>Hour</Text>
-                          <View style={styles.pickerWrapper}>
-                            <Picker
-                              selectedValue={schedule.hour}
-                              onValueChange={(value) => updateSchedule(index, 'hour', value)}
-                              style={styles.picker}
-                              mode="dropdown"
-                            >
-                              {hours.map((hour) => (
-                                <Picker.Item 
-                                  key={hour} 
-                                  label={hour.toString().padStart(2, '0')} 
-                                  value={hour} 
-                                />
-                              ))}
-                            </Picker>
-                          </View>
-                        </View>
-                        
-                        <Text style={styles.timeSeparator}>:</Text>
-                        
-                        <View style={styles.pickerColumn}>
-                          <Text style={styles.pickerLabel}>Minute</Text>
-                          <View style={styles.pickerWrapper}>
-                            <Picker
-                              selectedValue={schedule.minute}
-                              onValueChange={(value) => updateSchedule(index, 'minute', value)}
-                              style={styles.picker}
-                              mode="dropdown"
-                            >
-                              {minutes.map((minute) => (
-                                <Picker.Item 
-                                  key={minute} 
-                                  label={minute.toString().padStart(2, '0')} 
-                                  value={minute} 
-                                />
-                              ))}
-                            </Picker>
-                          </View>
-                        </View>
+                      <Text style={styles.sectionTitle}>Soil check</Text>
+                      <View style={styles.ruleTypeRow}>
+                        {MOISTURE_GATES.map((option) => (
+                          <TouchableOpacity
+                            key={option.key}
+                            style={[styles.historyRangeButton, styles.ruleTypeButton, schedule.moistureGate === option.key && styles.historyRangeButtonActive]}
+                            onPress={() => updateSchedule(index, 'moistureGate', option.key)}
+                          >
+                            <Text style={[styles.historyRangeText, schedule.moistureGate === option.key && styles.historyRangeTextActive]}>
+                              {option.label}
+                            </Text>
+                          </TouchableOpacity>
+                        ))}
                       </View>
-                      <Text style={styles.selectedTime}>
-                        Set for: {schedule.hour.toString().padStart(2, '0')}:{schedule.minute.toString().padStart(2, '0')}
-                      </Text>
+                      {schedule.moistureGate !== "off" && (
+                        <Text style={styles.settingsHint}>
+                          Moist means the sensor reads below the plant's Dry threshold ({dryThreshold}) when the run is due.
+                        </Text>
+                      )}
                     </View>
 
-                    <View style={styles.daysSection}>
-                      <ProfessionalDaysSelector
-                        selectedDays={schedule.days}
-                        onDaysChange={(newDays) => updateSchedule(index, 'days', newDays)}
-                      />
-                    </View>
+                    {schedule.moistureGate === "shorten" &&
+                      renderStepper(index, 'shortenPercent', 'Run this much of the duration (%)', 10, 10, 90)}
+
+                    {renderSeason(index, schedule)}
                   </View>
                 )}
               </View>
             ))}
+
+            <TouchableOpacity
+              style={[styles.ruleAddButton, schedules.length >= MAX_RULES_PER_SENSOR && styles.disabledButton]}
+              onPress={addRule}
+            >
+              <Text style={styles.ruleAddText}>+ Add rule ({schedules.length}/{MAX_RULES_PER_SENSOR})</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity style={styles.ruleAddButton} onPress={() => setShowPreview(!showPreview)}>
+              <Text style={styles.ruleAddText}>{showPreview ? "Hide week preview" : "📅 Preview the next 7 days"}</Text>
+            </TouchableOpacity>
+
+            {showPreview && (
+              <WeekPreview
+                sensors={[0, 1, 2, 3].map((index) => ({
+                  label: `S${index + 1}${plantNames?.[index] ? ` ${plantNames[index]}` : ""}`,
+                  // The sensor being edited previews its unsaved rules
+                  rules: index === sensorId ? checkableRules : (otherSchedules?.[index] || [])
+                }))}
+                editingSensor={sensorId}
+                controllerNow={controllerNow}
+                utcOffset={utcOffset}
+              />
+            )}
           </ScrollView>
 
           <View style={styles.footerButtons}>
@@ -858,6 +1854,59 @@ const ScheduleModal = ({ visible, onClose, onSave, sensorId, plantName, existing
   );
 };
 
+const PREVIEW_DAYS = 7;
+const SENSOR_COLORS = ["#4CAF50", "#2196F3", "#FF9800", "#9C27B0"];
+
+// Every watering the controller will start over the next week, for all four sensors.
+// Runs that clash with another run of the same sensor are flagged.
+const WeekPreview = ({ sensors, editingSensor, controllerNow, utcOffset }) => {
+  const days = Array.from({ length: PREVIEW_DAYS }, () => []);
+
+  sensors.forEach((sensor, sensorIndex) => {
+    const runs = getUpcomingRuns(sensor.rules, controllerNow.today, PREVIEW_DAYS, utcOffset);
+    const clashing = new Set();
+    findRuleConflicts(sensor.rules, controllerNow.today, utcOffset, PREVIEW_DAYS).forEach(({ first, second }) => {
+      clashing.add(first.start);
+      clashing.add(second.start);
+    });
+
+    runs
+      .filter((run) => run.day > 0 || run.start % 1440 >= controllerNow.minutes)
+      .forEach((run) => days[run.day].push({ ...run, sensorIndex, label: sensor.label, clash: clashing.has(run.start) }));
+  });
+
+  return (
+    <View style={styles.weekPreview}>
+      {days.map((runs, day) => {
+        const date = new Date(controllerNow.today.getFullYear(), controllerNow.today.getMonth(), controllerNow.today.getDate() + day);
+        return (
+          <View key={day} style={styles.weekPreviewDay}>
+            <Text style={styles.weekPreviewDate}>
+              {day === 0 ? "Today" : date.toDateString().slice(0, 10)}
+            </Text>
+            {runs.length === 0 ? (
+              <Text style={styles.weekPreviewEmpty}>No waterings</Text>
+            ) : (
+              runs
+                .sort((a, b) => a.start - b.start || a.sensorIndex - b.sensorIndex)
+                .map((run, index) => (
+                  <View key={index} style={styles.weekPreviewRun}>
+                    <View style={[styles.weekPreviewDot, { backgroundColor: SENSOR_COLORS[run.sensorIndex] }]} />
+                    <Text style={[styles.weekPreviewText, run.sensorIndex === editingSensor && styles.weekPreviewTextEditing]}>
+                      {formatMinutes(run.start % 1440)}–{formatMinutes(run.end % 1440)} · {run.label} · rule {run.ruleIndex + 1}
+                      {run.clash ? " ⚠️" : ""}
+                    </Text>
+                  </View>
+                ))
+            )}
+          </View>
+        );
+      })}
+      <Text style={styles.settingsHint}>Controller time. Bold entries are the unsaved rules you are editing.</Text>
+    </View>
+  );
+};
+
 const ProfessionalDaysSelector = ({ selectedDays, onDaysChange }) => {
   const days = [
     { short: 'S', full: 'Sun' },
@@ -966,10 +2015,141 @@ const ProfessionalDaysSelector = ({ selectedDays, onDaysChange }) => {
   );
 };
 
-const PlantDetailsModal = ({ visible, onClose, plant, moistureData, onRenameRequest, onScheduleRequest, onShowHistory, sensorId, userId }) => {
+const TREND_WINDOWS = [
+  { key: "1h", label: "1h", ms: 60 * 60 * 1000 },
+  { key: "24h", label: "24h", ms: 24 * 60 * 60 * 1000 },
+  { key: "7d", label: "7d", ms: 7 * 24 * 60 * 60 * 1000 },
+  { key: "30d", label: "30d", ms: 30 * 24 * 60 * 60 * 1000 }
+];
+
+const CHART_HEIGHT = 160;
+const CHART_BUCKETS = 60;
+const MOISTURE_MAX = 1023;
+
+// Line chart built from plain Views - higher raw values (drier soil) plot higher
+// Pump markers come from the controller's WateringLog, the same runs the history lists
+const MoistureTrendChart = ({ readings, wateringRuns, from, to, thresholds }) => {
+  const [chartWidth, setChartWidth] = useState(0);
+
+  const toX = (timestamp) => ((timestamp - from) / (to - from)) * chartWidth;
+  const toY = (value) => CHART_HEIGHT - (Math.min(value, MOISTURE_MAX) / MOISTURE_MAX) * CHART_HEIGHT;
+
+  const points = downsampleReadings(readings, from, to, CHART_BUCKETS).map((reading) => ({
+    x: toX(reading.timestamp),
+    y: toY(reading.value)
+  }));
+
+  const bands = [
+    { label: "Dry", from: thresholds.dry, to: MOISTURE_MAX, color: "rgba(255, 87, 34, 0.12)" },
+    { label: "Moist", from: thresholds.moist, to: thresholds.dry, color: "rgba(76, 175, 80, 0.12)" },
+    { label: "Wet", from: 0, to: thresholds.moist, color: "rgba(33, 150, 243, 0.12)" }
+  ];
+
+  const formatAxisTime = (timestamp) => {
+    const date = new Date(timestamp);
+    return to - from > 24 * 60 * 60 * 1000
+      ? date.toLocaleDateString()
+      : date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  };
+
+  return (
+    <View>
+      <View
+        style={styles.trendChart}
+        onLayout={(event) => setChartWidth(event.nativeEvent.layout.width)}
+      >
+        {bands.map((band) => (
+          <View
+            key={band.label}
+            style={[
+              styles.trendBand,
+              {
+                top: toY(band.to),
+                height: toY(band.from) - toY(band.to),
+                backgroundColor: band.color
+              }
+            ]}
+          >
+            <Text style={styles.trendBandLabel}>{band.label}</Text>
+          </View>
+        ))}
+
+        {chartWidth > 0 && wateringRuns.map((run) => (
+          <View key={run.id} style={[styles.trendPumpMarker, { left: toX(run.startedAt) }]} />
+        ))}
+
+        {chartWidth > 0 && points.slice(1).map((point, index) => {
+          const previous = points[index];
+          const dx = point.x - previous.x;
+          const dy = point.y - previous.y;
+          const length = Math.sqrt(dx * dx + dy * dy);
+          return (
+            <View
+              key={`segment-${index}`}
+              style={[
+                styles.trendSegment,
+                {
+                  width: length,
+                  left: (previous.x + point.x) / 2 - length / 2,
+                  top: (previous.y + point.y) / 2 - 1,
+                  transform: [{ rotate: `${Math.atan2(dy, dx)}rad` }]
+                }
+              ]}
+            />
+          );
+        })}
+
+        {chartWidth > 0 && points.map((point, index) => (
+          <View key={`point-${index}`} style={[styles.trendPoint, { left: point.x - 2, top: point.y - 2 }]} />
+        ))}
+
+        {points.length === 0 && (
+          <Text style={styles.trendEmptyText}>No readings in this window</Text>
+        )}
+      </View>
+
+      <View style={styles.trendAxis}>
+        <Text style={styles.trendAxisText}>{formatAxisTime(from)}</Text>
+        <Text style={styles.trendAxisText}>{formatAxisTime(to)}</Text>
+      </View>
+
+      <View style={styles.trendLegend}>
+        <View style={styles.trendLegendItem}>
+          <View style={[styles.trendLegendSwatch, { backgroundColor: "#2E7D32" }]} />
+          <Text style={styles.trendLegendText}>Moisture</Text>
+        </View>
+        <View style={styles.trendLegendItem}>
+          <View style={[styles.trendLegendSwatch, { backgroundColor: "#2196F3" }]} />
+          <Text style={styles.trendLegendText}>Pump ran ({wateringRuns.length})</Text>
+        </View>
+      </View>
+    </View>
+  );
+};
+
+const PlantDetailsModal = ({ visible, onClose, plant, moistureData, onRenameRequest, onScheduleRequest, onShowHistory, onWaterRequest, onSaveThresholds, onSaveFlowRate, sensorId, userId, device, lanMode, pumpStatus, pumpFlowRate, reservoirEstimate }) => {
   const [autoModeEnabled, setAutoModeEnabled] = useState(false);
+  const [flowRateInput, setFlowRateInput] = useState("");
+  const [usageEntries, setUsageEntries] = useState([]);
+  const flowRate = getFlowRate(pumpFlowRate);
+  const [autoModeSettings, setAutoModeSettings] = useState(DEFAULT_AUTO_MODE_SETTINGS);
+  const [autoModeInputs, setAutoModeInputs] = useState({});
   const [notificationEnabled, setNotificationEnabled] = useState(true);
+  const [trendWindow, setTrendWindow] = useState("24h");
+  const [trendData, setTrendData] = useState({ readings: [], wateringRuns: [], from: 0, to: 1 });
+  const [dryInput, setDryInput] = useState("");
+  const [moistInput, setMoistInput] = useState("");
+  const [scheduleSync, setScheduleSync] = useState({ savedAt: null, ack: null });
+  const [scheduleRuns, setScheduleRuns] = useState([]);
   const isSensor3 = sensorId === 2;
+  const thresholds = getPlantThresholds(plant);
+
+  useEffect(() => {
+    if (visible) {
+      setDryInput(String(thresholds.dry));
+      setMoistInput(String(thresholds.moist));
+    }
+  }, [visible, thresholds.dry, thresholds.moist]);
 
   useEffect(() => {
     if (visible && sensorId !== null) {
@@ -978,22 +2158,135 @@ const PlantDetailsModal = ({ visible, onClose, plant, moistureData, onRenameRequ
     }
   }, [visible, sensorId]);
 
+  useEffect(() => {
+    if (visible) {
+      setFlowRateInput(pumpFlowRate ? String(pumpFlowRate) : "");
+    }
+  }, [visible, pumpFlowRate]);
+
+  // Pump runs for this plant over the longest usage period
+  useEffect(() => {
+    if (!visible || sensorId === null || !device?.controllerId) return;
+
+    let cancelled = false;
+    const to = Date.now();
+    const from = Math.max(to - USAGE_PERIODS[USAGE_PERIODS.length - 1].ms, new Date(plant?.registeredAt).getTime() || 0);
+
+    loadWateringLog(device, sensorId, from, to)
+      .then((entries) => {
+        if (!cancelled) setUsageEntries(entries);
+      })
+      .catch((error) => {
+        console.error("Error loading water usage:", error);
+        if (!cancelled) setUsageEntries([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, sensorId, device?.controllerId, plant?.registeredAt]);
+
+  useEffect(() => {
+    if (!visible || sensorId === null || !userId || !device || isSensor3) return;
+
+    let cancelled = false;
+    const windowMs = TREND_WINDOWS.find((option) => option.key === trendWindow).ms;
+    const to = Date.now();
+    const from = to - windowMs;
+
+    Promise.all([
+      loadMoistureHistory(device, sensorId, from, to),
+      device.controllerId ? loadWateringLog(device, sensorId, from, to) : []
+    ])
+      .then(([readings, wateringRuns]) => {
+        if (!cancelled) setTrendData({ readings, wateringRuns, from, to });
+      })
+      .catch((error) => {
+        console.error("Error loading trend data:", error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, sensorId, userId, device, trendWindow]);
+
+  // Live view of what the controller loaded and ran for this sensor
+  useEffect(() => {
+    if (!visible || sensorId === null || !device?.controllerId) return;
+
+    const sensorKey = `Sensor${sensorId + 1}`;
+    const unsubSaved = onValue(ref(db, getDevicePath(device, `Schedules/${sensorKey}/lastUpdated`)), (snapshot) => {
+      setScheduleSync((prev) => ({ ...prev, savedAt: snapshot.val() }));
+    });
+    const unsubAck = onValue(ref(db, getDevicePath(device, `ScheduleAck/${sensorKey}`)), (snapshot) => {
+      setScheduleSync((prev) => ({ ...prev, ack: snapshot.val() }));
+    });
+    const runsQuery = query(ref(db, getDevicePath(device, `ScheduleRuns/${sensorKey}`)), limitToLast(SCHEDULE_RUN_LIMIT));
+    const unsubRuns = onValue(runsQuery, (snapshot) => {
+      const runs = [];
+      snapshot.forEach((child) => {
+        runs.push({ id: child.key, ...child.val() });
+      });
+      setScheduleRuns(runs.reverse());
+    });
+
+    return () => {
+      unsubSaved();
+      unsubAck();
+      unsubRuns();
+    };
+  }, [visible, sensorId, device?.controllerId]);
+
   const loadAutoModeStatus = async (sensorIndex) => {
     try {
-      const autoModeRef = ref(db, `AutoMode/Sensor${sensorIndex + 1}`);
+      const autoModeRef = ref(db, getDevicePath(device, `AutoMode/Sensor${sensorIndex + 1}`));
       const snapshot = await get(autoModeRef);
-      if (snapshot.exists()) {
-        const data = snapshot.val();
-        setAutoModeEnabled(data.enabled || false);
-      } else {
-        setAutoModeEnabled(false);
-      }
+      const data = snapshot.exists() ? snapshot.val() : {};
+      setAutoModeEnabled(data.enabled || false);
+      showAutoModeSettings(getAutoModeSettings(data));
     } catch (error) {
       console.error("Error loading auto mode:", error);
       setAutoModeEnabled(false);
+      showAutoModeSettings(DEFAULT_AUTO_MODE_SETTINGS);
+    }
+  };
+
+  const showAutoModeSettings = (settings) => {
+    setAutoModeSettings(settings);
+    setAutoModeInputs(toAutoModeInputs(settings));
+  };
+
+  const saveAutoModeSettings = async () => {
+    const settings = Object.fromEntries(AUTO_MODE_FIELDS.map((field) => [field, Number(autoModeInputs[field])]));
+    const error = validateAutoModeSettings(settings);
+    if (error) {
+      Alert.alert("Invalid Auto Mode Settings", error);
+      return;
+    }
+
+    try {
+      const { queued } = await setAutoMode(device, sensorId, autoModeEnabled, settings);
+      setAutoModeSettings(settings);
+      Alert.alert("Saved", queued ? OFFLINE_QUEUED_MESSAGE : `Auto mode settings updated for ${plant.name}`);
+    } catch (error) {
+      console.error("Error saving auto mode settings:", error);
+      Alert.alert("Error", "Failed to save auto mode settings");
     }
   };
 
+  const renderAutoModeField = (field, label) => (
+    <View style={styles.thresholdField}>
+      <Text style={styles.thresholdLabel}>{label}</Text>
+      <TextInput
+        style={styles.thresholdInput}
+        value={autoModeInputs[field]}
+        onChangeText={(text) => setAutoModeInputs((prev) => ({ ...prev, [field]: text }))}
+        keyboardType="number-pad"
+        maxLength={4}
+      />
+    </View>
+  );
+
   const loadNotificationPreference = async () => {
     try {
       const preference = await AsyncStorage.getItem('moistureNotifications');
@@ -1006,16 +2299,16 @@ const PlantDetailsModal = ({ visible, onClose, plant, moistureData, onRenameRequ
   };
 
   const toggleAutoMode = async (enabled) => {
+    if (enabled && isTankEmpty(reservoirEstimate)) {
+      alertTankEmpty("Turning on auto mode");
+      return;
+    }
+
     try {
-      const autoModeRef = ref(db, `AutoMode/Sensor${sensorId + 1}`);
-      await update(autoModeRef, {
-        enabled: enabled,
-        lastUpdated: new Date().toISOString(),
-        sensorId: sensorId + 1
-      });
+      const { queued } = await setAutoMode(device, sensorId, enabled);
       
       setAutoModeEnabled(enabled);
-      Alert.alert("Success", `Auto mode ${enabled ? "enabled" : "disabled"} for ${plant.name}`);
+      Alert.alert("Success", queued ? OFFLINE_QUEUED_MESSAGE : `Auto mode ${enabled ? "enabled" : "disabled"} for ${plant.name}`);
     } catch (error) {
       console.error("Error updating auto mode:", error);
       Alert.alert("Error", "Failed to update auto mode");
@@ -1039,46 +2332,39 @@ const PlantDetailsModal = ({ visible, onClose, plant, moistureData, onRenameRequ
     }
   };
 
-  const handleManualPump = async (action) => {
-    const success = await controlPump(sensorId, action);
-    if (success) {
-      Alert.alert("Success", `Pump ${action} command sent for ${plant.name}`);
-    } else {
-      Alert.alert("Error", "Failed to send pump command");
+  const handleSaveThresholds = async () => {
+    const dry = Number(dryInput);
+    const moist = Number(moistInput);
+    const error = validateThresholds(dry, moist);
+    if (error) {
+      Alert.alert("Invalid Thresholds", error);
+      return;
     }
-  };
 
-  const showPumpControls = () => {
-    Alert.alert(
-      "Manual Pump Control",
-      `Control water pump for ${plant.name}`,
-      [
-        {
-          text: "Turn ON Pump",
-          onPress: () => handleManualPump("ON"),
-          style: "default"
-        },
-        {
-          text: "Turn OFF Pump",
-          onPress: () => handleManualPump("OFF"),
-          style: "destructive"
-        },
-        {
-          text: "Cancel",
-          style: "cancel"
-        }
-      ]
-    );
+    const saved = await onSaveThresholds({ dry, moist });
+    if (saved) {
+      Alert.alert("Saved", `Thresholds updated for ${plant.name}`);
+    }
   };
 
-  const getMoistureStatus = () => {
-    if (moistureData === null) return { label: "No data", color: "#9E9E9E", icon: "?" };
-    if (moistureData >= 800) return { label: "Dry", color: "#FF5722", icon: "🌵" };
-    if (moistureData >= 400) return { label: "Moist", color: "#4CAF50", icon: "🌱" };
-    return { label: "Wet", color: "#2196F3", icon: "💧" };
+  const handleSaveFlowRate = async () => {
+    const value = Number(flowRateInput);
+    const error = validateFlowRate(value);
+    if (error) {
+      Alert.alert("Invalid Flow Rate", error);
+      return;
+    }
+
+    const saved = await onSaveFlowRate(value);
+    if (saved) {
+      Alert.alert("Saved", `Pump ${sensorId + 1} delivers ${value} ml per second`);
+    }
   };
 
-  const status = getMoistureStatus();
+  const usage = summarizeUsage(usageEntries, flowRate);
+
+  const statusLabel = classifyMoisture(moistureData, thresholds);
+  const status = { label: statusLabel, ...MOISTURE_STATUS_STYLES[statusLabel] };
 
   if (!plant) return null;
 
@@ -1133,25 +2419,130 @@ const PlantDetailsModal = ({ visible, onClose, plant, moistureData, onRenameRequ
                     <Text style={styles.scaleLabel}>Wet</Text>
                   </View>
                   <View style={styles.scaleItem}>
-                    <Text style={styles.scaleValue}>400</Text>
+                    <Text style={styles.scaleValue}>{thresholds.moist}</Text>
                     <Text style={styles.scaleLabel}>Moist</Text>
                   </View>
                   <View style={styles.scaleItem}>
-                    <Text style={styles.scaleValue}>800</Text>
+                    <Text style={styles.scaleValue}>{thresholds.dry}</Text>
                     <Text style={styles.scaleLabel}>Dry</Text>
                   </View>
                 </View>
               </View>
             )}
 
-            {/* NOTIFICATION CONTROL SECTION */}
-            <View style={[styles.sectionCard, styles.notificationSectionCard]}>
-              <View style={styles.notificationHeader}>
-                <View style={styles.notificationTextContainer}>
-                  <Text style={styles.notificationTitle}>Moisture Alerts</Text>
-                  <Text style={styles.notificationDescription}>
-                    Get notified when soil moisture changes significantly
-                  </Text>
+            {!isSensor3 && (
+              <View style={[styles.sectionCard, styles.trendSectionCard]}>
+                <View style={styles.trendHeader}>
+                  <Text style={styles.sectionLabel}>Moisture Trend</Text>
+                  <View style={styles.trendWindowRow}>
+                    {TREND_WINDOWS.map((option) => (
+                      <TouchableOpacity
+                        key={option.key}
+                        style={[styles.trendWindowButton, trendWindow === option.key && styles.trendWindowButtonActive]}
+                        onPress={() => setTrendWindow(option.key)}
+                      >
+                        <Text style={[styles.trendWindowText, trendWindow === option.key && styles.trendWindowTextActive]}>
+                          {option.label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </View>
+                <MoistureTrendChart
+                  readings={trendData.readings}
+                  wateringRuns={trendData.wateringRuns}
+                  from={trendData.from}
+                  to={trendData.to}
+                  thresholds={thresholds}
+                />
+              </View>
+            )}
+
+            <View style={[styles.sectionCard, styles.thresholdSectionCard]}>
+              <Text style={styles.sectionLabel}>Moisture Thresholds</Text>
+              <Text style={styles.thresholdDescription}>
+                Raw sensor readings (0-1023, higher = drier): at or above Dry counts as dry; at or above Moist counts as moist. Used for alerts, status, history and the schedules' soil check.
+              </Text>
+              <View style={styles.thresholdRow}>
+                <View style={styles.thresholdField}>
+                  <Text style={styles.thresholdLabel}>Dry ≥</Text>
+                  <TextInput
+                    style={styles.thresholdInput}
+                    value={dryInput}
+                    onChangeText={setDryInput}
+                    keyboardType="number-pad"
+                    maxLength={4}
+                  />
+                </View>
+                <View style={styles.thresholdField}>
+                  <Text style={styles.thresholdLabel}>Moist ≥</Text>
+                  <TextInput
+                    style={styles.thresholdInput}
+                    value={moistInput}
+                    onChangeText={setMoistInput}
+                    keyboardType="number-pad"
+                    maxLength={4}
+                  />
+                </View>
+              </View>
+              <View style={styles.thresholdButtonsRow}>
+                <TouchableOpacity
+                  style={styles.thresholdResetButton}
+                  onPress={() => {
+                    setDryInput(String(DEFAULT_MOISTURE_THRESHOLDS.dry));
+                    setMoistInput(String(DEFAULT_MOISTURE_THRESHOLDS.moist));
+                  }}
+                >
+                  <Text style={styles.thresholdResetText}>Defaults</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.thresholdSaveButton} onPress={handleSaveThresholds}>
+                  <Text style={styles.thresholdSaveText}>Save Thresholds</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            <View style={[styles.sectionCard, styles.thresholdSectionCard]}>
+              <Text style={styles.sectionLabel}>Water Usage</Text>
+              <View style={styles.usageRow}>
+                {USAGE_PERIODS.map((period) => (
+                  <View key={period.key} style={styles.usageCell}>
+                    <Text style={styles.usageValue}>{formatVolume(usage[period.key])}</Text>
+                    <Text style={styles.usageLabel}>{period.label}</Text>
+                  </View>
+                ))}
+              </View>
+              <Text style={styles.thresholdDescription}>
+                Estimated from pump run times at {flowRate} ml/s{pumpFlowRate ? "" : " (default - not calibrated)"}.
+                To calibrate, water for 10 seconds into a measuring jug and divide the millilitres by 10.
+              </Text>
+              <View style={styles.thresholdRow}>
+                <View style={styles.thresholdField}>
+                  <Text style={styles.thresholdLabel}>Pump flow rate (ml/s)</Text>
+                  <TextInput
+                    style={styles.thresholdInput}
+                    value={flowRateInput}
+                    onChangeText={setFlowRateInput}
+                    placeholder={String(DEFAULT_PUMP_FLOW_RATE)}
+                    keyboardType="decimal-pad"
+                    maxLength={6}
+                  />
+                </View>
+              </View>
+              <View style={styles.thresholdButtonsRow}>
+                <TouchableOpacity style={styles.thresholdSaveButton} onPress={handleSaveFlowRate}>
+                  <Text style={styles.thresholdSaveText}>Save Flow Rate</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {/* NOTIFICATION CONTROL SECTION */}
+            <View style={[styles.sectionCard, styles.notificationSectionCard]}>
+              <View style={styles.notificationHeader}>
+                <View style={styles.notificationTextContainer}>
+                  <Text style={styles.notificationTitle}>Moisture Alerts</Text>
+                  <Text style={styles.notificationDescription}>
+                    Get notified when soil moisture changes significantly
+                  </Text>
                 </View>
                 <Switch
                   value={notificationEnabled}
@@ -1207,6 +2598,64 @@ const PlantDetailsModal = ({ visible, onClose, plant, moistureData, onRenameRequ
                   ? "✅ Auto mode is ON - Plant will be watered automatically when dry" 
                   : "❌ Auto mode is OFF - Plant requires manual watering"}
               </Text>
+              <Text style={styles.autoModeActive}>{describeAutoModeSettings(autoModeSettings)}</Text>
+
+              <Text style={styles.thresholdDescription}>
+                Moisture here is the controller's 0-100% scale, where higher is wetter - unlike the raw thresholds above. This plant's Dry threshold ({thresholds.dry}) is {rawToPercent(thresholds.dry)}% and Moist ({thresholds.moist}) is {rawToPercent(thresholds.moist)}%. The gap between start and stop keeps the pump from switching on and off around one reading.
+              </Text>
+              <View style={styles.thresholdRow}>
+                {renderAutoModeField("startBelow", "Start below (% moisture)")}
+                {renderAutoModeField("stopAt", "Stop at (% moisture)")}
+              </View>
+              <View style={[styles.thresholdRow, styles.autoModeFieldRow]}>
+                {renderAutoModeField("maxRunMinutes", "Max run (min)")}
+                {renderAutoModeField("minIntervalMinutes", "Wait between (min)")}
+              </View>
+              <View style={styles.thresholdButtonsRow}>
+                <TouchableOpacity
+                  style={styles.thresholdResetButton}
+                  onPress={() => setAutoModeInputs(toAutoModeInputs(DEFAULT_AUTO_MODE_SETTINGS))}
+                >
+                  <Text style={styles.thresholdResetText}>Defaults</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.thresholdResetButton}
+                  onPress={() => {
+                    const { startBelow, stopAt } = thresholdsToAutoMode(thresholds);
+                    setAutoModeInputs((prev) => ({ ...prev, startBelow: String(startBelow), stopAt: String(stopAt) }));
+                  }}
+                >
+                  <Text style={styles.thresholdResetText}>Match Thresholds</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.thresholdSaveButton} onPress={saveAutoModeSettings}>
+                  <Text style={styles.thresholdSaveText}>Save Auto Settings</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            <View style={[styles.sectionCard, styles.scheduleSectionCard]}>
+              <Text style={styles.sectionLabel}>Watering Schedule</Text>
+              <Text style={styles.scheduleSyncText}>
+                {!scheduleSync.savedAt
+                  ? "No schedule saved for this plant yet"
+                  : scheduleSync.ack?.lastUpdated === scheduleSync.savedAt
+                    ? `✅ Loaded by the controller ${new Date(scheduleSync.ack.loadedAt).toLocaleString()}`
+                    : "⏳ Waiting for the controller to pick up the latest changes (checks every minute)"}
+              </Text>
+
+              {scheduleRuns.length === 0 ? (
+                <Text style={styles.scheduleRunEmpty}>No scheduled waterings have run yet</Text>
+              ) : (
+                scheduleRuns.map((run) => (
+                  <View key={run.id} style={styles.scheduleRunRow}>
+                    <Text style={styles.scheduleRunText}>
+                      {SCHEDULE_ENGINE_LABELS[run.engine] || run.engine} · {new Date(run.startedAt).toLocaleString()}
+                    </Text>
+                    <Text style={styles.scheduleRunMeta}>{describeScheduleRun(run)}</Text>
+                    {run.reason && <Text style={styles.scheduleRunReason}>🌧️ {run.reason}</Text>}
+                  </View>
+                ))
+              )}
             </View>
 
             <View style={[styles.sectionCard, styles.detailsSectionCard]}>
@@ -1246,13 +2695,17 @@ const PlantDetailsModal = ({ visible, onClose, plant, moistureData, onRenameRequ
               
               <TouchableOpacity 
                 style={styles.primaryActionButton}
-                onPress={showPumpControls}
+                onPress={onWaterRequest}
                 activeOpacity={0.85}
               >
                 <Text style={styles.primaryActionEmoji}>💧</Text>
-                <Text style={styles.primaryActionText}>Manual Pump Control</Text>
+                <Text style={styles.primaryActionText}>Water Now</Text>
               </TouchableOpacity>
 
+              <View style={styles.pumpCommandStatus}>
+                <PumpStatusBadge pump={pumpStatus} />
+              </View>
+
               <View style={styles.secondaryActionsRow}>
                 <TouchableOpacity 
                   style={[styles.secondaryActionButton, { borderColor: "#4CAF50" }]}
@@ -1410,29 +2863,491 @@ const ConfirmationModal = ({ visible, onClose, title, message, onConfirm, confir
   );
 };
 
-const HistoryModal = ({ visible, onClose, history }) => {
+// Manual watering sheet: pick seconds or millilitres, start, follow the run and
+// cancel it. Over Firebase the run starts once the controller confirms the
+// command; in LAN mode the controller answers directly.
+const ManualWateringModal = ({ visible, onClose, plant, sensorId, device, lanMode, pumpStatus, reservoirEstimate, flowRate = DEFAULT_PUMP_FLOW_RATE }) => {
+  const [unit, setUnit] = useState("seconds");
+  const [amountInput, setAmountInput] = useState("10");
+  // { status, seconds, startedAt, reason } - status: waiting, running, finished, cancelled, rejected, timeout
+  const [run, setRun] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (visible) {
+      setRun(null);
+    }
+  }, [visible]);
+
+  const isActive = run?.status === "waiting" || run?.status === "running";
+
+  useEffect(() => {
+    if (run?.status !== "running") return;
+    const timer = setInterval(() => setNow(Date.now()), 500);
+    return () => clearInterval(timer);
+  }, [run?.status]);
+
+  // Done once the time is up and the controller reports the pump off
+  useEffect(() => {
+    if (run?.status === "running" && now - run.startedAt >= run.seconds * 1000 && pumpStatus?.on !== true) {
+      setRun((prev) => ({ ...prev, status: "finished" }));
+    }
+  }, [now, pumpStatus?.on]);
+
+  const request = getManualWateringRequest(unit, Number(amountInput), flowRate);
+
+  const changeUnit = (nextUnit) => {
+    setUnit(nextUnit);
+    setAmountInput(String(WATERING_UNITS[nextUnit].presets[1]));
+  };
+
+  const startWatering = async () => {
+    if (request.error) {
+      Alert.alert("Invalid Amount", request.error);
+      return;
+    }
+    if (isTankEmpty(reservoirEstimate)) {
+      alertTankEmpty("Watering");
+      return;
+    }
+
+    if (lanMode) {
+      const result = await setLanPump(device.ip, sensorId, true, request.seconds);
+      if (!result.success) {
+        Alert.alert("Error", "Failed to reach the controller: " + result.error);
+        return;
+      }
+      setNow(Date.now());
+      setRun({ status: "running", seconds: request.seconds, startedAt: Date.now(), reason: null });
+      return;
+    }
+
+    const { success, queued, blocked, commandId } = await controlPump(device, sensorId, "ON", { ...request, reservoirEstimate });
+    if (blocked) {
+      alertTankEmpty("Watering");
+      return;
+    }
+    if (!success) {
+      Alert.alert("Error", "Failed to send pump command");
+      return;
+    }
+    if (queued) {
+      Alert.alert(
+        "Queued",
+        `You're offline. Watering ${plant.name} will start if the connection returns within ${PUMP_COMMAND_TTL / 60000} minutes.`
+      );
+      onClose();
+      return;
+    }
+
+    setRun({ status: "waiting", seconds: request.seconds, startedAt: null, reason: null });
+    const result = await waitForPumpAck(device, sensorId, commandId);
+    if (result.status === "done") {
+      setNow(Date.now());
+      setRun((prev) => (prev?.status === "waiting" ? { ...prev, status: "running", startedAt: Date.now() } : prev));
+    } else {
+      setRun((prev) => (prev?.status === "waiting" ? { ...prev, status: result.status, reason: result.reason } : prev));
+    }
+  };
+
+  const cancelWatering = async () => {
+    setRun((prev) => ({ ...prev, status: "cancelled" }));
+
+    if (lanMode) {
+      const result = await setLanPump(device.ip, sensorId, false);
+      if (!result.success) {
+        Alert.alert("Error", "Failed to reach the controller: " + result.error);
+      }
+      return;
+    }
+
+    const { success } = await controlPump(device, sensorId, "OFF");
+    if (!success) {
+      Alert.alert("Error", "Failed to send the stop command - the pump stops by itself when the time is up");
+    }
+  };
+
+  const getStatusText = () => {
+    switch (run.status) {
+      case "waiting":
+        return PUMP_COMMAND_STATUS_TEXT.waiting("ON");
+      case "running":
+        return `💧 Watering for ${run.seconds} s`;
+      case "finished":
+        return "✅ Done";
+      case "cancelled":
+        return "⏹️ Stopped";
+      default:
+        return `${PUMP_COMMAND_STATUS_TEXT[run.status]("ON")}${run.reason ? ` (${run.reason})` : ""}`;
+    }
+  };
+
+  const elapsedSeconds = run?.status === "running" ? Math.min(run.seconds, (now - run.startedAt) / 1000) : 0;
+  const progress = run?.status === "finished" ? 1 : run?.seconds ? elapsedSeconds / run.seconds : 0;
+
+  if (!plant) return null;
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={styles.modalContainer}>
+        <View style={[styles.modalContent, { width: "90%" }]}>
+          <Text style={styles.modalTitle}>Water {plant.name}</Text>
+
+          <View style={styles.historyRangeRow}>
+            {Object.entries(WATERING_UNITS).map(([key, option]) => (
+              <TouchableOpacity
+                key={key}
+                style={[styles.historyRangeButton, unit === key && styles.historyRangeButtonActive]}
+                onPress={() => changeUnit(key)}
+                disabled={isActive}
+              >
+                <Text style={[styles.historyRangeText, unit === key && styles.historyRangeTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.wateringAmountRow}>
+            <TextInput
+              style={[styles.thresholdInput, styles.wateringAmountInput]}
+              value={amountInput}
+              onChangeText={setAmountInput}
+              keyboardType="number-pad"
+              maxLength={5}
+              editable={!isActive}
+            />
+            <Text style={styles.wateringAmountSuffix}>{WATERING_UNITS[unit].suffix}</Text>
+          </View>
+
+          <View style={styles.historyRangeRow}>
+            {WATERING_UNITS[unit].presets.map((preset) => (
+              <TouchableOpacity
+                key={preset}
+                style={[styles.historyRangeButton, Number(amountInput) === preset && styles.historyRangeButtonActive]}
+                onPress={() => setAmountInput(String(preset))}
+                disabled={isActive}
+              >
+                <Text style={[styles.historyRangeText, Number(amountInput) === preset && styles.historyRangeTextActive]}>
+                  {preset} {WATERING_UNITS[unit].suffix}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.settingsHint}>
+            {request.error
+              ? request.error
+              : unit === "ml"
+                ? `≈ ${request.seconds} s at ${flowRate} ml/s`
+                : `≈ ${formatVolume(request.seconds * flowRate)} at ${flowRate} ml/s`}
+          </Text>
+
+          {run && (
+            <View style={styles.wateringProgressSection}>
+              <View style={styles.wateringProgressTrack}>
+                <View style={[styles.wateringProgressFill, { width: `${Math.round(progress * 100)}%` }]} />
+              </View>
+              <Text style={styles.pumpCommandText}>{getStatusText()}</Text>
+              {run.status === "running" && (
+                <Text style={styles.pumpCommandText}>
+                  {formatCountdown(Math.ceil(run.seconds - elapsedSeconds))} left
+                </Text>
+              )}
+            </View>
+          )}
+          <PumpStatusBadge pump={pumpStatus} />
+
+          <View style={[styles.modalButtons, { marginTop: 12 }]}>
+            <TouchableOpacity style={[styles.modalButton, styles.cancelButton]} onPress={onClose}>
+              <Text style={styles.cancelButtonText}>Close</Text>
+            </TouchableOpacity>
+            {isActive ? (
+              <TouchableOpacity style={[styles.modalButton, styles.wateringStopButton]} onPress={cancelWatering}>
+                <Text style={styles.connectButtonText}>Stop</Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity
+                style={[styles.modalButton, styles.connectButton, request.error && { opacity: 0.5 }]}
+                onPress={startWatering}
+              >
+                <Text style={styles.connectButtonText}>Start</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const HISTORY_RANGES = {
+  day: { label: "Day", days: 1 },
+  week: { label: "Week", days: 7 }
+};
+
+// Tank size and refills for the controller's reservoir (see waterUsage.js)
+const ReservoirModal = ({ visible, onClose, onSave, reservoir, estimate }) => {
+  const [capacityInput, setCapacityInput] = useState("");
+
+  useEffect(() => {
+    if (visible) {
+      setCapacityInput(reservoir?.capacityMl ? String(reservoir.capacityMl) : "");
+    }
+  }, [visible, reservoir?.capacityMl]);
+
+  const save = (refilled) => {
+    const capacityMl = Number(capacityInput);
+    const error = validateReservoirCapacity(capacityMl);
+    if (error) {
+      Alert.alert("Invalid Tank Size", error);
+      return;
+    }
+    onSave(capacityMl, refilled);
+  };
+
+  return (
+    <Modal animationType="fade" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={styles.modalContainer}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Water Tank</Text>
+          {estimate && (
+            <Text style={styles.modalSubtitle}>
+              About {formatVolume(estimate.remainingMl)} left ({estimate.percent}%)
+              {reservoir?.refilledAt ? ` · refilled ${new Date(reservoir.refilledAt).toLocaleDateString()}` : ""}
+            </Text>
+          )}
+          <TextInput
+            style={styles.input}
+            value={capacityInput}
+            onChangeText={setCapacityInput}
+            placeholder="Tank size in ml (e.g. 5000)"
+            keyboardType="number-pad"
+            maxLength={6}
+          />
+          <Text style={styles.controllerIdHint}>
+            The level is estimated from how long the pumps ran since the last refill, using each pump's flow rate.
+            You're warned at {RESERVOIR_LOW_PERCENT}%.
+          </Text>
+          <TouchableOpacity style={[styles.button, styles.reservoirRefillButton]} onPress={() => save(true)}>
+            <Text style={styles.buttonText}>🪣 I just refilled it</Text>
+          </TouchableOpacity>
+          <View style={styles.modalButtons}>
+            <TouchableOpacity style={[styles.modalButton, styles.cancelButton]} onPress={onClose}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.modalButton, styles.connectButton]} onPress={() => save(false)}>
+              <Text style={styles.connectButtonText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const RESERVOIR_LEVEL_STYLES = {
+  ok: { backgroundColor: "#E3F2FD", color: "#1565C0", note: "" },
+  low: { backgroundColor: "#FFF3E0", color: "#E65100", note: " - running low" },
+  empty: { backgroundColor: "#FFEBEE", color: "#C62828", note: " - refill now" }
+};
+
+const HISTORY_TABS = {
+  readings: "Readings",
+  watering: "Watering log"
+};
+
+const HistoryModal = ({ visible, onClose, userId, deviceId, device, sensorId, plantName, plantSince, thresholds }) => {
+  const [tab, setTab] = useState("readings");
+  const [range, setRange] = useState("day");
+  const [pageOffset, setPageOffset] = useState(0); // 0 = current period, 1 = the one before, ...
+  const [entries, setEntries] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [wateringLog, setWateringLog] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setTab("readings");
+      setRange("day");
+      setPageOffset(0);
+    }
+  }, [visible, sensorId]);
+
+  // Window is aligned to local midnight so a "Day" page is a calendar day
+  const getWindow = () => {
+    const rangeDays = HISTORY_RANGES[range].days;
+    const end = new Date();
+    end.setHours(24, 0, 0, 0);
+    end.setDate(end.getDate() - pageOffset * rangeDays);
+    const start = new Date(end);
+    start.setDate(start.getDate() - rangeDays);
+    return { from: start.getTime(), to: end.getTime() - 1 };
+  };
+
+  useEffect(() => {
+    if (!visible || !userId || !deviceId || sensorId === null || sensorId === undefined) return;
+
+    let cancelled = false;
+    const { from, to } = getWindow();
+
+    setIsLoading(true);
+    // The sensor's log predates the plant when it replaced an earlier one
+    const plantFrom = Math.max(from, plantSince ? new Date(plantSince).getTime() || 0 : 0);
+
+    Promise.all([
+      loadMoistureHistory(device, sensorId, from, to),
+      device?.controllerId ? loadScheduleRuns(device, sensorId, from, to) : [],
+      device?.controllerId && plantFrom <= to ? loadWateringLog(device, sensorId, plantFrom, to) : []
+    ])
+      .then(([data, scheduleRuns, pumpRuns]) => {
+        if (cancelled) return;
+        setEntries(data);
+        setRuns(scheduleRuns);
+        setWateringLog(pumpRuns);
+      })
+      .catch((error) => {
+        console.error("Error loading history:", error);
+        if (!cancelled) {
+          setEntries([]);
+          setRuns([]);
+          setWateringLog([]);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, userId, deviceId, device?.controllerId, sensorId, plantSince, range, pageOffset]);
+
+  // Readings and scheduled runs in one newest-first list
+  const listItems = [
+    ...entries,
+    ...runs.map((run) => ({ ...run, id: `run-${run.id}`, timestamp: run.startedAt, isRun: true }))
+  ].sort((a, b) => b.timestamp - a.timestamp);
+
+  const getPeriodLabel = () => {
+    const { from, to } = getWindow();
+    const startLabel = new Date(from).toLocaleDateString();
+    if (range === "day") return startLabel;
+    return `${startLabel} – ${new Date(to).toLocaleDateString()}`;
+  };
+
+  const getSummary = () => {
+    if (tab === "watering") {
+      if (wateringLog.length === 0) return null;
+      const totalSeconds = wateringLog.reduce((sum, entry) => sum + (entry.durationSec || 0), 0);
+      return `${wateringLog.length} pump runs · ${formatRunLength(totalSeconds)} in total`;
+    }
+    if (entries.length === 0) return null;
+    const values = entries.map((entry) => entry.value);
+    const average = Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+    return `${entries.length} readings · min ${Math.min(...values)} · avg ${average} · max ${Math.max(...values)}`;
+  };
+
+  const summary = getSummary();
+
   return (
     <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
       <View style={styles.modalContainer}>
         <View style={[styles.modalContent, { maxHeight: "80%", width: "90%" }]}>
           <Text style={styles.modalTitle}>History</Text>
-          
-          {history && history.length > 0 ? (
+          {plantName && <Text style={styles.historySubtitle}>{plantName}</Text>}
+
+          <View style={styles.historyTabRow}>
+            {Object.entries(HISTORY_TABS).map(([key, label]) => (
+              <TouchableOpacity
+                key={key}
+                style={[styles.historyTab, tab === key && styles.historyTabActive]}
+                onPress={() => setTab(key)}
+              >
+                <Text style={[styles.historyTabText, tab === key && styles.historyTabTextActive]}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.historyRangeRow}>
+            {Object.entries(HISTORY_RANGES).map(([key, option]) => (
+              <TouchableOpacity
+                key={key}
+                style={[styles.historyRangeButton, range === key && styles.historyRangeButtonActive]}
+                onPress={() => {
+                  setRange(key);
+                  setPageOffset(0);
+                }}
+              >
+                <Text style={[styles.historyRangeText, range === key && styles.historyRangeTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.historyPager}>
+            <TouchableOpacity onPress={() => setPageOffset(pageOffset + 1)} style={styles.historyPagerButton}>
+              <Text style={styles.historyPagerText}>← Older</Text>
+            </TouchableOpacity>
+            <Text style={styles.historyPeriodLabel}>{getPeriodLabel()}</Text>
+            <TouchableOpacity
+              onPress={() => setPageOffset(Math.max(0, pageOffset - 1))}
+              style={styles.historyPagerButton}
+              disabled={pageOffset === 0}
+            >
+              <Text style={[styles.historyPagerText, pageOffset === 0 && styles.disabledNavButton]}>Newer →</Text>
+            </TouchableOpacity>
+          </View>
+
+          {summary && <Text style={styles.historySummary}>{summary}</Text>}
+
+          {isLoading ? (
+            <Text style={styles.noHistoryText}>Loading history...</Text>
+          ) : tab === "watering" ? (
+            wateringLog.length > 0 ? (
+              <FlatList
+                style={{ width: "100%" }}
+                data={wateringLog}
+                keyExtractor={(item) => item.id}
+                renderItem={({ item }) => (
+                  <View style={styles.historyItem}>
+                    <Text style={styles.historyTime}>{new Date(item.startedAt).toLocaleString()}</Text>
+                    <Text style={styles.historyRunText}>
+                      💧 {WATERING_SOURCE_LABELS[item.source] || item.source} · {item.status === "running" ? "running" : formatRunLength(item.durationSec || 0)}
+                    </Text>
+                    <Text style={styles.wateringLogMoisture}>
+                      Moisture {item.moistureBefore ?? "—"} → {item.status === "running" ? "…" : item.moistureAfter ?? "—"}
+                    </Text>
+                    {item.endReason && <Text style={styles.scheduleRunReason}>{item.endReason}</Text>}
+                  </View>
+                )}
+              />
+            ) : (
+              <Text style={styles.noHistoryText}>The pump didn't run in this period</Text>
+            )
+          ) : listItems.length > 0 ? (
             <FlatList
-              data={history}
-              keyExtractor={(item, index) => index.toString()}
-              renderItem={({ item }) => (
+              style={{ width: "100%" }}
+              data={listItems}
+              keyExtractor={(item) => item.id}
+              renderItem={({ item }) => item.isRun ? (
+                <View style={styles.historyItem}>
+                  <Text style={styles.historyTime}>{new Date(item.timestamp).toLocaleString()}</Text>
+                  <Text style={styles.historyRunText}>
+                    {item.status === "skipped" ? "⏭️" : "💧"} Scheduled watering · {describeScheduleRun(item)}
+                  </Text>
+                  {item.reason && <Text style={styles.scheduleRunReason}>🌧️ {item.reason}</Text>}
+                </View>
+              ) : (
                 <View style={styles.historyItem}>
-                  <Text style={styles.historyTime}>{item.timestamp}</Text>
+                  <Text style={styles.historyTime}>{new Date(item.timestamp).toLocaleString()}</Text>
                   <View style={styles.historyDetails}>
                     <Text style={[
                       styles.historyStatus,
-                      { 
-                        color: item.status === "Dry" ? "#FF5722" :
-                               item.status === "Moist" ? "#4CAF50" : "#2196F3"
-                      }
+                      { color: (MOISTURE_STATUS_STYLES[classifyMoisture(item.value, thresholds)] || MOISTURE_STATUS_STYLES["No data"]).color }
                     ]}>
-                      {item.status}
+                      {classifyMoisture(item.value, thresholds)}
                     </Text>
                     <Text style={styles.historyValue}>{item.value}</Text>
                   </View>
@@ -1440,7 +3355,7 @@ const HistoryModal = ({ visible, onClose, history }) => {
               )}
             />
           ) : (
-            <Text style={styles.noHistoryText}>No history data available</Text>
+            <Text style={styles.noHistoryText}>No readings recorded for this period</Text>
           )}
 
           <TouchableOpacity style={[styles.modalButton, styles.cancelButton, { marginTop: 12 }]} onPress={onClose}>
@@ -1452,7 +3367,7 @@ const HistoryModal = ({ visible, onClose, history }) => {
   );
 };
 
-const DeviceActionModal = ({ visible, onClose, device, hasAccess, onViewSensors, onOpenWeb, onRename, onDelete }) => {
+const DeviceActionModal = ({ visible, onClose, device, hasAccess, onViewSensors, onPair, onOpenWeb, onRename, onTimezone, onDelete }) => {
   if (!device) return null;
 
   return (
@@ -1463,7 +3378,7 @@ const DeviceActionModal = ({ visible, onClose, device, hasAccess, onViewSensors,
           <View style={styles.deviceModalHeader}>
             <View>
               <Text style={styles.deviceModalTitle}>{device.name}</Text>
-              <Text style={styles.deviceModalSubtitle}>{device.ip}</Text>
+              <Text style={styles.deviceModalSubtitle}>{device.controllerId || device.ip}</Text>
             </View>
             <TouchableOpacity onPress={onClose} style={styles.closeButton}>
               <Text style={styles.closeButtonText}>✕</Text>
@@ -1473,33 +3388,37 @@ const DeviceActionModal = ({ visible, onClose, device, hasAccess, onViewSensors,
           <View style={[styles.statusBanner, { backgroundColor: hasAccess ? "#E8F5E9" : "#FFF3E0" }]}>
             <View style={[styles.statusDot, { backgroundColor: hasAccess ? "#4CAF50" : "#FF9800" }]} />
             <Text style={[styles.statusBannerText, { color: hasAccess ? "#2E7D32" : "#E65100" }]}>
-              {hasAccess ? "✓ Full Access" : "⚠ Limited Access"}
+              {hasAccess ? "✓ Paired" : "⚠ Not Paired"}
             </Text>
           </View>
 
           <View style={styles.deviceInfoCard}>
             <View style={styles.infoRow}>
               <Text style={styles.infoLabel}>IP Address</Text>
-              <Text style={styles.infoValue}>{device.ip}</Text>
+              <Text style={styles.infoValue}>{device.ip || "Not set"}</Text>
             </View>
             <View style={[styles.infoRow, { borderTopWidth: 1, borderTopColor: "rgba(0,0,0,0.05)", paddingTop: 12, marginTop: 12 }]}>
-              <Text style={styles.infoLabel}>Registered</Text>
-              <Text style={styles.infoValue}>{new Date(device.registeredAt).toLocaleDateString()}</Text>
+              <Text style={styles.infoLabel}>Controller</Text>
+              <Text style={styles.infoValue}>{device.controllerId || "Not paired"}</Text>
+            </View>
+            <View style={[styles.infoRow, { borderTopWidth: 1, borderTopColor: "rgba(0,0,0,0.05)", paddingTop: 12, marginTop: 12 }]}>
+              <Text style={styles.infoLabel}>Timezone</Text>
+              <Text style={styles.infoValue}>{describeTimeZone(getDeviceTimeZone(device))}</Text>
+            </View>
+            <View style={[styles.infoRow, { borderTopWidth: 1, borderTopColor: "rgba(0,0,0,0.05)", paddingTop: 12, marginTop: 12 }]}>
+              <Text style={styles.infoLabel}>Registered</Text>
+              <Text style={styles.infoValue}>{new Date(device.registeredAt).toLocaleDateString()}</Text>
             </View>
           </View>
 
           <TouchableOpacity 
-            style={[
-              styles.deviceActionButtonPrimary,
-              { opacity: hasAccess ? 1 : 0.5 }
-            ]}
-            onPress={onViewSensors}
-            disabled={!hasAccess}
+            style={styles.deviceActionButtonPrimary}
+            onPress={hasAccess ? onViewSensors : onPair}
           >
             <Text style={styles.deviceActionButtonPrimaryText}>
-              📊 View Sensors
+              {hasAccess ? "📊 View Sensors" : "🔗 Pair Controller"}
             </Text>
-            {!hasAccess && <Text style={styles.disabledText}>Requires correct IP</Text>}
+            {!hasAccess && <Text style={styles.disabledText}>Enter the code shown on the controller</Text>}
           </TouchableOpacity>
 
           <View style={styles.deviceActionButtonsRow}>
@@ -1519,6 +3438,14 @@ const DeviceActionModal = ({ visible, onClose, device, hasAccess, onViewSensors,
               <Text style={styles.deviceActionButtonSecondaryLabel}>Rename</Text>
             </TouchableOpacity>
 
+            <TouchableOpacity 
+              style={styles.deviceActionButtonSecondary}
+              onPress={onTimezone}
+            >
+              <Text style={styles.deviceActionButtonSecondaryText}>🕒</Text>
+              <Text style={styles.deviceActionButtonSecondaryLabel}>Timezone</Text>
+            </TouchableOpacity>
+
             <TouchableOpacity 
               style={[styles.deviceActionButtonSecondary, styles.deviceActionButtonDelete]}
               onPress={onDelete}
@@ -1548,6 +3475,10 @@ const SelectionScreen = ({ navigation, route }) => {
   const [renameModalVisible, setRenameModalVisible] = useState(false);
   const [ipAddress, setIpAddress] = useState("");
   const [deviceName, setDeviceName] = useState("");
+  const [pairingCode, setPairingCode] = useState("");
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [pairModalVisible, setPairModalVisible] = useState(false);
+  const [timezoneModalVisible, setTimezoneModalVisible] = useState(false);
   const [selectedSlot, setSelectedSlot] = useState(null);
   const [devices, setDevices] = useState({});
   const [actionModalVisible, setActionModalVisible] = useState(false);
@@ -1575,13 +3506,16 @@ const SelectionScreen = ({ navigation, route }) => {
   useEffect(() => {
     if (!user) return;
 
+    // Show the last known devices until Firebase answers
+    readCache(cacheKeys.devices(user.uid)).then((cached) => {
+      if (cached) setDevices((prev) => (Object.keys(prev).length > 0 ? prev : cached));
+    });
+
     const devicesRef = ref(db, `Users/${user.uid}/devices`);
     const unsub = onValue(devicesRef, (snapshot) => {
-      if (snapshot.exists()) {
-        setDevices(snapshot.val());
-      } else {
-        setDevices({});
-      }
+      const devicesData = snapshot.exists() ? snapshot.val() : {};
+      setDevices(devicesData);
+      writeCache(cacheKeys.devices(user.uid), devicesData);
     });
 
     return () => unsub && unsub();
@@ -1624,55 +3558,91 @@ const SelectionScreen = ({ navigation, route }) => {
     }
   };
 
-  const proceedWithRegistration = () => {
-    if (ipAddress !== ALLOWED_IP) {
-      Alert.alert(
-        "Note", 
-        `This device (${ipAddress}) will not display sensor data.\nOnly devices with IP ${ALLOWED_IP} can access sensor data.`,
-        [{ text: "OK" }]
-      );
+  const resetRegistrationForm = () => {
+    setIpAddress("");
+    setDeviceName("");
+    setPairingCode("");
+  };
+
+  const proceedWithRegistration = async () => {
+    const code = normalizePairingCode(pairingCode);
+
+    setIsRegistering(true);
+    const result = await claimPairingCode(code, user.uid);
+
+    if (!result.success) {
+      setIsRegistering(false);
+      Alert.alert("Pairing Failed", result.error);
+      return;
+    }
+
+    const alreadyRegistered = Object.values(devices).some(
+      (existing) => existing.controllerId === result.controllerId
+    );
+    if (alreadyRegistered) {
+      setIsRegistering(false);
+      Alert.alert("Error", `Controller ${result.controllerId} is already registered on your account`);
+      return;
     }
 
     const deviceId = generateDeviceId();
-    const accessToken = generateAccessToken();
     const deviceData = { 
-      ip: ipAddress, 
       registeredAt: new Date().toISOString(),
       name: deviceName || `Device ${Object.keys(devices).length + 1}`,
-      accessToken: accessToken,
+      controllerId: result.controllerId,
       deviceId: deviceId,
       slot: selectedSlot,
-      userId: user.uid
+      userId: user.uid,
+      // The phone is usually next to the controller while it is being set up
+      timezone: getPhoneTimeZone() || DEFAULT_DEVICE_TIMEZONE
     };
 
+    if (ipAddress) {
+      deviceData.ip = ipAddress;
+    }
+
     update(ref(db), {
+      ...getControllerTimezoneUpdates(deviceData, deviceData.timezone),
       [`Users/${user.uid}/devices/${deviceId}`]: deviceData,
     })
       .then(() => {
-        setIpAddress("");
-        setDeviceName("");
+        resetRegistrationForm();
         setModalVisible(false);
         setSelectedSlot(null);
         
-        const newDeviceCount = getDeviceCountForIPAndUser(devices, ipAddress, user.uid) + 1;
-        let successMessage = "Device registered successfully!\n\nAccess Token: " + accessToken;
-        
-        if (newDeviceCount === 3) {
-          successMessage += "\n\n⚠️ This IP address has reached the maximum of 3 devices for your account.";
-        } else if (newDeviceCount === 2) {
-          successMessage += "\n\nℹ️ You can register 1 more device with this IP address.";
+        let successMessage = `Controller ${result.controllerId} is now paired with your account.`;
+
+        if (ipAddress) {
+          const newDeviceCount = getDeviceCountForIPAndUser(devices, ipAddress, user.uid) + 1;
+          if (newDeviceCount === 3) {
+            successMessage += "\n\n⚠️ This IP address has reached the maximum of 3 devices for your account.";
+          } else if (newDeviceCount === 2) {
+            successMessage += "\n\nℹ️ You can register 1 more device with this IP address.";
+          }
         }
         
         Alert.alert("Success", successMessage);
       })
       .catch((err) => {
         Alert.alert("Error", "Could not register device: " + err.message);
-      });
+      })
+      .finally(() => setIsRegistering(false));
   };
 
   const handleRegisterDevice = () => {
+    if (!isFirebaseConnected()) {
+      Alert.alert("Offline", "Pairing a controller needs an internet connection.");
+      return;
+    }
+
+    if (!PAIRING_CODE_REGEX.test(normalizePairingCode(pairingCode))) {
+      Alert.alert("Error", "Please enter the 6-character pairing code shown on the controller");
+      return;
+    }
+
+    // The IP is optional - it is only used to open the controller's web page
     if (!ipAddress) {
-      Alert.alert("Error", "Please enter an IP address");
+      proceedWithRegistration();
       return;
     }
 
@@ -1706,39 +3676,145 @@ const SelectionScreen = ({ navigation, route }) => {
     proceedWithRegistration();
   };
 
+  // Devices registered before pairing existed have no controller ID yet
+  const handlePairExistingDevice = async (code) => {
+    const { device, deviceId } = selectedDeviceAction;
+    if (!device || !user) return;
+
+    if (!isFirebaseConnected()) {
+      Alert.alert("Offline", "Pairing a controller needs an internet connection.");
+      return;
+    }
+
+    const result = await claimPairingCode(code, user.uid);
+    if (!result.success) {
+      Alert.alert("Pairing Failed", result.error);
+      return;
+    }
+
+    const deviceUpdates = {
+      controllerId: result.controllerId,
+      updatedAt: new Date().toISOString()
+    };
+    if (!device.controllerId) {
+      deviceUpdates.hasLegacyData = true;
+    }
+
+    // The newly claimed controller follows the timezone already chosen for this device
+    const updates = getControllerTimezoneUpdates({ controllerId: result.controllerId }, getDeviceTimeZone(device));
+    Object.entries(deviceUpdates).forEach(([key, value]) => {
+      updates[`Users/${user.uid}/devices/${deviceId}/${key}`] = value;
+    });
+    // The controller this device used before would otherwise stay bound to this account
+    if (device.controllerId && device.controllerId !== result.controllerId && await isDevicePairedWith(device, user.uid)) {
+      Object.assign(updates, getControllerReleaseUpdates(device.controllerId));
+    }
+
+    try {
+      await update(ref(db), updates);
+      setPairModalVisible(false);
+      setSelectedDeviceAction({
+        device: { ...device, ...deviceUpdates },
+        deviceId: deviceId,
+        hasAccess: true,
+      });
+      setDeviceActionModalVisible(true);
+      Alert.alert("Success", `${device.name} is now paired with controller ${result.controllerId}.`);
+    } catch (error) {
+      console.error("Error saving pairing:", error);
+      Alert.alert("Error", "Could not save pairing: " + error.message);
+    }
+  };
+
   const handleRenameDevice = (newName) => {
     if (!selectedSlot || !newName.trim() || !user) {
       Alert.alert("Error", "Please enter a valid device name");
       return;
     }
 
+    const devicePath = `Users/${user.uid}/devices/${selectedSlot}`;
+    const currentDevice = devices[selectedSlot];
     const deviceUpdates = {
       name: newName.trim(),
       updatedAt: new Date().toISOString()
     };
 
-    update(ref(db, `Users/${user.uid}/devices/${selectedSlot}`), deviceUpdates)
-      .then(() => {
+    writeOrQueue({
+      [`${devicePath}/name`]: deviceUpdates.name,
+      [`${devicePath}/updatedAt`]: deviceUpdates.updatedAt
+    }, {
+      label: `Rename ${currentDevice?.name || "device"} to ${deviceUpdates.name}`,
+      guard: { path: `${devicePath}/updatedAt`, value: currentDevice?.updatedAt }
+    })
+      .then(({ queued }) => {
+        if (queued) {
+          const updatedDevices = { ...devices, [selectedSlot]: { ...currentDevice, ...deviceUpdates } };
+          setDevices(updatedDevices);
+          writeCache(cacheKeys.devices(user.uid), updatedDevices);
+        }
         setRenameModalVisible(false);
         setDeviceName("");
         setSelectedSlot(null);
-        Alert.alert("Success", "Device renamed successfully");
+        Alert.alert("Success", queued ? OFFLINE_QUEUED_MESSAGE : "Device renamed successfully");
       })
       .catch((err) => {
         Alert.alert("Error", "Could not rename device: " + err.message);
       });
   };
 
+  const handleSetTimezone = (timeZoneId) => {
+    const { device, deviceId } = selectedDeviceAction;
+    if (!device || !deviceId || !user) return;
+
+    writeOrQueue({
+      ...getControllerTimezoneUpdates(device, timeZoneId),
+      [`Users/${user.uid}/devices/${deviceId}/timezone`]: timeZoneId
+    }, {
+      label: `Timezone for ${device.name || "device"}`
+    })
+      .then(({ queued }) => {
+        const updatedDevice = { ...device, timezone: timeZoneId };
+        if (queued) {
+          const updatedDevices = { ...devices, [deviceId]: updatedDevice };
+          setDevices(updatedDevices);
+          writeCache(cacheKeys.devices(user.uid), updatedDevices);
+        }
+        setSelectedDeviceAction({ ...selectedDeviceAction, device: updatedDevice });
+        setTimezoneModalVisible(false);
+        Alert.alert("Timezone Updated", queued
+          ? OFFLINE_QUEUED_MESSAGE
+          : `${updatedDevice.name || "The controller"} now runs its schedules on ${describeTimeZone(timeZoneId)} time.`);
+      })
+      .catch((err) => {
+        Alert.alert("Error", "Could not update the timezone: " + err.message);
+      });
+  };
+
   const handleDeleteDevice = (deviceId) => {
     if (!deviceId || !user) return;
+
+    if (!isFirebaseConnected()) {
+      Alert.alert("Offline", "Deleting a device unpairs its controller, which needs an internet connection.");
+      return;
+    }
     
     setConfirmModalConfig({
       title: "Delete Device",
-      message: "Are you sure you want to delete this device? This will remove it from your account.",
-      onConfirm: () => {
-        update(ref(db), {
-          [`Users/${user.uid}/devices/${deviceId}`]: null
-        })
+      message: "Are you sure you want to delete this device? This will remove it from your account and unpair the controller.",
+      onConfirm: async () => {
+        // Plants and schedules are scoped to the device, so remove them with it
+        const deviceUpdates = {
+          [`Users/${user.uid}/devices/${deviceId}`]: null,
+          [`Users/${user.uid}/plants/${deviceId}`]: null,
+          [`Schedules/${user.uid}/${deviceId}`]: null
+        };
+
+        const controllerId = devices[deviceId]?.controllerId;
+        if (controllerId && await isDevicePairedWith(devices[deviceId], user.uid)) {
+          Object.assign(deviceUpdates, getControllerReleaseUpdates(controllerId));
+        }
+
+        update(ref(db), deviceUpdates)
           .then(() => {
             Alert.alert("Success", "Device deleted successfully");
           })
@@ -1761,9 +3837,14 @@ const SelectionScreen = ({ navigation, route }) => {
     }
   };
 
-  const handleDevicePress = (deviceId, device) => {
+  const handleDevicePress = async (deviceId, device) => {
     if (device) {
-      const hasAccess = device.ip === ALLOWED_IP;
+      let hasAccess = await isDevicePairedWith(device, user.uid);
+      if (hasAccess === null) {
+        // Firebase is unreachable - trust the last known pairing, or the controller itself on the LAN
+        const cachedPairing = await readCache(cacheKeys.pairing(user.uid, device.controllerId));
+        hasAccess = cachedPairing === true || await isLanControllerReachable(device);
+      }
       
       setSelectedDeviceAction({
         device: device,
@@ -1808,10 +3889,16 @@ const SelectionScreen = ({ navigation, route }) => {
               <Text style={styles.deviceName}>{deviceForSlot.name || `Device ${index + 1}`}</Text>
               <Text style={[
                 styles.deviceIp, 
-                { color: deviceForSlot.ip === ALLOWED_IP ? "#4CAF50" : "#FF9800", fontWeight: "bold" }
+                { color: deviceForSlot.controllerId ? "#4CAF50" : "#FF9800", fontWeight: "bold" }
               ]}>
-                {deviceForSlot.ip} {deviceForSlot.ip === ALLOWED_IP ? "✓" : "⚠"}
+                {deviceForSlot.controllerId ? "Paired ✓" : "Not paired ⚠"}
               </Text>
+              {deviceForSlot.controllerId && (
+                <Text style={styles.deviceControllerId}>{deviceForSlot.controllerId}</Text>
+              )}
+              {deviceForSlot.ip && (
+                <Text style={styles.deviceControllerId}>{deviceForSlot.ip}</Text>
+              )}
               <Text style={styles.deviceDate}>
                 Registered: {new Date(deviceForSlot.registeredAt).toLocaleDateString()}
               </Text>
@@ -1909,8 +3996,7 @@ const SelectionScreen = ({ navigation, route }) => {
 
       <Modal animationType="slide" transparent={true} visible={modalVisible} onRequestClose={() => { 
         setModalVisible(false); 
-        setIpAddress(""); 
-        setDeviceName(""); 
+        resetRegistrationForm(); 
       }}>
         <View style={styles.modalContainer}>
           <View style={styles.modalContent}>
@@ -1928,7 +4014,20 @@ const SelectionScreen = ({ navigation, route }) => {
 
             <TextInput
               style={styles.input}
-              placeholder="(192.168.1.1)"
+              placeholder="Pairing code (e.g., K7Q2XM)"
+              value={pairingCode}
+              onChangeText={setPairingCode}
+              autoCapitalize="characters"
+              autoCorrect={false}
+              maxLength={6}
+            />
+            <Text style={styles.controllerIdHint}>
+              Shown on the controller's web page until it is paired. Codes expire after 10 minutes.
+            </Text>
+
+            <TextInput
+              style={styles.input}
+              placeholder="IP address for web UI (optional)"
               value={ipAddress}
               onChangeText={setIpAddress}
               keyboardType="numeric"
@@ -1956,8 +4055,7 @@ const SelectionScreen = ({ navigation, route }) => {
             <View style={styles.modalButtons}>
               <TouchableOpacity style={[styles.modalButton, styles.cancelButton]} onPress={() => { 
                 setModalVisible(false); 
-                setIpAddress(""); 
-                setDeviceName(""); 
+                resetRegistrationForm(); 
               }}>
                 <Text style={styles.cancelButtonText}>Cancel</Text>
               </TouchableOpacity>
@@ -1966,13 +4064,13 @@ const SelectionScreen = ({ navigation, route }) => {
                 style={[
                   styles.modalButton, 
                   styles.connectButton,
-                  (user && getDeviceCountForIPAndUser(devices, ipAddress, user.uid) >= 3) ? styles.disabledButton : {}
+                  (isRegistering || (user && getDeviceCountForIPAndUser(devices, ipAddress, user.uid) >= 3)) ? styles.disabledButton : {}
                 ]} 
                 onPress={handleRegisterDevice}
-                disabled={user && getDeviceCountForIPAndUser(devices, ipAddress, user.uid) >= 3}
+                disabled={isRegistering || (user && getDeviceCountForIPAndUser(devices, ipAddress, user.uid) >= 3)}
               >
                 <Text style={styles.connectButtonText}>
-                  {(user && getDeviceCountForIPAndUser(devices, ipAddress, user.uid) >= 3) ? "Your Limit Reached" : "Register"}
+                  {(user && getDeviceCountForIPAndUser(devices, ipAddress, user.uid) >= 3) ? "Your Limit Reached" : isRegistering ? "Pairing..." : "Register"}
                 </Text>
               </TouchableOpacity>
             </View>
@@ -2034,6 +4132,21 @@ const SelectionScreen = ({ navigation, route }) => {
         </View>
       </Modal>
 
+      <PairDeviceModal
+        visible={pairModalVisible}
+        onClose={() => setPairModalVisible(false)}
+        onPair={handlePairExistingDevice}
+        deviceName={selectedDeviceAction.device?.name}
+      />
+
+      <TimezoneModal
+        visible={timezoneModalVisible}
+        onClose={() => setTimezoneModalVisible(false)}
+        onSave={handleSetTimezone}
+        deviceName={selectedDeviceAction.device?.name}
+        currentTimeZone={getDeviceTimeZone(selectedDeviceAction.device)}
+      />
+
       <DeviceRenameModal 
         visible={renameModalVisible} 
         onClose={() => {
@@ -2075,9 +4188,13 @@ const SelectionScreen = ({ navigation, route }) => {
               user: user
             });
           } else {
-            Alert.alert("Access Denied", `Only devices with IP ${ALLOWED_IP} can access sensor data.`);
+            Alert.alert("Not Paired", "Pair this device with its controller to view sensor data.");
           }
         }}
+        onPair={() => {
+          setDeviceActionModalVisible(false);
+          setPairModalVisible(true);
+        }}
         onOpenWeb={() => {
           setDeviceActionModalVisible(false);
           handleOpenDevice(selectedDeviceAction.device);
@@ -2088,6 +4205,10 @@ const SelectionScreen = ({ navigation, route }) => {
           setDeviceName(selectedDeviceAction.device.name || `Device`);
           setRenameModalVisible(true);
         }}
+        onTimezone={() => {
+          setDeviceActionModalVisible(false);
+          setTimezoneModalVisible(true);
+        }}
         onDelete={() => {
           setDeviceActionModalVisible(false);
           handleDeleteDevice(selectedDeviceAction.deviceId);
@@ -2102,7 +4223,7 @@ const PlantsScreen = ({ navigation, route }) => {
   const { deviceId, device, user } = route.params || {};
   
   const [soilMoisture, setSoilMoisture] = useState(Array(4).fill(null));
-  const [history, setHistory] = useState(Array(4).fill([]));
+  const [pumpStatus, setPumpStatus] = useState(Array(4).fill(null)); // { on, remaining, receivedAt } per sensor
   const [plants, setPlants] = useState(Array(4).fill(null));
   const [devices, setDevices] = useState({});
   const [registrationModalVisible, setRegistrationModalVisible] = useState(false);
@@ -2113,7 +4234,14 @@ const PlantsScreen = ({ navigation, route }) => {
   const [registeredDevice, setRegisteredDevice] = useState(null);
   const [scheduleModalVisible, setScheduleModalVisible] = useState(false);
   const [selectedSchedules, setSelectedSchedules] = useState(null);
+  const [otherSensorSchedules, setOtherSensorSchedules] = useState([]);
   const [historyModalVisible, setHistoryModalVisible] = useState(false);
+  const [wateringModalVisible, setWateringModalVisible] = useState(false);
+  const [reservoirModalVisible, setReservoirModalVisible] = useState(false);
+  const [pumpFlowRates, setPumpFlowRates] = useState(Array(4).fill(null)); // calibrated ml/s, null = default
+  const [reservoir, setReservoir] = useState(null); // { capacityMl, refilledAt }
+  const [pumpRunSeconds, setPumpRunSeconds] = useState(Array(4).fill(0)); // per pump since the last refill
+  const lastReservoirLevel = useRef(null);
   const [actionModalVisible, setActionModalVisible] = useState(false);
   const [actionModalConfig, setActionModalConfig] = useState({ title: '', message: '', actions: [] });
   const [confirmModalVisible, setConfirmModalVisible] = useState(false);
@@ -2124,87 +4252,13 @@ const PlantsScreen = ({ navigation, route }) => {
   const [plantGuideModalVisible, setPlantGuideModalVisible] = useState(false);
   const [currentPlantIndex, setCurrentPlantIndex] = useState(0);
 
-  // Plant guide data
-  const plantGuideData = [
-    {
-      id: 1,
-      name: "Snake Plant",
-      description: "A hardy indoor plant with tall, stiff leaves that purify the air.",
-      watering: "Once every 2–3 weeks (let soil dry completely).",
-      emoji: "🌱"
-    },
-    {
-      id: 2,
-      name: "Peace Lily",
-      description: "A beautiful plant with dark green leaves and white blooms; great for low light.",
-      watering: "Once a week or when soil feels dry.",
-      emoji: "🌸"
-    },
-    {
-      id: 3,
-      name: "Pothos (Golden Pothos)",
-      description: "A fast-growing vine with heart-shaped green and yellow leaves.",
-      watering: "Once every 1–2 weeks.",
-      emoji: "🍃"
-    },
-    {
-      id: 4,
-      name: "ZZ Plant",
-      description: "A low-maintenance plant with shiny, waxy leaves.",
-      watering: "Once every 2–3 weeks.",
-      emoji: "💫"
-    },
-    {
-      id: 5,
-      name: "Chinese Evergreen",
-      description: "A colorful, shade-tolerant plant perfect for indoors.",
-      watering: "Once a week.",
-      emoji: "🎍"
-    },
-    {
-      id: 6,
-      name: "Aloe Vera",
-      description: "A succulent known for its healing gel and thick leaves.",
-      watering: "Once every 3 weeks.",
-      emoji: "🌵"
-    },
-    {
-      id: 7,
-      name: "Spider Plant",
-      description: "A resilient plant with long green-and-white striped leaves.",
-      watering: "Once every 1–2 weeks.",
-      emoji: "🕷️"
-    },
-    {
-      id: 8,
-      name: "Philodendron",
-      description: "A lush, green plant that thrives in moderate light and humidity.",
-      watering: "Once a week.",
-      emoji: "🌿"
-    },
-    {
-      id: 9,
-      name: "Succulents/Cacti",
-      description: "Drought-tolerant plants that store water in their leaves or stems.",
-      watering: "Once every 2–4 weeks.",
-      emoji: "🌵"
-    },
-    {
-      id: 10,
-      name: "Rubber Plant",
-      description: "A glossy-leaved plant that can grow tall indoors.",
-      watering: "Once every 1–2 weeks.",
-      emoji: "🌳"
-    }
-  ];
-
   // Navigation functions for plant guide
   const nextPlant = () => {
-    setCurrentPlantIndex((prev) => (prev + 1) % plantGuideData.length);
+    setCurrentPlantIndex((prev) => (prev + 1) % PLANT_CATALOG.length);
   };
 
   const prevPlant = () => {
-    setCurrentPlantIndex((prev) => (prev - 1 + plantGuideData.length) % plantGuideData.length);
+    setCurrentPlantIndex((prev) => (prev - 1 + PLANT_CATALOG.length) % PLANT_CATALOG.length);
   };
 
   const openPlantGuide = () => {
@@ -2212,13 +4266,241 @@ const PlantsScreen = ({ navigation, route }) => {
     setPlantGuideModalVisible(true);
   };
 
-  const shouldDisplaySensorData = (devices) => {
-    const allowedDevice = Object.values(devices).find(device => 
-      device.ip === ALLOWED_IP
+  // "checking" until the controller's owner has been read, then "paired" or "unpaired"
+  const [pairingStatus, setPairingStatus] = useState("checking");
+
+  // LAN mode - talk to the controller over HTTP when Firebase is unreachable
+  const [lanModeEnabled, setLanModeEnabled] = useState(false);
+  const [firebaseOffline, setFirebaseOffline] = useState(false);
+  const [lanReachable, setLanReachable] = useState(null);
+  const hasLanAddress = isLanAddress(registeredDevice?.ip);
+  const lanMode = hasLanAddress && (lanModeEnabled || firebaseOffline);
+  const isPaired = pairingStatus === "paired" || (lanMode && lanReachable === true);
+
+  // Set while the moisture values on screen come from the offline cache
+  const [cachedMoistureAt, setCachedMoistureAt] = useState(null);
+
+  useEffect(() => {
+    if (!user || !registeredDevice) return;
+
+    if (!registeredDevice.controllerId) {
+      setPairingStatus("unpaired");
+      return;
+    }
+
+    const pairingKey = cacheKeys.pairing(user.uid, registeredDevice.controllerId);
+    readCache(pairingKey).then((cachedPairing) => {
+      if (cachedPairing === true) {
+        setPairingStatus((prev) => (prev === "checking" ? "paired" : prev));
+      }
+    });
+
+    const ownerRef = ref(db, `Devices/${registeredDevice.controllerId}/owner`);
+    const unsub = onValue(ownerRef, (snapshot) => {
+      const paired = snapshot.val() === user.uid;
+      setPairingStatus(paired ? "paired" : "unpaired");
+      writeCache(pairingKey, paired);
+    }, (error) => {
+      console.error("Error checking device pairing:", error);
+      setPairingStatus("unpaired");
+    });
+
+    return () => unsub();
+  }, [user, registeredDevice?.controllerId]);
+
+  // Last known plants and moisture render before Firebase answers (or when it can't)
+  useEffect(() => {
+    if (!user || !deviceId) return;
+
+    readCache(cacheKeys.plants(user.uid, deviceId)).then((cached) => {
+      if (!cached) return;
+      const arr = Array(4).fill(null);
+      for (let i = 0; i < 4; i++) {
+        if (cached[i]) arr[i] = cached[i];
+      }
+      setPlants((prev) => (prev.some(Boolean) ? prev : arr));
+    });
+
+    readCache(cacheKeys.moisture(user.uid, deviceId)).then((cached) => {
+      if (!cached) return;
+      setSoilMoisture((prev) => (prev.some((value) => value !== null) ? prev : cached.values));
+      setCachedMoistureAt((prev) => prev ?? cached.savedAt);
+    });
+  }, [user?.uid, deviceId]);
+
+  useEffect(() => {
+    if (!user || !deviceId || cachedMoistureAt) return;
+    if (soilMoisture.some((value) => value !== null)) {
+      writeCache(cacheKeys.moisture(user.uid, deviceId), { values: soilMoisture, savedAt: Date.now() });
+    }
+  }, [soilMoisture, cachedMoistureAt]);
+
+  useEffect(() => {
+    let offlineTimer = null;
+    const unsub = onValue(ref(db, ".info/connected"), (snapshot) => {
+      clearTimeout(offlineTimer);
+      if (snapshot.val() === true) {
+        setFirebaseOffline(false);
+      } else {
+        offlineTimer = setTimeout(() => setFirebaseOffline(true), FIREBASE_OFFLINE_GRACE);
+      }
+    });
+
+    return () => {
+      clearTimeout(offlineTimer);
+      unsub();
+    };
+  }, []);
+
+  // Pump calibration and the tank settings
+  useEffect(() => {
+    if (!registeredDevice?.controllerId) return;
+
+    const unsubPumps = onValue(ref(db, getDevicePath(registeredDevice, "Pumps")), (snapshot) => {
+      const data = snapshot.val() || {};
+      setPumpFlowRates([0, 1, 2, 3].map((i) => data[`Sensor${i + 1}`]?.flowRate ?? null));
+    });
+    const unsubReservoir = onValue(ref(db, getDevicePath(registeredDevice, "Reservoir")), (snapshot) => {
+      setReservoir(snapshot.val());
+    });
+
+    return () => {
+      unsubPumps();
+      unsubReservoir();
+    };
+  }, [registeredDevice?.controllerId]);
+
+  // Run time of every pump since the tank was refilled
+  useEffect(() => {
+    setPumpRunSeconds(Array(4).fill(0));
+    if (!registeredDevice?.controllerId || !reservoir?.capacityMl) return;
+
+    const unsubscribers = [0, 1, 2, 3].map((i) => {
+      const logQuery = query(
+        ref(db, getDevicePath(registeredDevice, `WateringLog/Sensor${i + 1}`)),
+        orderByChild("startedAt"),
+        startAt(reservoir.refilledAt || 0)
+      );
+      return onValue(logQuery, (snapshot) => {
+        const entries = [];
+        snapshot.forEach((child) => {
+          entries.push(child.val());
+        });
+        setPumpRunSeconds((prev) => {
+          const next = [...prev];
+          next[i] = getRunSeconds(entries);
+          return next;
+        });
+      });
+    });
+
+    return () => unsubscribers.forEach((unsub) => unsub());
+  }, [registeredDevice?.controllerId, reservoir?.capacityMl, reservoir?.refilledAt]);
+
+  const reservoirEstimate = estimateReservoir(
+    reservoir,
+    pumpRunSeconds.reduce((sum, seconds, i) => sum + seconds * getFlowRate(pumpFlowRates[i]), 0)
+  );
+
+  // Warn once when the estimate drops to low and again when it reaches empty
+  useEffect(() => {
+    const level = reservoirEstimate?.level ?? null;
+    const previous = lastReservoirLevel.current;
+    lastReservoirLevel.current = level;
+    if (!notificationEnabled || !previous || !level || level === previous || level === "ok") return;
+
+    scheduleMoistureNotification(
+      level === "empty" ? "🪣 Water tank empty" : "🪣 Water tank running low",
+      `${registeredDevice?.name || "Your controller"}'s tank has about ${formatVolume(reservoirEstimate.remainingMl)} left. Refill it and mark it as refilled in the app.`
     );
-    return !!allowedDevice;
+  }, [reservoirEstimate?.level]);
+
+  const handleSaveFlowRate = async (flowRate) => {
+    if (selectedSensor === null || !registeredDevice?.controllerId) return false;
+
+    try {
+      await writeOrQueue({
+        [getDevicePath(registeredDevice, `Pumps/Sensor${selectedSensor + 1}/flowRate`)]: flowRate
+      }, { label: `Flow rate for pump ${selectedSensor + 1}` });
+      return true;
+    } catch (err) {
+      Alert.alert("Error", "Could not save the flow rate: " + err.message);
+      return false;
+    }
+  };
+
+  const handleSaveReservoir = async (capacityMl, refilled) => {
+    const reservoirPath = getDevicePath(registeredDevice, "Reservoir");
+    const updates = { [`${reservoirPath}/capacityMl`]: capacityMl };
+    // A tank that wasn't tracked before starts out full
+    if (refilled || !reservoir?.refilledAt) {
+      updates[`${reservoirPath}/refilledAt`] = Date.now();
+      updates[`${reservoirPath}/usedMl`] = 0;
+      updates[`${reservoirPath}/empty`] = false;
+    }
+
+    try {
+      const { queued } = await writeOrQueue(updates, { label: "Water tank" });
+      setReservoirModalVisible(false);
+      Alert.alert(
+        refilled ? "Tank Refilled" : "Tank Saved",
+        queued
+          ? OFFLINE_QUEUED_MESSAGE
+          : refilled
+            ? `Tracking a full ${formatVolume(capacityMl)} tank from now.`
+            : `Tank size set to ${formatVolume(capacityMl)}.`
+      );
+    } catch (err) {
+      console.error("Error saving water tank:", err);
+      Alert.alert("Error", "Could not save the water tank: " + err.message);
+    }
+  };
+
+  const updatePumpStatus = (sensorIndex, changes) => {
+    setPumpStatus((prev) => {
+      const next = [...prev];
+      next[sensorIndex] = { on: false, remaining: 0, receivedAt: Date.now(), ...prev[sensorIndex], ...changes };
+      return next;
+    });
   };
 
+  // Poll the controller's /status while in LAN mode
+  useEffect(() => {
+    if (!lanMode || !registeredDevice) {
+      setLanReachable(null);
+      return;
+    }
+
+    let cancelled = false;
+    const pollStatus = async () => {
+      const status = await getLanStatus(registeredDevice.ip);
+      if (cancelled) return;
+
+      if (!status.success || status.deviceId !== registeredDevice.controllerId) {
+        if (status.success) {
+          console.error(`LAN controller at ${registeredDevice.ip} reports ${status.deviceId}, expected ${registeredDevice.controllerId}`);
+        }
+        setLanReachable(false);
+        return;
+      }
+
+      setLanReachable(true);
+      setCachedMoistureAt(null);
+      setSoilMoisture(status.sensorValues.slice(0, 4).map((value) => (typeof value === "number" ? value : null)));
+      status.pumpStates.slice(0, 4).forEach((on, i) => {
+        updatePumpStatus(i, { on: on === true, remaining: status.pumpRemaining[i] ?? -1, receivedAt: Date.now() });
+      });
+    };
+
+    pollStatus();
+    const pollInterval = setInterval(pollStatus, LAN_POLL_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(pollInterval);
+    };
+  }, [lanMode, registeredDevice?.ip, registeredDevice?.controllerId]);
+
   // Initialize notifications
   useEffect(() => {
     const initializeNotifications = async () => {
@@ -2254,6 +4536,39 @@ const PlantsScreen = ({ navigation, route }) => {
     }
   };
 
+  // dryThreshold defaults to the saved plant's; registration passes the new plant's own
+  const persistSchedules = async (sensorId, schedules, dryThreshold = getPlantThresholds(plants[sensorId]).dry) => {
+    const schedulesForFirebase = {
+      schedules: schedules,
+      timezone: getDeviceTimeZone(registeredDevice), // the zone the rule times are written in
+      dryThreshold, // for the rules' soil check
+      lastUpdated: new Date().toISOString(),
+      userId: user.uid // ADDED: Track which user created this schedule
+    };
+
+    console.log("Saving schedules for user:", user.uid, schedulesForFirebase);
+
+    // Save to user-specific location, and ALSO to the controller's own path so the ESP8266 can read it
+    const userSchedulePath = getUserSchedulePath(user.uid, deviceId, sensorId);
+    const deviceSchedulePath = getDevicePath(registeredDevice, `Schedules/Sensor${sensorId + 1}`);
+    const updates = {};
+    Object.entries(schedulesForFirebase).forEach(([key, value]) => {
+      updates[`${userSchedulePath}/${key}`] = value;
+      updates[`${deviceSchedulePath}/${key}`] = value;
+    });
+    updates[`${deviceSchedulePath}/userEmail`] = user.email; // ADDED: Identify which user's schedule this is
+
+    const cacheKey = cacheKeys.schedules(user.uid, deviceId, sensorId);
+    const cached = await readCache(cacheKey);
+    const result = await writeOrQueue(updates, {
+      label: `Schedules for Sensor ${sensorId + 1}`,
+      guard: cached ? { path: `${userSchedulePath}/lastUpdated`, value: cached.lastUpdated } : null
+    });
+
+    await writeCache(cacheKey, { schedules, lastUpdated: schedulesForFirebase.lastUpdated });
+    return result;
+  };
+
   // ADDED: handleSaveSchedules function
   const handleSaveSchedules = async (sensorId, schedules) => {
     // ADDED: User validation
@@ -2263,26 +4578,32 @@ const PlantsScreen = ({ navigation, route }) => {
     }
 
     try {
-      const schedulesForFirebase = {
-        schedules: schedules,
-        lastUpdated: new Date().toISOString(),
-        userId: user.uid // ADDED: Track which user created this schedule
-      };
+      if (lanMode) {
+        const result = await pushLanSchedules(registeredDevice.ip, sensorId, schedules, getPlantThresholds(plants[sensorId]).dry);
+        if (!result.success) {
+          Alert.alert("Error", "Failed to reach the controller: " + result.error);
+          return;
+        }
+
+        // Firebase keeps the write and syncs it once the connection returns
+        persistSchedules(sensorId, schedules).catch((error) => {
+          console.error("Error syncing schedules to Firebase:", error);
+        });
 
-      console.log("Saving schedules for user:", user.uid, schedulesForFirebase);
+        Alert.alert("Success", "Watering schedules sent to the controller over the local network.\n\nThey will sync to the cloud when the connection returns.");
+        return;
+      }
 
-      // Save to user-specific location
-      const userScheduleRef = ref(db, `Schedules/${user.uid}/Sensor${sensorId + 1}`);
-      await update(userScheduleRef, schedulesForFirebase);
-      
-      // ALSO save to global location for ESP8266 compatibility
-      const globalScheduleRef = ref(db, `Schedules/Sensor${sensorId + 1}`);
-      await update(globalScheduleRef, {
-        ...schedulesForFirebase,
-        userEmail: user.email // ADDED: Identify which user's schedule this is
-      });
+      const { queued } = await persistSchedules(sensorId, schedules);
+
+      const enabledRules = schedules.filter((schedule) => schedule.enabled);
+      const summary = enabledRules.length > 0
+        ? enabledRules.map((schedule) => `• ${describeRule(schedule)}`).join("\n")
+        : "No schedules are enabled.";
       
-      Alert.alert("Success", "Watering schedules saved successfully!\n\nPumps will run for 5 minutes when current time and day match your schedule.");
+      Alert.alert("Success", queued
+        ? `${OFFLINE_QUEUED_MESSAGE}\n\n${summary}`
+        : `Watering schedules saved successfully!\n\n${summary}\n\nTimes are in ${describeTimeZone(getDeviceTimeZone(registeredDevice))}. The controller picks up changes within a minute and runs them itself - the app doesn't need to stay open.`);
     } catch (error) {
       console.error("Error saving schedules:", error);
       Alert.alert("Error", "Failed to save schedules: " + error.message);
@@ -2300,18 +4621,20 @@ const PlantsScreen = ({ navigation, route }) => {
     const unsubDevicesList = onValue(devicesRef, (snapshot) => {
       if (snapshot.exists()) {
         const devicesData = snapshot.val();
+        const currentDevice = devicesData[deviceId];
         setDevices(devicesData);
         
-        const shouldDisplayData = shouldDisplaySensorData(devicesData);
+        const shouldDisplayData = pairingStatus === "paired" && !!currentDevice?.controllerId;
         
         if (shouldDisplayData) {
-          // Subscribe to sensor data (public)
+          // Subscribe to this controller's sensor data
           for (let i = 0; i < 4; i++) {
-            const sensorRef = ref(db, `Sensor${i + 1}`);
+            const sensorRef = ref(db, getDevicePath(currentDevice, `Sensor${i + 1}`));
             const unsubscribe = onValue(sensorRef, (snapshot) => {
               if (snapshot.exists()) {
                 const value = snapshot.val();
                 console.log(`Sensor${i + 1} value:`, value);
+                setCachedMoistureAt(null);
                 
                 setSoilMoisture((prev) => {
                   const newMoisture = [...prev];
@@ -2321,14 +4644,15 @@ const PlantsScreen = ({ navigation, route }) => {
                 
                 // CHECK FOR MOISTURE CHANGES AND SEND NOTIFICATIONS
                 if (notificationEnabled && plants[i] && value !== null) {
+                  const thresholds = getPlantThresholds(plants[i]);
+
                   // Check for significant changes
-                  moistureNotifier.checkMoistureChange(i, value, plants[i].name);
+                  moistureNotifier.checkMoistureChange(i, value, plants[i].name, thresholds);
                   
                   // Check for critical levels
-                  moistureNotifier.checkCriticalMoisture(i, value, plants[i].name);
+                  moistureNotifier.checkCriticalMoisture(i, value, plants[i].name, thresholds);
                 }
                 
-                updateHistory(i, value);
               } else {
                 setSoilMoisture((prev) => {
                   const newMoisture = [...prev];
@@ -2340,13 +4664,22 @@ const PlantsScreen = ({ navigation, route }) => {
             unsubscribers.push(unsubscribe);
           }
 
-          const pumpRef = ref(db, "PumpState");
-          const pumpUnsubscribe = onValue(pumpRef, (snapshot) => {
-            if (snapshot.exists()) {
-              console.log("Pump state:", snapshot.val());
-            }
-          });
-          unsubscribers.push(pumpUnsubscribe);
+          // Firmware publishes one PumpState{n} per relay
+          for (let i = 0; i < 4; i++) {
+            const pumpRef = ref(db, getDevicePath(currentDevice, `PumpState${i + 1}`));
+            const pumpUnsubscribe = onValue(pumpRef, (snapshot) => {
+              if (snapshot.exists()) {
+                updatePumpStatus(i, { on: snapshot.val() === "ON" });
+              }
+            });
+            unsubscribers.push(pumpUnsubscribe);
+
+            const remainingRef = ref(db, getDevicePath(currentDevice, `PumpRemaining${i + 1}`));
+            const remainingUnsubscribe = onValue(remainingRef, (snapshot) => {
+              updatePumpStatus(i, { remaining: snapshot.val() ?? 0, receivedAt: Date.now() });
+            });
+            unsubscribers.push(remainingUnsubscribe);
+          }
         } else {
           setSoilMoisture(Array(4).fill(null));
         }
@@ -2358,9 +4691,9 @@ const PlantsScreen = ({ navigation, route }) => {
 
     if (device) {
       setRegisteredDevice(device);
-    } else {
+    } else if (deviceId) {
       // Use user-specific device reference
-      const deviceRef = ref(db, `Users/${user.uid}/devices/device1`);
+      const deviceRef = ref(db, `Users/${user.uid}/devices/${deviceId}`);
       const unsubDevice = onValue(deviceRef, (snapshot) => {
         if (snapshot.exists()) {
           setRegisteredDevice(snapshot.val());
@@ -2371,9 +4704,14 @@ const PlantsScreen = ({ navigation, route }) => {
       unsubscribers.push(unsubDevice);
     }
 
-    // Load user's plants
-    const plantsRef = ref(db, `Users/${user.uid}/plants`);
+    if (device?.hasLegacyData) {
+      migrateLegacyPlants(user.uid, deviceId);
+    }
+
+    // Load the plants attached to this device's four sensors
+    const plantsRef = ref(db, `Users/${user.uid}/plants/${deviceId}`);
     unsubPlants = onValue(plantsRef, (snapshot) => {
+      writeCache(cacheKeys.plants(user.uid, deviceId), snapshot.exists() ? snapshot.val() : null);
       if (snapshot.exists()) {
         const raw = snapshot.val();
         const arr = Array(4).fill(null);
@@ -2391,84 +4729,27 @@ const PlantsScreen = ({ navigation, route }) => {
       if (unsubDevicesList) unsubDevicesList();
       unsubscribers.forEach((unsubscribe) => unsubscribe());
     };
-  }, [user, device, notificationEnabled, plants]);
-
-  // ADDED: Updated schedule checking useEffect
-  useEffect(() => {
-    const checkSchedules = async () => {
-      // ADDED: User validation
-      if (!user || !user.uid) {
-        console.log("No user authenticated, skipping schedule check");
-        return;
-      }
-
-      const now = new Date();
-      const currentDay = now.getDay();
-      const currentHour = now.getHours();
-      const currentMinute = now.getMinutes();
-      
-      console.log(`Checking schedules for user ${user.uid} at ${currentHour}:${currentMinute} on day ${currentDay}`);
-
-      for (let sensorIndex = 0; sensorIndex < 4; sensorIndex++) {
-        try {
-          const schedules = await loadSchedules(sensorIndex, user.uid);
-          
-          for (const schedule of schedules) {
-            if (schedule.enabled && 
-                schedule.hour === currentHour && 
-                schedule.minute === currentMinute) {
-              
-              const dayMask = 1 << currentDay;
-              const isDayEnabled = (schedule.days & dayMask) !== 0;
-              
-              if (isDayEnabled) {
-                console.log(`Schedule match found for User ${user.uid} - Sensor ${sensorIndex + 1} on day ${currentDay}`);
-                
-                const success = await controlPump(sensorIndex, "ON");
-                if (success) {
-                  console.log(`Pump activated for Sensor ${sensorIndex + 1}`);
-                  
-                  setTimeout(async () => {
-                    await controlPump(sensorIndex, "OFF");
-                    console.log(`Pump deactivated for Sensor ${sensorIndex + 1}`);
-                  }, 300000);
-                }
-              }
-            }
-          }
-        } catch (error) {
-          console.error(`Error checking schedules for sensor ${sensorIndex}:`, error);
-        }
-      }
-    };
-
-    const scheduleInterval = setInterval(checkSchedules, 60000);
-    checkSchedules();
-
-    return () => {
-      clearInterval(scheduleInterval);
-    };
-  }, [user?.uid]); // ADDED: Dependency on user.uid
-
-  const updateHistory = (sensorIndex, value) => {
-    const status = value >= 800 ? "Dry" : value >= 400 ? "Moist" : "Wet";
-    const timestamp = new Date().toLocaleString();
-
-    setHistory((prev) => {
-      const newHistory = prev.map((h) => Array.isArray(h) ? [...h] : []);
-      if (!Array.isArray(newHistory[sensorIndex])) newHistory[sensorIndex] = [];
-      
-      newHistory[sensorIndex] = [
-        { status, timestamp, value }, 
-        ...newHistory[sensorIndex].slice(0, 9)
-      ];
-      
-      return newHistory;
+  }, [user, deviceId, device, notificationEnabled, plants, pairingStatus]);
+
+  // Writes a plant change now or queues it offline, mirroring it on screen and in the cache.
+  // Edits to an existing plant are dropped on replay if it was changed elsewhere meanwhile.
+  const savePlantChange = async (idx, updatedPlant, updates, label) => {
+    const plantPath = `Users/${user.uid}/plants/${deviceId}/${idx}`;
+    const result = await writeOrQueue(updates, {
+      label,
+      guard: plants[idx] ? { path: `${plantPath}/updatedAt`, value: plants[idx].updatedAt } : null
     });
+
+    const copy = [...plants];
+    copy[idx] = updatedPlant;
+    setPlants(copy);
+    writeCache(cacheKeys.plants(user.uid, deviceId), copy);
+    return result;
   };
 
-  const handleRegisterPlant = (sensorId, plantName) => {
+  const handleRegisterPlant = (sensorId, plantName, profileId) => {
     const idx = sensorId;
+    const profile = getPlantProfile(profileId);
     const newPlantObj = {
       name: plantName,
       sensorId: idx + 1,
@@ -2476,21 +4757,80 @@ const PlantsScreen = ({ navigation, route }) => {
       userId: user.uid
     };
 
-    setPlants((prev) => {
-      const copy = [...prev];
-      copy[idx] = newPlantObj;
-      return copy;
-    });
+    if (profile) {
+      newPlantObj.speciesId = profile.id;
+      newPlantObj.thresholds = { ...profile.thresholds };
+    }
 
-    update(ref(db), {
-      [`Users/${user.uid}/plants/${idx}`]: newPlantObj,
-    })
-      .then(() => {})
+    savePlantChange(idx, newPlantObj, {
+      [`Users/${user.uid}/plants/${deviceId}/${idx}`]: newPlantObj,
+    }, `Register ${plantName}`)
+      .then(async ({ queued }) => {
+        if (!profile) {
+          if (queued) Alert.alert("Saved Offline", OFFLINE_QUEUED_MESSAGE);
+          return;
+        }
+
+        // Pre-fill the sensor with the species' suggested schedule and auto mode
+        const applyProfileSettings = async () => {
+          const { today } = getControllerNow(getDeviceTimeZone(registeredDevice));
+          const { queued: settingsQueued } = await persistSchedules(
+            idx,
+            getDefaultRules(profile, dateToDayNumber(today)),
+            getPlantThresholds(newPlantObj).dry
+          );
+          await setAutoMode(registeredDevice, idx, profile.autoMode.enabled, {
+            startBelow: profile.autoMode.startBelow,
+            stopAt: profile.autoMode.stopAt
+          });
+          Alert.alert(
+            "Profile Applied",
+            `${plantName} is set up as ${profile.name}.\n\nThresholds, schedule and auto mode were pre-filled - you can adjust them in the plant details.${queued || settingsQueued ? "\n\n" + OFFLINE_QUEUED_MESSAGE : ""}`
+          );
+        };
+
+        // Rules left from the sensor's previous plant are only replaced when the user agrees
+        const existingRules = await loadSchedules(idx, user.uid, registeredDevice);
+        if (existingRules.length === 0) {
+          await applyProfileSettings();
+          return;
+        }
+
+        Alert.alert(
+          "Replace Schedule?",
+          `Sensor ${idx + 1} already has ${existingRules.length} watering rule${existingRules.length === 1 ? "" : "s"}. Replace them and the auto mode thresholds with the ${profile.name} defaults?\n\nThe plant's thresholds are set either way.`,
+          [
+            { text: "Keep Current", style: "cancel", onPress: () => queued && Alert.alert("Saved Offline", OFFLINE_QUEUED_MESSAGE) },
+            {
+              text: "Replace",
+              onPress: () => applyProfileSettings().catch((err) => {
+                Alert.alert("Error", "Could not apply the profile: " + err.message);
+              })
+            }
+          ]
+        );
+      })
       .catch((err) => {
         Alert.alert("Error", "Could not save plant: " + err.message);
       });
   };
 
+  // The week preview in ScheduleModal shows the saved rules of the other sensors too
+  useEffect(() => {
+    if (!scheduleModalVisible || !registeredDevice) return;
+
+    let cancelled = false;
+    Promise.all(plants.map((plant, index) =>
+      plant && index !== selectedSensor ? loadSchedules(index, user?.uid, registeredDevice) : []
+    )).then((results) => {
+      if (!cancelled) setOtherSensorSchedules(results);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [scheduleModalVisible]);
+
   const handlePlantPress = async (sensorIndex) => {
     if (!registeredDevice) {
       Alert.alert("No device", "Register a device first in the Device screen.");
@@ -2503,7 +4843,7 @@ const PlantsScreen = ({ navigation, route }) => {
       
       try {
         console.log("Loading schedules for sensor:", sensorIndex);
-        const existingSchedules = await loadSchedules(sensorIndex, user?.uid);
+        const existingSchedules = await loadSchedules(sensorIndex, user?.uid, registeredDevice);
         console.log("Loaded schedules:", existingSchedules);
         setSelectedSchedules(existingSchedules);
         
@@ -2534,23 +4874,47 @@ const PlantsScreen = ({ navigation, route }) => {
 
     const updatedPlant = { ...plants[idx], name: newName, updatedAt: new Date().toISOString() };
 
-    setPlants((prev) => {
-      const copy = [...prev];
-      copy[idx] = updatedPlant;
-      return copy;
-    });
-
-    update(ref(db), { [`Users/${user.uid}/plants/${idx}`]: updatedPlant })
-      .then(() => {
+    savePlantChange(idx, updatedPlant, {
+      [`Users/${user.uid}/plants/${deviceId}/${idx}`]: updatedPlant
+    }, `Rename ${plants[idx]?.name} to ${newName}`)
+      .then(({ queued }) => {
         setRenameModalVisible(false);
         setDetailsModalVisible(false);
-        Alert.alert("Renamed", "Plant renamed successfully");
+        Alert.alert("Renamed", queued ? OFFLINE_QUEUED_MESSAGE : "Plant renamed successfully");
       })
       .catch((err) => {
         Alert.alert("Error", "Could not rename plant: " + err.message);
       });
   };
 
+  const handleSaveThresholds = async (thresholds) => {
+    const idx = selectedSensor;
+    if (idx === null || idx === undefined || !plants[idx]) return false;
+
+    const updatedPlant = { ...plants[idx], thresholds, updatedAt: new Date().toISOString() };
+
+    const updates = {
+      [`Users/${user.uid}/plants/${deviceId}/${idx}/thresholds`]: thresholds,
+      [`Users/${user.uid}/plants/${deviceId}/${idx}/updatedAt`]: updatedPlant.updatedAt
+    };
+
+    // The controller's soil check uses the Dry threshold; a new lastUpdated makes it reload
+    if (registeredDevice?.controllerId) {
+      const deviceSchedulePath = getDevicePath(registeredDevice, `Schedules/Sensor${idx + 1}`);
+      updates[`${deviceSchedulePath}/dryThreshold`] = thresholds.dry;
+      updates[`${deviceSchedulePath}/lastUpdated`] = updatedPlant.updatedAt;
+    }
+
+    try {
+      await savePlantChange(idx, updatedPlant, updates, `Thresholds for ${updatedPlant.name}`);
+      setSelectedPlant(updatedPlant);
+      return true;
+    } catch (err) {
+      Alert.alert("Error", "Could not save thresholds: " + err.message);
+      return false;
+    }
+  };
+
   const handleDeletePlant = (sensorIndex) => {
     if (sensorIndex === null || sensorIndex === undefined) return;
 
@@ -2563,14 +4927,12 @@ const PlantsScreen = ({ navigation, route }) => {
           text: "Delete", 
           style: "destructive", 
           onPress: () => {
-            const copy = [...plants];
-            copy[sensorIndex] = null;
-            setPlants(copy);
-
-            update(ref(db), { [`Users/${user.uid}/plants/${sensorIndex}`]: null })
-              .then(() => {
+            savePlantChange(sensorIndex, null, {
+              [`Users/${user.uid}/plants/${deviceId}/${sensorIndex}`]: null
+            }, `Delete ${plants[sensorIndex]?.name}`)
+              .then(({ queued }) => {
                 setDetailsModalVisible(false);
-                Alert.alert("Deleted", "Plant removed successfully.");
+                Alert.alert("Deleted", queued ? OFFLINE_QUEUED_MESSAGE : "Plant removed successfully.");
               })
               .catch((err) => {
                 Alert.alert("Error", "Could not delete plant: " + err.message);
@@ -2628,19 +4990,14 @@ const PlantsScreen = ({ navigation, route }) => {
                 {moistureValue !== null ? `Moisture: ${moistureValue}` : "No data"}
               </Text>
             )}
+            <PumpStatusBadge pump={pumpStatus[sensorIndex]} />
             <View
               style={[
                 styles.statusIndicator,
                 {
                   backgroundColor:
                     isSensor3 ? "#FF9800" : // Orange for Sensor 3
-                    moistureValue === null
-                      ? "#9E9E9E"
-                      : moistureValue >= 800
-                      ? "#FF5722"
-                      : moistureValue >= 400
-                      ? "#4CAF50"
-                      : "#2196F3",
+                    MOISTURE_STATUS_STYLES[classifyMoisture(moistureValue, getPlantThresholds(plant))].color,
                 },
               ]}
             />
@@ -2677,7 +5034,7 @@ const PlantsScreen = ({ navigation, route }) => {
 
             <View style={styles.plantGuideCard}>
               <Text style={styles.plantGuideEmoji}>{plant.emoji}</Text>
-              <Text style={styles.plantGuideNumber}>{plant.id}/10</Text>
+              <Text style={styles.plantGuideNumber}>{currentIndex + 1}/{plantData.length}</Text>
               <Text style={styles.plantGuideName}>{plant.name}</Text>
               <Text style={styles.plantGuideDescription}>{plant.description}</Text>
               
@@ -2685,6 +5042,13 @@ const PlantsScreen = ({ navigation, route }) => {
                 <Text style={styles.wateringLabel}>💧 Watering:</Text>
                 <Text style={styles.wateringSchedule}>{plant.watering}</Text>
               </View>
+
+              <View style={styles.wateringInfo}>
+                <Text style={styles.wateringLabel}>🌡️ Sensor profile:</Text>
+                <Text style={styles.wateringSchedule}>
+                  Dry ≥ {plant.thresholds.dry} · Moist ≥ {plant.thresholds.moist} · Auto mode {plant.autoMode.enabled ? "on" : "off"}
+                </Text>
+              </View>
             </View>
 
             <View style={styles.plantGuideNavigation}>
@@ -2736,15 +5100,17 @@ const PlantsScreen = ({ navigation, route }) => {
         {device ? `${device.name} Sensors` : "Plant Health Dashboard"}
       </Text>
 
-      {!registeredDevice || !shouldDisplaySensorData(devices) ? (
+      {!registeredDevice || !isPaired ? (
         <View style={[styles.recommendationsContainer, { marginTop: 20 }]}>
           <Text style={styles.recommendationsTitle}>
-            {!registeredDevice ? "No Device Registered" : "Access Restricted"}
+            {!registeredDevice ? "No Device Registered" : pairingStatus === "checking" ? "Checking Pairing..." : "Controller Not Paired"}
           </Text>
           <Text style={styles.recommendationText}>
             {!registeredDevice 
               ? "Please register your ESP8266 device in the Device screen first." 
-              : `Sensor data is only available from devices with IP: ${ALLOWED_IP}\n\nRegistered devices: ${Object.values(devices).map(d => d.ip).join(', ') || 'None'}`
+              : pairingStatus === "checking"
+                ? "Confirming this controller belongs to your account."
+                : "Sensor data is only shown for controllers paired with your account.\n\nOpen this device in the Device screen and enter the pairing code shown on the controller."
             }
           </Text>
 
@@ -2754,6 +5120,46 @@ const PlantsScreen = ({ navigation, route }) => {
         </View>
       ) : (
         <View style={styles.mainContent}>
+          {cachedMoistureAt && (
+            <View style={styles.offlineNotice}>
+              <Text style={styles.offlineNoticeText}>
+                📴 Offline - showing readings from {new Date(cachedMoistureAt).toLocaleString()}
+              </Text>
+            </View>
+          )}
+
+          {hasLanAddress && (
+            <View style={[styles.lanBar, lanMode && lanReachable === false ? styles.lanBarError : {}]}>
+              <Text style={styles.lanBarText}>
+                {!lanMode
+                  ? "☁️ Cloud connection"
+                  : lanReachable === false
+                    ? `⚠️ Controller not reachable at ${registeredDevice.ip}`
+                    : `📶 Local network · ${registeredDevice.ip}${firebaseOffline ? " (cloud offline)" : ""}`}
+              </Text>
+              <Switch
+                value={lanMode}
+                onValueChange={setLanModeEnabled}
+                disabled={firebaseOffline}
+                trackColor={{ false: '#767577', true: '#81b0ff' }}
+                thumbColor={lanMode ? '#4CAF50' : '#f4f3f4'}
+              />
+            </View>
+          )}
+
+          {registeredDevice.controllerId && (
+            <TouchableOpacity
+              style={[styles.reservoirBar, reservoirEstimate && { backgroundColor: RESERVOIR_LEVEL_STYLES[reservoirEstimate.level].backgroundColor }]}
+              onPress={() => setReservoirModalVisible(true)}
+            >
+              <Text style={[styles.reservoirBarText, reservoirEstimate && { color: RESERVOIR_LEVEL_STYLES[reservoirEstimate.level].color }]}>
+                {reservoirEstimate
+                  ? `🪣 Tank ≈ ${formatVolume(reservoirEstimate.remainingMl)} of ${formatVolume(reservoir.capacityMl)} (${reservoirEstimate.percent}%)${RESERVOIR_LEVEL_STYLES[reservoirEstimate.level].note}`
+                  : "🪣 Set up the water tank to track how much is left"}
+              </Text>
+            </TouchableOpacity>
+          )}
+
           <ScrollView 
             contentContainerStyle={styles.plantsGridCentered}
             showsVerticalScrollIndicator={false}
@@ -2786,6 +5192,10 @@ const PlantsScreen = ({ navigation, route }) => {
         sensorId={selectedSensor}
         plantName={selectedPlant?.name}
         existingSchedules={selectedSchedules}
+        timeZone={getDeviceTimeZone(registeredDevice)}
+        otherSchedules={otherSensorSchedules}
+        plantNames={plants.map((plant) => plant?.name)}
+        dryThreshold={getPlantThresholds(plants[selectedSensor]).dry}
       />
 
       <PlantDetailsModal
@@ -2799,7 +5209,7 @@ const PlantsScreen = ({ navigation, route }) => {
         }}
         onScheduleRequest={async () => {
           setDetailsModalVisible(false);
-          const existingSchedules = await loadSchedules(selectedSensor, user?.uid);
+          const existingSchedules = await loadSchedules(selectedSensor, user?.uid, registeredDevice);
           setSelectedSchedules(existingSchedules);
           setTimeout(() => setScheduleModalVisible(true), 250);
         }}
@@ -2807,14 +5217,51 @@ const PlantsScreen = ({ navigation, route }) => {
           setDetailsModalVisible(false);
           setTimeout(() => setHistoryModalVisible(true), 250);
         }}
+        onWaterRequest={() => {
+          setDetailsModalVisible(false);
+          setTimeout(() => setWateringModalVisible(true), 250);
+        }}
+        onSaveThresholds={handleSaveThresholds}
+        onSaveFlowRate={handleSaveFlowRate}
+        pumpFlowRate={selectedSensor !== null ? pumpFlowRates[selectedSensor] : null}
+        reservoirEstimate={reservoirEstimate}
         sensorId={selectedSensor}
         userId={user?.uid}
+        device={registeredDevice}
+        lanMode={lanMode}
+        pumpStatus={selectedSensor !== null ? pumpStatus[selectedSensor] : null}
+      />
+
+      <ManualWateringModal
+        visible={wateringModalVisible}
+        onClose={() => setWateringModalVisible(false)}
+        plant={selectedPlant}
+        sensorId={selectedSensor}
+        device={registeredDevice}
+        lanMode={lanMode}
+        pumpStatus={selectedSensor !== null ? pumpStatus[selectedSensor] : null}
+        flowRate={getFlowRate(selectedSensor !== null ? pumpFlowRates[selectedSensor] : null)}
+        reservoirEstimate={reservoirEstimate}
+      />
+
+      <ReservoirModal
+        visible={reservoirModalVisible}
+        onClose={() => setReservoirModalVisible(false)}
+        onSave={handleSaveReservoir}
+        reservoir={reservoir}
+        estimate={reservoirEstimate}
       />
 
       <HistoryModal
         visible={historyModalVisible}
         onClose={() => setHistoryModalVisible(false)}
-        history={selectedSensor !== null ? history[selectedSensor] : []}
+        userId={user?.uid}
+        deviceId={deviceId}
+        device={registeredDevice}
+        sensorId={selectedSensor}
+        plantName={selectedPlant?.name}
+        plantSince={selectedPlant?.registeredAt}
+        thresholds={getPlantThresholds(selectedPlant)}
       />
 
       <PlantRegistrationModal 
@@ -2851,7 +5298,7 @@ const PlantsScreen = ({ navigation, route }) => {
       <PlantGuideModal
         visible={plantGuideModalVisible}
         onClose={() => setPlantGuideModalVisible(false)}
-        plantData={plantGuideData}
+        plantData={PLANT_CATALOG}
         currentIndex={currentPlantIndex}
         onNext={nextPlant}
         onPrev={prevPlant}
@@ -2877,6 +5324,28 @@ export default function App() {
     return unsubscribe;
   }, []);
 
+  // Replay changes made offline whenever the connection comes back
+  useEffect(() => {
+    if (!user) return;
+
+    return startQueueSync((report) => {
+      const lines = [];
+      if (report.applied > 0) {
+        lines.push(`${report.applied} offline change${report.applied === 1 ? "" : "s"} synced.`);
+      }
+      if (report.conflicts.length > 0) {
+        lines.push(`Not applied because they were changed elsewhere in the meantime:\n• ${report.conflicts.join("\n• ")}`);
+      }
+      if (report.expired.length > 0) {
+        lines.push(`Discarded because they expired before the connection returned:\n• ${report.expired.join("\n• ")}`);
+      }
+      if (report.rejected.length > 0) {
+        lines.push(`Discarded because the server refused them (for example, the controller was removed):\n• ${report.rejected.join("\n• ")}`);
+      }
+      Alert.alert("Offline Changes", lines.join("\n\n"));
+    });
+  }, [user]);
+
   if (isLoading) {
     return (
       <View style={[styles.container, styles.welcomeBg]}>
@@ -3571,7 +6040,7 @@ registeredPlant: {
   padding: 15,
   alignItems: "center",
   justifyContent: "center",
-  height: 120,
+  minHeight: 120, // grows for the pump status line
   width: '100%', // Add this to ensure it takes full width of parent
   shadowColor: "#2E7D32",
   shadowOffset: { width: 0, height: 2 },
@@ -5811,4 +8280,742 @@ notificationToggleButtonText: {
   fontSize: 16,
   fontWeight: "bold",
 },
-});
\ No newline at end of file
+
+// PERSISTENT HISTORY STYLES
+historySubtitle: {
+  fontSize: 14,
+  color: "#388E3C",
+  marginBottom: 10,
+},
+
+historyRangeRow: {
+  flexDirection: "row",
+  justifyContent: "center",
+  marginBottom: 10,
+},
+
+historyRangeButton: {
+  paddingVertical: 6,
+  paddingHorizontal: 16,
+  borderRadius: 16,
+  borderWidth: 1,
+  borderColor: "#4CAF50",
+  marginHorizontal: 4,
+},
+
+historyRangeButtonActive: {
+  backgroundColor: "#4CAF50",
+},
+
+historyRangeText: {
+  fontSize: 13,
+  fontWeight: "600",
+  color: "#4CAF50",
+},
+
+historyRangeTextActive: {
+  color: "white",
+},
+
+historyPager: {
+  flexDirection: "row",
+  justifyContent: "space-between",
+  alignItems: "center",
+  width: "100%",
+  marginBottom: 8,
+},
+
+historyPagerButton: {
+  paddingVertical: 6,
+  paddingHorizontal: 8,
+},
+
+historyPagerText: {
+  fontSize: 13,
+  fontWeight: "600",
+  color: "#2E7D32",
+},
+
+historyPeriodLabel: {
+  fontSize: 13,
+  color: "#666",
+  fontWeight: "500",
+},
+
+historySummary: {
+  fontSize: 12,
+  color: "#666",
+  marginBottom: 8,
+  textAlign: "center",
+},
+
+// TREND CHART STYLES
+trendSectionCard: {
+  backgroundColor: "#F8F9FA",
+  borderLeftWidth: 4,
+  borderLeftColor: "#2E7D32",
+},
+
+trendHeader: {
+  flexDirection: "row",
+  justifyContent: "space-between",
+  alignItems: "flex-start",
+},
+
+trendWindowRow: {
+  flexDirection: "row",
+},
+
+trendWindowButton: {
+  paddingVertical: 3,
+  paddingHorizontal: 8,
+  borderRadius: 10,
+  marginLeft: 4,
+  borderWidth: 1,
+  borderColor: "#4CAF50",
+},
+
+trendWindowButtonActive: {
+  backgroundColor: "#4CAF50",
+},
+
+trendWindowText: {
+  fontSize: 11,
+  fontWeight: "600",
+  color: "#4CAF50",
+},
+
+trendWindowTextActive: {
+  color: "white",
+},
+
+trendChart: {
+  height: 160,
+  width: "100%",
+  backgroundColor: "white",
+  borderRadius: 8,
+  overflow: "hidden",
+},
+
+trendBand: {
+  position: "absolute",
+  left: 0,
+  right: 0,
+  justifyContent: "center",
+},
+
+trendBandLabel: {
+  position: "absolute",
+  right: 4,
+  fontSize: 9,
+  color: "#999",
+},
+
+trendSegment: {
+  position: "absolute",
+  height: 2,
+  backgroundColor: "#2E7D32",
+},
+
+trendPoint: {
+  position: "absolute",
+  width: 4,
+  height: 4,
+  borderRadius: 2,
+  backgroundColor: "#2E7D32",
+},
+
+trendPumpMarker: {
+  position: "absolute",
+  top: 0,
+  bottom: 0,
+  width: 2,
+  backgroundColor: "rgba(33, 150, 243, 0.7)",
+},
+
+trendEmptyText: {
+  position: "absolute",
+  top: 70,
+  left: 0,
+  right: 0,
+  textAlign: "center",
+  fontSize: 12,
+  color: "#999",
+  fontStyle: "italic",
+},
+
+trendAxis: {
+  flexDirection: "row",
+  justifyContent: "space-between",
+  marginTop: 4,
+},
+
+trendAxisText: {
+  fontSize: 10,
+  color: "#999",
+},
+
+trendLegend: {
+  flexDirection: "row",
+  justifyContent: "center",
+  marginTop: 6,
+},
+
+trendLegendItem: {
+  flexDirection: "row",
+  alignItems: "center",
+  marginHorizontal: 8,
+},
+
+trendLegendSwatch: {
+  width: 10,
+  height: 3,
+  marginRight: 4,
+},
+
+trendLegendText: {
+  fontSize: 11,
+  color: "#666",
+},
+
+// THRESHOLD STYLES
+thresholdSectionCard: {
+  backgroundColor: "#F1F8E9",
+  borderLeftWidth: 4,
+  borderLeftColor: "#8BC34A",
+},
+
+thresholdDescription: {
+  fontSize: 12,
+  color: "#666",
+  lineHeight: 16,
+  marginBottom: 10,
+},
+
+thresholdRow: {
+  flexDirection: "row",
+  justifyContent: "space-between",
+},
+
+thresholdField: {
+  flex: 1,
+  marginHorizontal: 4,
+},
+
+thresholdLabel: {
+  fontSize: 12,
+  fontWeight: "600",
+  color: "#2E7D32",
+  marginBottom: 4,
+},
+
+thresholdInput: {
+  height: 40,
+  borderColor: "#4CAF50",
+  borderWidth: 1,
+  borderRadius: 8,
+  paddingHorizontal: 10,
+  fontSize: 15,
+  backgroundColor: "white",
+},
+
+thresholdButtonsRow: {
+  flexDirection: "row",
+  justifyContent: "flex-end",
+  marginTop: 10,
+},
+
+thresholdResetButton: {
+  paddingVertical: 8,
+  paddingHorizontal: 12,
+  marginRight: 8,
+},
+
+thresholdResetText: {
+  color: "#666",
+  fontSize: 13,
+  fontWeight: "600",
+},
+
+thresholdSaveButton: {
+  backgroundColor: "#4CAF50",
+  paddingVertical: 8,
+  paddingHorizontal: 14,
+  borderRadius: 8,
+},
+
+thresholdSaveText: {
+  color: "white",
+  fontSize: 13,
+  fontWeight: "600",
+},
+
+// SPECIES PROFILE STYLES
+speciesLabel: {
+  alignSelf: "flex-start",
+  fontSize: 13,
+  fontWeight: "600",
+  color: "#2E7D32",
+  marginBottom: 6,
+},
+
+speciesPickerWrapper: {
+  width: "100%",
+  marginBottom: 12,
+},
+
+speciesProfileCard: {
+  width: "100%",
+  backgroundColor: "#F1F8E9",
+  borderRadius: 8,
+  padding: 10,
+  marginBottom: 12,
+},
+
+speciesProfileText: {
+  fontSize: 12,
+  color: "#388E3C",
+  marginBottom: 2,
+},
+
+// MULTI-DEVICE STYLES
+deviceControllerId: {
+  fontSize: 10,
+  color: "#666",
+  fontFamily: Platform.OS === "ios" ? "Menlo" : "monospace",
+  marginTop: 2,
+},
+
+controllerIdHint: {
+  fontSize: 12,
+  color: "#666",
+  marginTop: -12,
+  marginBottom: 16,
+  textAlign: "center",
+},
+
+// LAN MODE STYLES
+lanBar: {
+  flexDirection: "row",
+  alignItems: "center",
+  justifyContent: "space-between",
+  backgroundColor: "rgba(232, 245, 233, 0.9)",
+  borderRadius: 12,
+  paddingVertical: 6,
+  paddingHorizontal: 14,
+  marginHorizontal: 20,
+  marginBottom: 10,
+},
+
+lanBarError: {
+  backgroundColor: "rgba(255, 243, 224, 0.95)",
+},
+
+lanBarText: {
+  flex: 1,
+  fontSize: 13,
+  color: "#2E7D32",
+  fontWeight: "600",
+  marginRight: 10,
+},
+
+// OFFLINE CACHE STYLES
+offlineNotice: {
+  backgroundColor: "rgba(255, 243, 224, 0.95)",
+  borderRadius: 12,
+  paddingVertical: 8,
+  paddingHorizontal: 14,
+  marginHorizontal: 20,
+  marginBottom: 10,
+},
+
+offlineNoticeText: {
+  fontSize: 13,
+  color: "#E65100",
+  fontWeight: "600",
+  textAlign: "center",
+},
+
+// SCHEDULE RUN STYLES
+scheduleSectionCard: {
+  backgroundColor: "#E3F2FD",
+  borderLeftWidth: 4,
+  borderLeftColor: "#1976D2",
+},
+
+scheduleSyncText: {
+  fontSize: 13,
+  color: "#0D47A1",
+  marginBottom: 10,
+},
+
+scheduleRunRow: {
+  paddingVertical: 6,
+  borderTopWidth: 1,
+  borderTopColor: "rgba(0,0,0,0.05)",
+},
+
+scheduleRunText: {
+  fontSize: 13,
+  color: "#333",
+  fontWeight: "600",
+},
+
+scheduleRunMeta: {
+  fontSize: 12,
+  color: "#666",
+  marginTop: 2,
+},
+
+scheduleRunEmpty: {
+  fontSize: 12,
+  color: "#666",
+  fontStyle: "italic",
+},
+
+// SCHEDULE RULE STYLES
+ruleTypeRow: {
+  flexDirection: "row",
+  flexWrap: "wrap",
+  justifyContent: "center",
+  marginBottom: 12,
+},
+
+ruleTypeButton: {
+  paddingHorizontal: 10,
+  marginBottom: 6,
+},
+
+ruleSummary: {
+  fontSize: 13,
+  color: "#388E3C",
+  marginBottom: 10,
+},
+
+ruleStartDate: {
+  fontSize: 14,
+  fontWeight: "600",
+  color: "#2E7D32",
+  marginHorizontal: 12,
+},
+
+ruleCoordinateInput: {
+  width: "48%",
+  marginBottom: 8,
+},
+
+ruleDeleteButton: {
+  marginLeft: 8,
+  padding: 4,
+},
+
+ruleDeleteText: {
+  fontSize: 16,
+},
+
+ruleAddButton: {
+  borderWidth: 1,
+  borderColor: "#4CAF50",
+  borderStyle: "dashed",
+  borderRadius: 12,
+  paddingVertical: 12,
+  alignItems: "center",
+  marginBottom: 8,
+},
+
+ruleAddText: {
+  color: "#4CAF50",
+  fontWeight: "600",
+},
+
+// TIMEZONE STYLES
+timezoneNotice: {
+  fontSize: 12,
+  color: "#1565C0",
+  textAlign: "center",
+  marginBottom: 20,
+  backgroundColor: "#E3F2FD",
+  padding: 8,
+  borderRadius: 8,
+  width: "100%",
+},
+
+timezonePickerWrapper: {
+  width: "100%",
+  height: undefined,
+  marginBottom: 10,
+},
+
+timezonePhoneLink: {
+  fontSize: 13,
+  color: "#4CAF50",
+  fontWeight: "600",
+  textAlign: "center",
+  marginBottom: 16,
+},
+
+// SCHEDULE PREVIEW STYLES
+conflictBox: {
+  backgroundColor: "#FFF3E0",
+  borderRadius: 10,
+  padding: 10,
+  marginBottom: 12,
+},
+
+conflictTitle: {
+  fontSize: 13,
+  fontWeight: "bold",
+  color: "#E65100",
+  marginBottom: 4,
+},
+
+conflictText: {
+  fontSize: 12,
+  color: "#E65100",
+  marginTop: 2,
+},
+
+weekPreview: {
+  backgroundColor: "#F8F9FA",
+  borderRadius: 12,
+  padding: 12,
+  marginBottom: 12,
+  borderWidth: 1,
+  borderColor: "#E0E0E0",
+},
+
+weekPreviewDay: {
+  paddingVertical: 6,
+  borderBottomWidth: 1,
+  borderBottomColor: "#EEEEEE",
+},
+
+weekPreviewDate: {
+  fontSize: 13,
+  fontWeight: "bold",
+  color: "#2E7D32",
+  marginBottom: 4,
+},
+
+weekPreviewEmpty: {
+  fontSize: 12,
+  color: "#9E9E9E",
+},
+
+weekPreviewRun: {
+  flexDirection: "row",
+  alignItems: "center",
+  marginVertical: 2,
+},
+
+weekPreviewDot: {
+  width: 8,
+  height: 8,
+  borderRadius: 4,
+  marginRight: 6,
+},
+
+weekPreviewText: {
+  fontSize: 12,
+  color: "#555",
+  flexShrink: 1,
+},
+
+weekPreviewTextEditing: {
+  fontWeight: "bold",
+  color: "#333",
+},
+
+// SOIL CHECK STYLES
+scheduleRunReason: {
+  fontSize: 12,
+  color: "#1565C0",
+  marginTop: 2,
+},
+
+historyRunText: {
+  fontSize: 13,
+  color: "#2E7D32",
+  fontWeight: "600",
+},
+
+// AUTO MODE SETTINGS STYLES
+autoModeActive: {
+  fontSize: 12,
+  color: "#2E7D32",
+  fontWeight: "600",
+  textAlign: "center",
+  marginTop: 8,
+  marginBottom: 12,
+},
+
+autoModeFieldRow: {
+  marginTop: 8,
+},
+
+// PUMP STATUS STYLES
+pumpStatusOn: {
+  backgroundColor: "#E3F2FD",
+  borderRadius: 10,
+  paddingHorizontal: 8,
+  paddingVertical: 2,
+  marginTop: 4,
+  alignSelf: "center",
+},
+
+pumpStatusOnText: {
+  fontSize: 12,
+  fontWeight: "700",
+  color: "#1565C0",
+},
+
+pumpStatusOffText: {
+  fontSize: 11,
+  color: "#9E9E9E",
+  marginTop: 4,
+  textAlign: "center",
+},
+
+pumpCommandStatus: {
+  alignItems: "center",
+  marginBottom: 10,
+},
+
+pumpCommandText: {
+  fontSize: 12,
+  color: "#555",
+  marginTop: 4,
+  textAlign: "center",
+},
+
+// MANUAL WATERING STYLES
+wateringAmountRow: {
+  flexDirection: "row",
+  alignItems: "center",
+  justifyContent: "center",
+  marginVertical: 10,
+},
+
+wateringAmountInput: {
+  width: 110,
+  textAlign: "center",
+  fontSize: 20,
+},
+
+wateringAmountSuffix: {
+  fontSize: 16,
+  fontWeight: "600",
+  color: "#2E7D32",
+  marginLeft: 8,
+},
+
+wateringProgressSection: {
+  width: "100%",
+  alignItems: "center",
+  marginTop: 12,
+},
+
+wateringProgressTrack: {
+  width: "100%",
+  height: 12,
+  borderRadius: 6,
+  backgroundColor: "#E3F2FD",
+  overflow: "hidden",
+},
+
+wateringProgressFill: {
+  height: "100%",
+  borderRadius: 6,
+  backgroundColor: "#2196F3",
+},
+
+wateringStopButton: {
+  backgroundColor: "#F44336",
+},
+
+// WATERING LOG STYLES
+historyTabRow: {
+  flexDirection: "row",
+  width: "100%",
+  borderBottomWidth: 1,
+  borderBottomColor: "#E0E0E0",
+  marginBottom: 10,
+},
+
+historyTab: {
+  flex: 1,
+  alignItems: "center",
+  paddingVertical: 8,
+  borderBottomWidth: 2,
+  borderBottomColor: "transparent",
+},
+
+historyTabActive: {
+  borderBottomColor: "#4CAF50",
+},
+
+historyTabText: {
+  fontSize: 14,
+  color: "#777",
+  fontWeight: "600",
+},
+
+historyTabTextActive: {
+  color: "#2E7D32",
+},
+
+wateringLogMoisture: {
+  fontSize: 12,
+  color: "#555",
+  marginTop: 2,
+},
+
+// WATER USAGE STYLES
+usageRow: {
+  flexDirection: "row",
+  justifyContent: "space-between",
+  marginBottom: 10,
+},
+
+usageCell: {
+  flex: 1,
+  alignItems: "center",
+  backgroundColor: "#E3F2FD",
+  borderRadius: 8,
+  paddingVertical: 8,
+  marginHorizontal: 4,
+},
+
+usageValue: {
+  fontSize: 16,
+  fontWeight: "700",
+  color: "#1565C0",
+},
+
+usageLabel: {
+  fontSize: 11,
+  color: "#666",
+  marginTop: 2,
+},
+
+reservoirBar: {
+  backgroundColor: "#F5F5F5",
+  borderRadius: 10,
+  paddingVertical: 8,
+  paddingHorizontal: 12,
+  marginBottom: 10,
+  width: "100%",
+},
+
+reservoirBarText: {
+  fontSize: 13,
+  fontWeight: "600",
+  color: "#555",
+  textAlign: "center",
+},
+
+reservoirRefillButton: {
+  backgroundColor: "#2196F3",
+  marginBottom: 12,
+},
+});
@@ -0,0 +1,15 @@
+// app.config.js - Build-time additions to app.json
+//
+// google-services.json (Android's Firebase config, used for push notifications)
+// is not committed. Each EAS environment keeps its own copy as a file variable
+// named GOOGLE_SERVICES_JSON, which EAS turns into a path on the build machine;
+// for a local native build, point the variable at a copy downloaded from the
+// Firebase console.
+
+module.exports = ({ config }) => ({
+  ...config,
+  android: {
+    ...config.android,
+    ...(process.env.GOOGLE_SERVICES_JSON && { googleServicesFile: process.env.GOOGLE_SERVICES_JSON })
+  }
+});
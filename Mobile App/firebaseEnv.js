@@ -0,0 +1,61 @@
+// firebaseEnv.js - Firebase settings for the current build environment
+//
+// Values come from EXPO_PUBLIC_* variables, which Expo inlines at build time:
+//   EAS builds   each profile in eas.json names an EAS environment (development,
+//                preview, production) whose variables hold that project's values
+//   expo start   .env.local (copy .env.example), never committed
+//
+// EXPO_PUBLIC_USE_FIREBASE_EMULATORS=true points auth, database and functions at
+// the local emulators from firebase.json instead. EXPO_PUBLIC_FIREBASE_EMULATOR_HOST
+// overrides the host (the Android emulator reaches the computer at 10.0.2.2).
+// Production builds refuse the switch so a stray variable can't ship.
+
+import { Platform } from 'react-native';
+
+export const APP_ENV = process.env.EXPO_PUBLIC_APP_ENV || 'development';
+
+// Expo only inlines process.env.EXPO_PUBLIC_* written out in full, so no loops over names here
+export const firebaseConfig = {
+  apiKey: process.env.EXPO_PUBLIC_FIREBASE_API_KEY,
+  authDomain: process.env.EXPO_PUBLIC_FIREBASE_AUTH_DOMAIN,
+  databaseURL: process.env.EXPO_PUBLIC_FIREBASE_DATABASE_URL,
+  projectId: process.env.EXPO_PUBLIC_FIREBASE_PROJECT_ID,
+  storageBucket: process.env.EXPO_PUBLIC_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: process.env.EXPO_PUBLIC_FIREBASE_MESSAGING_SENDER_ID,
+  appId: process.env.EXPO_PUBLIC_FIREBASE_APP_ID,
+  measurementId: process.env.EXPO_PUBLIC_FIREBASE_MEASUREMENT_ID
+};
+
+export const FUNCTIONS_REGION = process.env.EXPO_PUBLIC_FIREBASE_FUNCTIONS_REGION || 'asia-southeast1';
+
+// Ports match the "emulators" block in firebase.json
+export const EMULATOR_PORTS = {
+  auth: 9099,
+  database: 9000,
+  functions: 5001
+};
+
+const useEmulators = process.env.EXPO_PUBLIC_USE_FIREBASE_EMULATORS === 'true';
+
+if (useEmulators && APP_ENV === 'production') {
+  throw new Error('Firebase emulators are enabled in a production build. Unset EXPO_PUBLIC_USE_FIREBASE_EMULATORS.');
+}
+
+// { host, ports } when the app should talk to the emulators, otherwise null
+export const emulators = useEmulators
+  ? {
+      host: process.env.EXPO_PUBLIC_FIREBASE_EMULATOR_HOST || (Platform.OS === 'android' ? '10.0.2.2' : 'localhost'),
+      ports: EMULATOR_PORTS
+    }
+  : null;
+
+// measurementId is optional (analytics isn't used)
+const REQUIRED_KEYS = ['apiKey', 'authDomain', 'databaseURL', 'projectId', 'appId'];
+
+const missing = REQUIRED_KEYS.filter((key) => !firebaseConfig[key]);
+if (missing.length > 0) {
+  throw new Error(
+    `Firebase config for "${APP_ENV}" is missing ${missing.join(', ')}. ` +
+    'Set the EXPO_PUBLIC_FIREBASE_* variables (see .env.example).'
+  );
+}
@@ -0,0 +1,75 @@
+// lanClient.js - Direct HTTP access to a controller on the local network
+//
+// The ESP8266 serves a small API next to its web page. When Firebase cannot be
+// reached the app talks to these endpoints instead:
+//   GET  /status                              sensor values, pump states (with seconds left) and auto mode states
+//   GET  /togglePump?pump=i&state=on|off      switch one relay (seconds=n for how long, format=json for a JSON reply)
+//   POST /updateSchedule                      { sensor, schedules, dryThreshold } for one sensor
+//
+// Every function resolves to { success, ... } and never throws, like the
+// helpers in firebaseConfig.js.
+
+export const LAN_REQUEST_TIMEOUT = 4000;
+export const LAN_POLL_INTERVAL = 3000; // matches the firmware's sensor read interval
+
+const IP_REGEX = /^(\d{1,3}\.){3}\d{1,3}$/;
+
+export const isLanAddress = (ip) => !!ip && IP_REGEX.test(ip);
+
+const requestJson = async (ip, path, options = {}) => {
+  if (!isLanAddress(ip)) {
+    return { success: false, error: "No IP address is set for this device" };
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), LAN_REQUEST_TIMEOUT);
+
+  try {
+    const response = await fetch(`http://${ip}${path}`, { ...options, signal: controller.signal });
+    if (!response.ok) {
+      return { success: false, error: `Controller responded with ${response.status}` };
+    }
+    return { success: true, data: await response.json() };
+  } catch (error) {
+    const message = error.name === "AbortError" ? "Controller did not respond" : error.message;
+    return { success: false, error: message };
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+export const getLanStatus = async (ip) => {
+  const result = await requestJson(ip, "/status");
+  if (!result.success) return result;
+
+  const status = result.data;
+  return {
+    success: true,
+    deviceId: status.device_id,
+    sensorValues: status.sensor_values || [],
+    pumpStates: status.pump_states || [],
+    pumpRemaining: status.pump_remaining || [],
+    autoModes: status.auto_modes || []
+  };
+};
+
+// seconds sets how long the pump runs when switched on (the firmware's default is 5)
+export const setLanPump = async (ip, sensorIndex, on, seconds = null) => {
+  const duration = on && seconds ? `&seconds=${seconds}` : "";
+  const result = await requestJson(
+    ip,
+    `/togglePump?pump=${sensorIndex}&state=${on ? "on" : "off"}${duration}&format=json`
+  );
+  if (!result.success) return result;
+  return { success: true, state: result.data.state };
+};
+
+export const pushLanSchedules = async (ip, sensorIndex, schedules, dryThreshold) => {
+  const result = await requestJson(ip, "/updateSchedule", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ sensor: sensorIndex + 1, schedules, dryThreshold })
+  });
+  if (!result.success) return result;
+  return { success: true, updated: result.data.updated };
+};
@@ -0,0 +1,24 @@
+// moistureScale.js - The two moisture scales and the conversion between them
+//
+// Sensors report a raw reading from 0 to 1023 where higher means drier. Plant
+// thresholds, the schedules' soil check and everything the app shows use it.
+// Auto mode on the controller compares a 0-100% moisture level instead (higher
+// means wetter), which ESP8266.ino computes as map(raw, 1023, 0, 0, 100). Values
+// cross between the two only through these functions.
+
+export const RAW_MOISTURE_MAX = 1023;
+
+// Same integer maths as the firmware's map() call
+export const rawToPercent = (raw) =>
+  Math.floor(((RAW_MOISTURE_MAX - raw) * 100) / RAW_MOISTURE_MAX);
+
+// The raw reading a percentage corresponds to, for showing auto mode settings next to thresholds
+export const percentToRaw = (percent) =>
+  Math.round(RAW_MOISTURE_MAX - (percent * RAW_MOISTURE_MAX) / 100);
+
+// Auto mode cutoffs matching raw { dry, moist } thresholds: start once the soil
+// reads Dry, stop once it is back to Moist
+export const thresholdsToAutoMode = ({ dry, moist }) => ({
+  startBelow: rawToPercent(dry),
+  stopAt: rawToPercent(moist)
+});
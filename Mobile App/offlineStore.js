@@ -0,0 +1,237 @@
+// offlineStore.js - Local cache and queued writes for working without a connection
+//
+// Cache: the last value seen for devices, plants, schedules and moisture is kept
+// in AsyncStorage so screens can render before (or without) Firebase.
+//
+// Queue: writeOrQueue() applies a multi-path update immediately while Firebase is
+// connected. Otherwise the update is stored and replayed in order once the
+// connection returns. The queue belongs to the signed-in user, so another account
+// signing in on the same phone never replays it. Each queued write may carry:
+//   guard     { path, value } - path of the record's timestamp field and the value
+//             it had when the edit was made. If the server copy changed since,
+//             the write is dropped and reported as a conflict.
+//   ttl       ms after which the write is no longer worth applying (pump commands)
+// A write the server rejects for good (e.g. PERMISSION_DENIED after the controller
+// was released) is dropped and reported; the rest of the queue still replays.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ref, get, update, onValue } from 'firebase/database';
+import { db, auth } from './firebaseConfig';
+
+const CACHE_PREFIX = 'offlineCache:';
+const QUEUE_PREFIX = 'offlineWriteQueue:';
+
+// How long a write waits for the first connection report before going straight through
+const CONNECTION_WAIT_MS = 3000;
+
+// How long a direct write waits for the server before the caller is told it is pending
+const WRITE_ACK_TIMEOUT_MS = 10000;
+
+// Rules rejections fail the same way on every retry
+const PERMANENT_WRITE_ERROR = 'PERMISSION_DENIED';
+
+export const PUMP_COMMAND_TTL = 2 * 60 * 1000;
+
+export const cacheKeys = {
+  devices: (userId) => `devices/${userId}`,
+  pairing: (userId, controllerId) => `pairing/${userId}/${controllerId}`,
+  plants: (userId, deviceId) => `plants/${userId}/${deviceId}`,
+  schedules: (userId, deviceId, sensorIndex) => `schedules/${userId}/${deviceId}/${sensorIndex}`,
+  moisture: (userId, deviceId) => `moisture/${userId}/${deviceId}`
+};
+
+export const readCache = async (key) => {
+  try {
+    const raw = await AsyncStorage.getItem(CACHE_PREFIX + key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.error('Error reading cache:', key, error);
+    return null;
+  }
+};
+
+export const writeCache = async (key, value) => {
+  try {
+    await AsyncStorage.setItem(CACHE_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.error('Error writing cache:', key, error);
+  }
+};
+
+// Connection state, tracked from the first call that needs it. null until
+// .info/connected reports for the first time.
+let firebaseConnected = null;
+let connectionWatcher = null;
+const connectionListeners = new Set();
+
+const watchConnection = () => {
+  if (connectionWatcher) return;
+  connectionWatcher = onValue(ref(db, '.info/connected'), (snapshot) => {
+    firebaseConnected = snapshot.val() === true;
+    connectionListeners.forEach((listener) => listener(firebaseConnected));
+  });
+};
+
+// Unknown counts as connected: the action runs and reports its own error if it fails
+export const isFirebaseConnected = () => {
+  watchConnection();
+  return firebaseConnected !== false;
+};
+
+// Resolves with the first connection report, or null if none came within timeoutMs
+const waitForConnectionState = (timeoutMs) => {
+  watchConnection();
+  if (firebaseConnected !== null) return Promise.resolve(firebaseConnected);
+
+  return new Promise((resolve) => {
+    const listener = (connected) => {
+      clearTimeout(timer);
+      connectionListeners.delete(listener);
+      resolve(connected);
+    };
+    const timer = setTimeout(() => {
+      connectionListeners.delete(listener);
+      resolve(null);
+    }, timeoutMs);
+    connectionListeners.add(listener);
+  });
+};
+
+const getQueueKey = () => QUEUE_PREFIX + (auth.currentUser?.uid || 'signed-out');
+
+const isPermanentWriteError = (error) =>
+  `${error?.code || ''} ${error?.message || ''}`.toUpperCase().includes(PERMANENT_WRITE_ERROR);
+
+const loadQueue = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(getQueueKey());
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.error('Error loading write queue:', error);
+    return [];
+  }
+};
+
+const saveQueue = (queue) => AsyncStorage.setItem(getQueueKey(), JSON.stringify(queue));
+
+const removeFromQueue = async (entryId) => {
+  const queue = await loadQueue();
+  await saveQueue(queue.filter((entry) => entry.id !== entryId));
+};
+
+export const getQueuedWriteCount = async () => (await loadQueue()).length;
+
+// The update promise only settles once the server answers, which never happens if
+// the connection drops mid-write. The SDK still holds the write and sends it on
+// reconnect (in order, so a later withdrawal still lands after it), so after
+// WRITE_ACK_TIMEOUT_MS the caller hears { queued: true } instead of waiting.
+// It isn't added to the queue as well, which would apply it twice.
+const writeWithTimeout = (updates, label) =>
+  new Promise((resolve, reject) => {
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      console.log('Write still waiting for the server, left to sync:', label);
+      resolve({ queued: true });
+    }, WRITE_ACK_TIMEOUT_MS);
+
+    update(ref(db), updates).then(
+      () => {
+        clearTimeout(timer);
+        resolve({ queued: false });
+      },
+      (error) => {
+        clearTimeout(timer);
+        if (timedOut) {
+          console.error('Write failed after the connection returned:', label, error);
+          return;
+        }
+        reject(error);
+      }
+    );
+  });
+
+export const writeOrQueue = async (updates, { label = 'Change', guard = null, ttl = null } = {}) => {
+  // Right after launch the first report may still be on its way
+  if ((await waitForConnectionState(CONNECTION_WAIT_MS)) !== false) {
+    return writeWithTimeout(updates, label);
+  }
+
+  const queue = await loadQueue();
+  queue.push({
+    id: `${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+    label,
+    updates,
+    guard,
+    queuedAt: Date.now(),
+    expiresAt: ttl ? Date.now() + ttl : null
+  });
+  await saveQueue(queue);
+  console.log('Queued offline write:', label);
+  return { queued: true };
+};
+
+let replaying = false;
+
+export const replayQueuedWrites = async () => {
+  if (replaying) return null;
+  replaying = true;
+
+  const report = { applied: 0, conflicts: [], expired: [], rejected: [] };
+
+  try {
+    const queue = await loadQueue();
+
+    for (const entry of queue) {
+      if (entry.expiresAt && Date.now() > entry.expiresAt) {
+        report.expired.push(entry.label);
+        await removeFromQueue(entry.id);
+        continue;
+      }
+
+      if (entry.guard) {
+        const snapshot = await get(ref(db, entry.guard.path));
+        if ((snapshot.val() ?? null) !== (entry.guard.value ?? null)) {
+          report.conflicts.push(entry.label);
+          await removeFromQueue(entry.id);
+          continue;
+        }
+      }
+
+      try {
+        await update(ref(db), entry.updates);
+        report.applied++;
+      } catch (error) {
+        if (!isPermanentWriteError(error)) throw error;
+        console.error('Dropping queued write the server rejected:', entry.label, error);
+        report.rejected.push(entry.label);
+      }
+      await removeFromQueue(entry.id);
+    }
+  } catch (error) {
+    // Whatever is left stays queued for the next reconnect
+    console.error('Error replaying queued writes:', error);
+  } finally {
+    replaying = false;
+  }
+
+  return report;
+};
+
+// Replays the queue every time Firebase reconnects. Returns an unsubscribe function.
+export const startQueueSync = (onReport) => {
+  watchConnection();
+
+  const listener = async (connected) => {
+    if (!connected) return;
+    const report = await replayQueuedWrites();
+    if (report && (report.applied > 0 || report.conflicts.length > 0 || report.expired.length > 0 || report.rejected.length > 0)) {
+      onReport(report);
+    }
+  };
+
+  connectionListeners.add(listener);
+  if (firebaseConnected) listener(true);
+
+  return () => connectionListeners.delete(listener);
+};
@@ -0,0 +1,154 @@
+// plantCatalog.js - Species profiles shared by the plant guide and plant registration
+//
+// Every profile carries the guide text plus the settings applied to a sensor
+// when a plant of that species is registered:
+//   thresholds           raw Dry/Moist cutoffs on the 0-1023 scale (higher = drier)
+//   wateringIntervalDays typical days between waterings - seeds the default "every N
+//                        days" rule, which skips the run while the soil is still moist
+//   wateringMinutes      pump run time of that rule
+//   autoMode             enabled; startBelow / stopAt are filled in from thresholds,
+//                        converted to auto mode's 0-100% scale (see moistureScale.js)
+//
+// To add a species, append an entry with a unique, stable `id` - the id is
+// stored on registered plants, so never rename an existing one.
+
+import { createRule } from "./scheduleRules";
+import { thresholdsToAutoMode } from "./moistureScale";
+
+const DEFAULT_RULE_HOUR = 8;
+
+const SPECIES = [
+  {
+    id: "snake-plant",
+    name: "Snake Plant",
+    description: "A hardy indoor plant with tall, stiff leaves that purify the air.",
+    watering: "Once every 2–3 weeks (let soil dry completely).",
+    emoji: "🌱",
+    thresholds: { dry: 900, moist: 600 },
+    wateringIntervalDays: 17,
+    wateringMinutes: 4,
+    autoMode: { enabled: true }
+  },
+  {
+    id: "peace-lily",
+    name: "Peace Lily",
+    description: "A beautiful plant with dark green leaves and white blooms; great for low light.",
+    watering: "Once a week or when soil feels dry.",
+    emoji: "🌸",
+    thresholds: { dry: 650, moist: 350 },
+    wateringIntervalDays: 7,
+    wateringMinutes: 5,
+    autoMode: { enabled: true }
+  },
+  {
+    id: "pothos",
+    name: "Pothos (Golden Pothos)",
+    description: "A fast-growing vine with heart-shaped green and yellow leaves.",
+    watering: "Once every 1–2 weeks.",
+    emoji: "🍃",
+    thresholds: { dry: 750, moist: 400 },
+    wateringIntervalDays: 10,
+    wateringMinutes: 4,
+    autoMode: { enabled: false }
+  },
+  {
+    id: "zz-plant",
+    name: "ZZ Plant",
+    description: "A low-maintenance plant with shiny, waxy leaves.",
+    watering: "Once every 2–3 weeks.",
+    emoji: "💫",
+    thresholds: { dry: 880, moist: 550 },
+    wateringIntervalDays: 17,
+    wateringMinutes: 4,
+    autoMode: { enabled: true }
+  },
+  {
+    id: "chinese-evergreen",
+    name: "Chinese Evergreen",
+    description: "A colorful, shade-tolerant plant perfect for indoors.",
+    watering: "Once a week.",
+    emoji: "🎍",
+    thresholds: { dry: 720, moist: 400 },
+    wateringIntervalDays: 7,
+    wateringMinutes: 4,
+    autoMode: { enabled: false }
+  },
+  {
+    id: "aloe-vera",
+    name: "Aloe Vera",
+    description: "A succulent known for its healing gel and thick leaves.",
+    watering: "Once every 3 weeks.",
+    emoji: "🌵",
+    thresholds: { dry: 920, moist: 650 },
+    wateringIntervalDays: 21,
+    wateringMinutes: 3,
+    autoMode: { enabled: true }
+  },
+  {
+    id: "spider-plant",
+    name: "Spider Plant",
+    description: "A resilient plant with long green-and-white striped leaves.",
+    watering: "Once every 1–2 weeks.",
+    emoji: "🕷️",
+    thresholds: { dry: 760, moist: 420 },
+    wateringIntervalDays: 10,
+    wateringMinutes: 3,
+    autoMode: { enabled: false }
+  },
+  {
+    id: "philodendron",
+    name: "Philodendron",
+    description: "A lush, green plant that thrives in moderate light and humidity.",
+    watering: "Once a week.",
+    emoji: "🌿",
+    thresholds: { dry: 700, moist: 380 },
+    wateringIntervalDays: 7,
+    wateringMinutes: 5,
+    autoMode: { enabled: false }
+  },
+  {
+    id: "succulents-cacti",
+    name: "Succulents/Cacti",
+    description: "Drought-tolerant plants that store water in their leaves or stems.",
+    watering: "Once every 2–4 weeks.",
+    emoji: "🌵",
+    thresholds: { dry: 950, moist: 700 },
+    wateringIntervalDays: 21,
+    wateringMinutes: 3,
+    autoMode: { enabled: true }
+  },
+  {
+    id: "rubber-plant",
+    name: "Rubber Plant",
+    description: "A glossy-leaved plant that can grow tall indoors.",
+    watering: "Once every 1–2 weeks.",
+    emoji: "🌳",
+    thresholds: { dry: 780, moist: 450 },
+    wateringIntervalDays: 10,
+    wateringMinutes: 5,
+    autoMode: { enabled: false }
+  }
+];
+
+export const PLANT_CATALOG = SPECIES.map((profile) => ({
+  ...profile,
+  autoMode: { ...profile.autoMode, ...thresholdsToAutoMode(profile.thresholds) }
+}));
+
+export const getPlantProfile = (profileId) => {
+  if (!profileId) return null;
+  return PLANT_CATALOG.find((profile) => profile.id === profileId) || null;
+};
+
+// The rules a newly registered plant starts with. startDay is today on the
+// controller's calendar (see getControllerNow in timezones.js).
+export const getDefaultRules = (profile, startDay) => [
+  createRule("everyNDays", {
+    hour: DEFAULT_RULE_HOUR,
+    minute: 0,
+    intervalDays: profile.wateringIntervalDays,
+    startDay,
+    duration: profile.wateringMinutes,
+    moistureGate: "skip"
+  })
+];
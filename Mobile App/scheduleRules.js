@@ -0,0 +1,328 @@
+// scheduleRules.js - Watering rule model shared by the schedule editor and previews
+//
+// A sensor has any number of rules (the controller keeps up to MAX_RULES_PER_SENSOR).
+// Every rule has { id, type, enabled, duration } plus the fields for its type:
+//   weekly       hour, minute, days             at a clock time on the selected weekdays
+//   everyNDays   hour, minute, intervalDays,    every N days counted from startDay
+//                startDay
+//   everyNHours  minute, intervalHours, days,   every N hours from windowStart up to
+//                windowStart, windowEnd         windowEnd (hours, inclusive) on the selected weekdays
+//   solar        event, offsetMinutes, days,    sunrise/sunset plus an offset, on the selected weekdays
+//                latitude, longitude
+// Optional on every type: seasonStart / seasonEnd as MMDD numbers (e.g. 301 = Mar 1).
+// The range may wrap over New Year; leave both unset to run all year.
+//
+// moistureGate decides what the controller does when the sensor reads below the
+// plant's Dry threshold (saved next to the rules as dryThreshold) at start time:
+// "off" waters anyway, "skip" skips the run, "shorten" runs shortenPercent of duration.
+//
+// days is a bitmask (bit 0 = Sunday ... bit 6 = Saturday) and startDay counts days
+// since 1970-01-01 in the controller's local calendar. ESP8266.ino mirrors
+// getRuleRunTimes() - keep the two in step.
+
+export const MAX_RULES_PER_SENSOR = 12;
+
+export const DEFAULT_SCHEDULE_DURATION = 5;
+export const MIN_SCHEDULE_DURATION = 1;
+export const MAX_SCHEDULE_DURATION = 60;
+
+export const RULE_TYPES = [
+  { key: "weekly", label: "Weekly" },
+  { key: "everyNDays", label: "Every N days" },
+  { key: "everyNHours", label: "Every N hours" },
+  { key: "solar", label: "Sunrise / sunset" }
+];
+
+export const MOISTURE_GATES = [
+  { key: "off", label: "Always water" },
+  { key: "skip", label: "Skip if moist" },
+  { key: "shorten", label: "Shorten if moist" }
+];
+
+export const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const EVERY_DAY = 127;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const pad2 = (value) => value.toString().padStart(2, "0");
+
+export const formatMinutes = (minutesOfDay) => `${pad2(Math.floor(minutesOfDay / 60))}:${pad2(minutesOfDay % 60)}`;
+
+export const formatScheduleTime = (schedule) => `${pad2(schedule.hour)}:${pad2(schedule.minute)}`;
+
+export const getScheduleDuration = (schedule) => schedule?.duration ?? DEFAULT_SCHEDULE_DURATION;
+
+// Days since 1970-01-01 for the calendar date of `date` in the phone's local time.
+// For the controller's today pass getControllerNow(timeZone).today (timezones.js).
+export const dateToDayNumber = (date) =>
+  Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / MS_PER_DAY);
+
+export const dayNumberToDate = (dayNumber) => {
+  const utc = new Date(dayNumber * MS_PER_DAY);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+};
+
+const createRuleId = () => `rule_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+
+export const createRule = (type = "weekly", overrides = {}) => {
+  const base = {
+    id: createRuleId(),
+    type,
+    enabled: true,
+    duration: DEFAULT_SCHEDULE_DURATION,
+    moistureGate: "off",
+    shortenPercent: 50
+  };
+
+  switch (type) {
+    case "everyNDays":
+      // startDay is left to the caller: only it knows the controller's timezone
+      return { ...base, hour: 8, minute: 0, intervalDays: 2, startDay: null, ...overrides };
+    case "everyNHours":
+      return { ...base, minute: 0, intervalHours: 4, windowStart: 6, windowEnd: 18, days: EVERY_DAY, ...overrides };
+    case "solar":
+      return { ...base, event: "sunrise", offsetMinutes: 0, days: EVERY_DAY, latitude: null, longitude: null, ...overrides };
+    default:
+      return { ...base, type: "weekly", hour: 8, minute: 0, days: EVERY_DAY, ...overrides };
+  }
+};
+
+// Fills in type, id and defaults - rules saved before rule types existed are weekly slots
+export const normalizeRule = (raw) => {
+  const type = RULE_TYPES.some((option) => option.key === raw?.type) ? raw.type : "weekly";
+  const rule = { ...createRule(type), ...raw, type };
+  if (!raw?.id) rule.id = createRuleId();
+  return rule;
+};
+
+const isValidMonthDay = (value) => {
+  if (!Number.isInteger(value)) return false;
+  const month = Math.floor(value / 100);
+  const day = value % 100;
+  return month >= 1 && month <= 12 && day >= 1 && day <= DAYS_IN_MONTH[month - 1];
+};
+
+export const hasSeason = (rule) => !!rule.seasonStart && !!rule.seasonEnd;
+
+export const validateScheduleDuration = (duration) => {
+  if (!Number.isInteger(duration)) return "Duration must be a whole number of minutes";
+  if (duration < MIN_SCHEDULE_DURATION || duration > MAX_SCHEDULE_DURATION) {
+    return `Duration must be between ${MIN_SCHEDULE_DURATION} and ${MAX_SCHEDULE_DURATION} minutes`;
+  }
+  return null;
+};
+
+export const validateRule = (rule) => {
+  const durationError = validateScheduleDuration(rule.duration);
+  if (durationError) return durationError;
+
+  switch (rule.type) {
+    case "everyNDays":
+      if (!Number.isInteger(rule.intervalDays) || rule.intervalDays < 1 || rule.intervalDays > 60) {
+        return "Repeat every 1 to 60 days";
+      }
+      if (!Number.isInteger(rule.startDay)) return "Pick a start date";
+      break;
+    case "everyNHours":
+      if (!Number.isInteger(rule.intervalHours) || rule.intervalHours < 1 || rule.intervalHours > 23) {
+        return "Repeat every 1 to 23 hours";
+      }
+      if (rule.windowStart > rule.windowEnd) return "The window must start before it ends";
+      if (rule.days === 0) return "Select at least one day";
+      break;
+    case "solar":
+      if (typeof rule.latitude !== "number" || rule.latitude < -90 || rule.latitude > 90) {
+        return "Latitude must be between -90 and 90";
+      }
+      if (typeof rule.longitude !== "number" || rule.longitude < -180 || rule.longitude > 180) {
+        return "Longitude must be between -180 and 180";
+      }
+      if (!Number.isInteger(rule.offsetMinutes) || Math.abs(rule.offsetMinutes) > 180) {
+        return "Offset must be within 180 minutes of the sun event";
+      }
+      if (rule.days === 0) return "Select at least one day";
+      break;
+    default:
+      if (rule.days === 0) return "Select at least one day";
+  }
+
+  if (rule.moistureGate === "shorten" &&
+      (!Number.isInteger(rule.shortenPercent) || rule.shortenPercent < 10 || rule.shortenPercent > 90)) {
+    return "Shorten runs to between 10% and 90%";
+  }
+
+  if ((rule.seasonStart || rule.seasonEnd) && !(isValidMonthDay(rule.seasonStart) && isValidMonthDay(rule.seasonEnd))) {
+    return "Pick a valid season start and end date";
+  }
+
+  return null;
+};
+
+export const isInSeason = (rule, date) => {
+  if (!hasSeason(rule)) return true;
+  const monthDay = (date.getMonth() + 1) * 100 + date.getDate();
+  return rule.seasonStart <= rule.seasonEnd
+    ? monthDay >= rule.seasonStart && monthDay <= rule.seasonEnd
+    : monthDay >= rule.seasonStart || monthDay <= rule.seasonEnd;
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const normalizeRange = (value, max) => ((value % max) + max) % max;
+
+// Sunrise/sunset from the "Almanac for Computers" algorithm, accurate to a minute or two.
+// Returns minutes after local midnight, or null when the sun doesn't rise/set that day.
+export const getSunEventMinutes = (date, latitude, longitude, event, utcOffsetMinutes) => {
+  const dayOfYear = dateToDayNumber(date) - dateToDayNumber(new Date(date.getFullYear(), 0, 1)) + 1;
+  const lngHour = longitude / 15;
+  const t = dayOfYear + ((event === "sunrise" ? 6 : 18) - lngHour) / 24;
+
+  const meanAnomaly = 0.9856 * t - 3.289;
+  const trueLongitude = normalizeRange(
+    meanAnomaly + 1.916 * Math.sin(toRadians(meanAnomaly)) + 0.02 * Math.sin(toRadians(2 * meanAnomaly)) + 282.634,
+    360
+  );
+
+  let rightAscension = normalizeRange(toDegrees(Math.atan(0.91764 * Math.tan(toRadians(trueLongitude)))), 360);
+  rightAscension += Math.floor(trueLongitude / 90) * 90 - Math.floor(rightAscension / 90) * 90;
+  rightAscension /= 15;
+
+  const sinDeclination = 0.39782 * Math.sin(toRadians(trueLongitude));
+  const cosDeclination = Math.cos(Math.asin(sinDeclination));
+  const cosHourAngle = (Math.cos(toRadians(90.833)) - sinDeclination * Math.sin(toRadians(latitude)))
+    / (cosDeclination * Math.cos(toRadians(latitude)));
+  if (cosHourAngle > 1 || cosHourAngle < -1) return null;
+
+  const hourAngle = (event === "sunrise"
+    ? 360 - toDegrees(Math.acos(cosHourAngle))
+    : toDegrees(Math.acos(cosHourAngle))) / 15;
+  const localMeanTime = hourAngle + rightAscension - 0.06571 * t - 6.622;
+  const utcHours = normalizeRange(localMeanTime - lngHour, 24);
+
+  return normalizeRange(Math.round(utcHours * 60) + utcOffsetMinutes, 24 * 60);
+};
+
+// Minutes after local midnight at which an enabled rule starts a watering on `date`
+export const getRuleRunTimes = (rule, date, utcOffsetMinutes) => {
+  if (!rule.enabled || !isInSeason(rule, date)) return [];
+
+  const dayBit = 1 << date.getDay();
+
+  switch (rule.type) {
+    case "everyNDays": {
+      const elapsed = dateToDayNumber(date) - rule.startDay;
+      return elapsed >= 0 && elapsed % rule.intervalDays === 0 ? [rule.hour * 60 + rule.minute] : [];
+    }
+    case "everyNHours": {
+      if (!(rule.days & dayBit)) return [];
+      const times = [];
+      for (let hour = rule.windowStart; hour <= rule.windowEnd; hour += rule.intervalHours) {
+        times.push(hour * 60 + rule.minute);
+      }
+      return times;
+    }
+    case "solar": {
+      if (!(rule.days & dayBit)) return [];
+      const eventMinutes = getSunEventMinutes(date, rule.latitude, rule.longitude, rule.event, utcOffsetMinutes);
+      if (eventMinutes === null) return [];
+      return [normalizeRange(eventMinutes + rule.offsetMinutes, 24 * 60)];
+    }
+    default:
+      return rule.days & dayBit ? [rule.hour * 60 + rule.minute] : [];
+  }
+};
+
+export const describeDays = (days) => {
+  if (days === EVERY_DAY) return "every day";
+  if (days === 62) return "weekdays";
+  if (days === 65) return "weekends";
+  return DAY_NAMES.filter((_, index) => days & (1 << index)).join(", ") || "no days";
+};
+
+const describeMonthDay = (value) => `${MONTH_NAMES[Math.floor(value / 100) - 1]} ${value % 100}`;
+
+export const describeRule = (rule) => {
+  let text;
+
+  switch (rule.type) {
+    case "everyNDays":
+      text = `Every ${rule.intervalDays} day${rule.intervalDays === 1 ? "" : "s"} at ${formatScheduleTime(rule)}`;
+      break;
+    case "everyNHours":
+      text = `Every ${rule.intervalHours} h at :${pad2(rule.minute)} between ${pad2(rule.windowStart)}:00 and ${pad2(rule.windowEnd)}:59, ${describeDays(rule.days)}`;
+      break;
+    case "solar": {
+      const offset = rule.offsetMinutes === 0
+        ? "At"
+        : `${Math.abs(rule.offsetMinutes)} min ${rule.offsetMinutes < 0 ? "before" : "after"}`;
+      text = `${offset} ${rule.event}, ${describeDays(rule.days)}`;
+      break;
+    }
+    default:
+      text = `${formatScheduleTime(rule)}, ${describeDays(rule.days)}`;
+  }
+
+  text += ` for ${getScheduleDuration(rule)} min`;
+  if (rule.moistureGate === "skip") text += ", skipped if moist";
+  if (rule.moistureGate === "shorten") text += `, ${rule.shortenPercent}% if moist`;
+  if (hasSeason(rule)) {
+    text += ` (${describeMonthDay(rule.seasonStart)} – ${describeMonthDay(rule.seasonEnd)})`;
+  }
+  return text;
+};
+
+// Longest "every N days" interval, so every combination of rules shows up at least once
+export const CONFLICT_CHECK_DAYS = 60;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Every watering the rules start on the `days` days beginning at `from`, sorted by time.
+// start/end are minutes since midnight of `from`, so runs crossing midnight still compare.
+export const getUpcomingRuns = (rules, from, days, utcOffsetMinutes) => {
+  const runs = [];
+  for (let day = 0; day < days; day++) {
+    const date = new Date(from.getFullYear(), from.getMonth(), from.getDate() + day);
+    rules.forEach((rule, ruleIndex) => {
+      getRuleRunTimes(rule, date, utcOffsetMinutes).forEach((minutes) => {
+        const start = day * MINUTES_PER_DAY + minutes;
+        runs.push({ ruleIndex, day, date, start, end: start + getScheduleDuration(rule) });
+      });
+    });
+  }
+  return runs.sort((a, b) => a.start - b.start || a.ruleIndex - b.ruleIndex);
+};
+
+// Runs of one sensor that start together ("duplicate") or start while another is
+// still watering ("overlap"). The controller waters one rule per sensor at a time,
+// so the later run would be skipped. Each pair of rules is reported once.
+export const findRuleConflicts = (rules, from, utcOffsetMinutes, days = CONFLICT_CHECK_DAYS) => {
+  const runs = getUpcomingRuns(rules, from, days, utcOffsetMinutes);
+  const conflicts = [];
+  const reported = new Set();
+
+  for (let i = 0; i < runs.length; i++) {
+    for (let j = i + 1; j < runs.length && runs[j].start < runs[i].end; j++) {
+      const type = runs[i].start === runs[j].start ? "duplicate" : "overlap";
+      const key = `${type}:${runs[i].ruleIndex}:${runs[j].ruleIndex}`;
+      if (reported.has(key)) continue;
+      reported.add(key);
+      conflicts.push({ type, first: runs[i], second: runs[j] });
+    }
+  }
+
+  return conflicts;
+};
+
+const describeRunDay = (run) => run.date.toDateString().slice(0, 10);
+
+export const describeConflict = ({ type, first, second }) => {
+  const time = formatMinutes(second.start % MINUTES_PER_DAY);
+  if (first.ruleIndex === second.ruleIndex) {
+    return `Rule ${first.ruleIndex + 1} is still watering when its next run starts at ${time} (${describeRunDay(second)})`;
+  }
+  if (type === "duplicate") {
+    return `Rules ${first.ruleIndex + 1} and ${second.ruleIndex + 1} both start at ${time} (${describeRunDay(second)})`;
+  }
+  return `Rule ${second.ruleIndex + 1} starts at ${time} while rule ${first.ruleIndex + 1} is still watering (${describeRunDay(second)})`;
+};
@@ -0,0 +1,124 @@
+// timezones.js - Controller timezones for schedules
+//
+// Each controller keeps its own timezone so a rule at 08:00 means 08:00 where
+// the plants are, whichever phone edits it. The app stores the IANA name for
+// display and the matching POSIX TZ rule for the ESP8266, which follows it
+// (DST included) through the C library's localtime:
+//   Devices/<controllerId>/Config/timezone       IANA name, e.g. "Europe/Berlin"
+//   Devices/<controllerId>/Config/timezonePosix  POSIX rule, e.g. "CET-1CEST,M3.5.0,M10.5.0/3"
+//
+// `offset` is the standard UTC offset in minutes, used when the phone's Intl
+// support can't resolve the zone.
+
+// Controllers registered before timezones existed ran on a fixed UTC+5:30
+export const DEFAULT_DEVICE_TIMEZONE = "Asia/Kolkata";
+
+export const TIMEZONES = [
+  { id: "Pacific/Honolulu", label: "Honolulu", posix: "HST10", offset: -600 },
+  { id: "America/Anchorage", label: "Anchorage", posix: "AKST9AKDT,M3.2.0,M11.1.0", offset: -540 },
+  { id: "America/Los_Angeles", label: "Los Angeles", posix: "PST8PDT,M3.2.0,M11.1.0", offset: -480 },
+  { id: "America/Phoenix", label: "Phoenix", posix: "MST7", offset: -420 },
+  { id: "America/Denver", label: "Denver", posix: "MST7MDT,M3.2.0,M11.1.0", offset: -420 },
+  { id: "America/Chicago", label: "Chicago", posix: "CST6CDT,M3.2.0,M11.1.0", offset: -360 },
+  { id: "America/Mexico_City", label: "Mexico City", posix: "CST6", offset: -360 },
+  { id: "America/New_York", label: "New York", posix: "EST5EDT,M3.2.0,M11.1.0", offset: -300 },
+  { id: "America/Bogota", label: "Bogotá", posix: "<-05>5", offset: -300 },
+  { id: "America/Sao_Paulo", label: "São Paulo", posix: "<-03>3", offset: -180 },
+  { id: "America/Argentina/Buenos_Aires", label: "Buenos Aires", posix: "<-03>3", offset: -180 },
+  { id: "UTC", label: "UTC", posix: "UTC0", offset: 0 },
+  { id: "Europe/London", label: "London", posix: "GMT0BST,M3.5.0/1,M10.5.0", offset: 0 },
+  { id: "Europe/Lisbon", label: "Lisbon", posix: "WET0WEST,M3.5.0/1,M10.5.0", offset: 0 },
+  { id: "Africa/Lagos", label: "Lagos", posix: "WAT-1", offset: 60 },
+  { id: "Europe/Paris", label: "Paris", posix: "CET-1CEST,M3.5.0,M10.5.0/3", offset: 60 },
+  { id: "Europe/Berlin", label: "Berlin", posix: "CET-1CEST,M3.5.0,M10.5.0/3", offset: 60 },
+  { id: "Africa/Johannesburg", label: "Johannesburg", posix: "SAST-2", offset: 120 },
+  { id: "Europe/Athens", label: "Athens", posix: "EET-2EEST,M3.5.0/3,M10.5.0/4", offset: 120 },
+  { id: "Africa/Cairo", label: "Cairo", posix: "EET-2EEST,M4.5.5/0,M10.5.4/24", offset: 120 },
+  { id: "Europe/Istanbul", label: "Istanbul", posix: "<+03>-3", offset: 180 },
+  { id: "Europe/Moscow", label: "Moscow", posix: "MSK-3", offset: 180 },
+  { id: "Africa/Nairobi", label: "Nairobi", posix: "EAT-3", offset: 180 },
+  { id: "Asia/Dubai", label: "Dubai", posix: "<+04>-4", offset: 240 },
+  { id: "Asia/Karachi", label: "Karachi", posix: "PKT-5", offset: 300 },
+  { id: "Asia/Kolkata", label: "India", posix: "IST-5:30", offset: 330 },
+  { id: "Asia/Kathmandu", label: "Kathmandu", posix: "<+0545>-5:45", offset: 345 },
+  { id: "Asia/Dhaka", label: "Dhaka", posix: "<+06>-6", offset: 360 },
+  { id: "Asia/Bangkok", label: "Bangkok", posix: "<+07>-7", offset: 420 },
+  { id: "Asia/Jakarta", label: "Jakarta", posix: "WIB-7", offset: 420 },
+  { id: "Asia/Singapore", label: "Singapore", posix: "<+08>-8", offset: 480 },
+  { id: "Asia/Shanghai", label: "China", posix: "CST-8", offset: 480 },
+  { id: "Asia/Manila", label: "Manila", posix: "PST-8", offset: 480 },
+  { id: "Australia/Perth", label: "Perth", posix: "AWST-8", offset: 480 },
+  { id: "Asia/Tokyo", label: "Tokyo", posix: "JST-9", offset: 540 },
+  { id: "Asia/Seoul", label: "Seoul", posix: "KST-9", offset: 540 },
+  { id: "Australia/Adelaide", label: "Adelaide", posix: "ACST-9:30ACDT,M10.1.0,M4.1.0/3", offset: 570 },
+  { id: "Australia/Brisbane", label: "Brisbane", posix: "AEST-10", offset: 600 },
+  { id: "Australia/Sydney", label: "Sydney", posix: "AEST-10AEDT,M10.1.0,M4.1.0/3", offset: 600 },
+  { id: "Pacific/Auckland", label: "Auckland", posix: "NZST-12NZDT,M9.5.0,M4.1.0/3", offset: 720 }
+];
+
+export const findTimeZone = (id) => TIMEZONES.find((zone) => zone.id === id) || null;
+
+// The phone's IANA zone when it is one we can hand to the controller
+export const getPhoneTimeZone = () => {
+  try {
+    const id = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return findTimeZone(id) ? id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// UTC offset of `timeZone` in minutes at `date` (DST aware where Intl is available)
+export const getTimeZoneOffset = (timeZone, date = new Date()) => {
+  try {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric"
+    }).formatToParts(date);
+    const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+    const wallClockAsUtc = Date.UTC(part("year"), part("month") - 1, part("day"), part("hour") % 24, part("minute"));
+    return Math.round((wallClockAsUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+  } catch (error) {
+    return findTimeZone(timeZone)?.offset ?? 0;
+  }
+};
+
+export const formatUtcOffset = (minutes) => {
+  const sign = minutes < 0 ? "-" : "+";
+  const absolute = Math.abs(minutes);
+  return `UTC${sign}${String(Math.floor(absolute / 60)).padStart(2, "0")}:${String(absolute % 60).padStart(2, "0")}`;
+};
+
+export const describeTimeZone = (id, date = new Date()) => {
+  const zone = findTimeZone(id);
+  return `${zone ? zone.label : id} (${formatUtcOffset(getTimeZoneOffset(id, date))})`;
+};
+
+// True when the phone's clock currently differs from the controller's
+export const phoneDiffersFrom = (timeZone, date = new Date()) =>
+  -date.getTimezoneOffset() !== getTimeZoneOffset(timeZone, date);
+
+// Converts a controller wall-clock time (minutes after midnight) to the phone's.
+// dayShift is -1/+1 when the phone's clock is on the previous/next day.
+export const toPhoneTime = (minutesOfDay, timeZone, date = new Date()) => {
+  const shifted = minutesOfDay + (-date.getTimezoneOffset() - getTimeZoneOffset(timeZone, date));
+  return {
+    minutes: ((shifted % 1440) + 1440) % 1440,
+    dayShift: Math.floor(shifted / 1440)
+  };
+};
+
+// The controller's current date (as a phone-local Date at midnight, for date
+// arithmetic) and its wall-clock minutes after midnight
+export const getControllerNow = (timeZone, now = new Date()) => {
+  const shifted = new Date(now.getTime() + getTimeZoneOffset(timeZone, now) * 60000);
+  return {
+    today: new Date(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate()),
+    minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+  };
+};
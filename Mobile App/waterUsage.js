@@ -0,0 +1,69 @@
+// waterUsage.js - Water estimates from pump run times
+//
+// The controller logs every pump run under WateringLog/SensorN with durationSec
+// (see ESP8266.ino). Multiplied by the pump's calibrated flow rate that gives an
+// estimate of the water delivered. Per controller:
+//   Devices/<controllerId>/Pumps/SensorN/flowRate   ml per second, measured by the user
+//   Devices/<controllerId>/Reservoir                { capacityMl, refilledAt, usedMl, empty }
+// The tank estimate is capacityMl minus everything all four pumps delivered
+// since refilledAt (epoch ms), so it is only as good as the flow rates. The
+// controller keeps its own count in usedMl (reset to 0 on a refill) and stops
+// watering once it reaches capacityMl; the larger of the two counts wins.
+
+export const DEFAULT_PUMP_FLOW_RATE = 25; // ml per second, nominal for the kit's mini pumps
+export const MIN_PUMP_FLOW_RATE = 0.5;
+export const MAX_PUMP_FLOW_RATE = 500;
+
+export const MIN_RESERVOIR_CAPACITY = 100; // ml
+export const MAX_RESERVOIR_CAPACITY = 200000;
+export const RESERVOIR_LOW_PERCENT = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const USAGE_PERIODS = [
+  { key: "day", label: "24 hours", ms: DAY_MS },
+  { key: "week", label: "7 days", ms: 7 * DAY_MS },
+  { key: "month", label: "30 days", ms: 30 * DAY_MS }
+];
+
+export const getFlowRate = (value) =>
+  typeof value === "number" && value >= MIN_PUMP_FLOW_RATE && value <= MAX_PUMP_FLOW_RATE ? value : DEFAULT_PUMP_FLOW_RATE;
+
+export const validateFlowRate = (flowRate) => {
+  if (!Number.isFinite(flowRate)) return "Enter the flow rate as a number";
+  if (flowRate < MIN_PUMP_FLOW_RATE || flowRate > MAX_PUMP_FLOW_RATE) {
+    return `The flow rate must be between ${MIN_PUMP_FLOW_RATE} and ${MAX_PUMP_FLOW_RATE} ml/s`;
+  }
+  return null;
+};
+
+export const validateReservoirCapacity = (capacityMl) => {
+  if (!Number.isInteger(capacityMl)) return "Enter the tank size in whole millilitres";
+  if (capacityMl < MIN_RESERVOIR_CAPACITY || capacityMl > MAX_RESERVOIR_CAPACITY) {
+    return `The tank size must be between ${MIN_RESERVOIR_CAPACITY} and ${MAX_RESERVOIR_CAPACITY} ml`;
+  }
+  return null;
+};
+
+export const formatVolume = (ml) =>
+  Math.abs(ml) >= 1000 ? `${(ml / 1000).toFixed(1)} L` : `${Math.round(ml)} ml`;
+
+// Seconds the pump ran in finished log entries started at or after `since`
+export const getRunSeconds = (entries, since = 0) =>
+  entries
+    .filter((entry) => entry.startedAt >= since && typeof entry.durationSec === "number")
+    .reduce((sum, entry) => sum + entry.durationSec, 0);
+
+// { day, week, month } estimated ml for one pump, counted back from `now`
+export const summarizeUsage = (entries, flowRate, now = Date.now()) =>
+  Object.fromEntries(USAGE_PERIODS.map((period) => [period.key, getRunSeconds(entries, now - period.ms) * flowRate]));
+
+// { remainingMl, percent, level } with level "ok", "low" or "empty", or null until a capacity is set
+export const estimateReservoir = (reservoir, usedMl) => {
+  if (!reservoir?.capacityMl) return null;
+
+  const remainingMl = Math.max(0, reservoir.capacityMl - Math.max(usedMl, reservoir.usedMl || 0));
+  const percent = Math.round((remainingMl / reservoir.capacityMl) * 100);
+  const level = remainingMl === 0 ? "empty" : percent <= RESERVOIR_LOW_PERCENT ? "low" : "ok";
+  return { remainingMl, percent, level };
+};
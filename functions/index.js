@@ -0,0 +1,199 @@
+// index.js - PAWS Cloud Functions
+//
+// requestOtp  { email, purpose }        emails a sign-in code (rate limited, see otp.js)
+// verifyOtp   { email, code, purpose }  checks it and returns a custom auth token
+//
+// The app signs in with the token (signInWithCustomToken), so accounts no longer
+// carry a password derived from the code. Minting tokens needs the runtime
+// service account to hold "Service Account Token Creator" on itself.
+//
+// Local testing: `npm run serve` starts the functions, auth and database
+// emulators. There mail goes through the dev transport (mail/dev.js) instead of
+// being emailed.
+
+const crypto = require("crypto");
+const { setGlobalOptions } = require("firebase-functions/v2");
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { defineSecret } = require("firebase-functions/params");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const {
+  CODE_TTL_MS,
+  MAX_SENDS_PER_IP,
+  PURPOSES,
+  normalizeEmail,
+  toKey,
+  generateCode,
+  takeSendSlot,
+  issueCode,
+  checkCode
+} = require("./otp");
+const { getTransport, MailDeliveryError } = require("./mail");
+
+// Same region as the Realtime Database
+setGlobalOptions({ region: "asia-southeast1", maxInstances: 10 });
+
+admin.initializeApp();
+
+const RESEND_API_KEY = defineSecret("RESEND_API_KEY");
+const FROM_EMAIL = "PAWS <noreply@myplantapp.site>";
+
+const codeRef = (email) => admin.database().ref(`Otp/Codes/${toKey(email)}`);
+
+// Logs carry a short hash of the address instead of the address itself, enough
+// to match the lines of one request without putting emails in Cloud Logging
+const emailTag = (email) => crypto.createHash("sha256").update(toKey(email)).digest("hex").slice(0, 16);
+
+const readArgs = (data, { withCode = false } = {}) => {
+  const email = normalizeEmail(data?.email);
+  if (!email) {
+    throw new HttpsError("invalid-argument", "Please enter a valid email address.");
+  }
+  const purpose = data?.purpose;
+  if (!PURPOSES.includes(purpose)) {
+    throw new HttpsError("invalid-argument", "Unknown sign-in request.");
+  }
+  if (withCode && (typeof data?.code !== "string" || !/^\d+$/.test(data.code))) {
+    throw new HttpsError("invalid-argument", "Enter the code from the email.");
+  }
+  return { email, purpose, code: data?.code };
+};
+
+const findUser = async (email) => {
+  try {
+    return await admin.auth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code === "auth/user-not-found") return null;
+    throw error;
+  }
+};
+
+// Register needs a new address, login an existing one
+const checkAccount = (user, purpose) => {
+  if (purpose === "register" && user) {
+    throw new HttpsError("already-exists", "An account with this email already exists.");
+  }
+  if (purpose === "login" && !user) {
+    throw new HttpsError("not-found", "No account found with this email. Please register first.");
+  }
+  if (user?.disabled) {
+    throw new HttpsError("permission-denied", "This account has been disabled.");
+  }
+};
+
+const buildCodeEmail = (code, purpose) => ({
+  subject: `Your PAWS Verification Code - ${purpose === "register" ? "Account Registration" : "Login"}`,
+  text: `Your PAWS verification code is ${code}. It expires in ${CODE_TTL_MS / 60000} minutes.`,
+  html: `
+    <div style="font-family: Arial, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #2E7D32; text-align: center;">🌱 PAWS Plant System</h2>
+      <div style="background: #f8f9fa; padding: 20px; border-radius: 10px; text-align: center; margin: 20px 0;">
+        <h3 style="color: #2E7D32; margin: 0 0 15px 0;">Your Verification Code</h3>
+        <div style="background: white; padding: 15px; margin: 15px 0; border-radius: 8px; border: 2px dashed #4CAF50;">
+          <h1 style="margin: 0; color: #2E7D32; letter-spacing: 8px; font-size: 32px; font-family: monospace;">${code}</h1>
+        </div>
+        <p style="color: #666; margin: 10px 0;">
+          Use this code to <strong>${purpose === "register" ? "create your account" : "login to your account"}</strong>
+        </p>
+        <p style="color: #FF9800; font-size: 12px; margin: 10px 0 0 0;">
+          ⚠️ This code expires in ${CODE_TTL_MS / 60000} minutes
+        </p>
+      </div>
+      <p style="color: #999; font-size: 12px; text-align: center;">
+        If you didn't request this code, please ignore this email.
+      </p>
+    </div>
+  `
+});
+
+const sendCodeEmail = (email, code, purpose) =>
+  getTransport({ secrets: { resendApiKey: RESEND_API_KEY }, from: FROM_EMAIL }).send({
+    to: email,
+    ...buildCodeEmail(code, purpose)
+  });
+
+exports.requestOtp = onCall({ secrets: [RESEND_API_KEY] }, async (request) => {
+  const { email, purpose } = readArgs(request.data);
+  checkAccount(await findUser(email), purpose);
+
+  const now = Date.now();
+  const ip = request.rawRequest?.ip;
+  if (ip) {
+    const { committed } = await admin
+      .database()
+      .ref(`Otp/IpQuota/${toKey(ip)}`)
+      .transaction((quota) => takeSendSlot(quota, MAX_SENDS_PER_IP, now) || undefined);
+    if (!committed) {
+      throw new HttpsError("resource-exhausted", "Too many codes requested. Please try again in an hour.");
+    }
+  }
+
+  const code = generateCode();
+  let rejection = null;
+  await codeRef(email).transaction((record) => {
+    const result = issueCode(record, purpose, code, now);
+    rejection = result.error || null;
+    // Writing the record back unchanged keeps the transaction retrying until it saw the server copy
+    return result.error ? record : result.record;
+  });
+  if (rejection) {
+    throw new HttpsError("resource-exhausted", rejection);
+  }
+
+  let delivery;
+  try {
+    delivery = await sendCodeEmail(email, code, purpose);
+  } catch (error) {
+    logger.error("Sending code email failed", { emailTag: emailTag(email), transport: error.transport, status: error.status, error: error.message });
+    // Nothing went out, so drop the code and the cooldown; the send still counts toward the hourly limit
+    await codeRef(email).update({ codeHash: null, salt: null, expiresAt: null, lastSentAt: null });
+    const retryable = !(error instanceof MailDeliveryError) || error.retryable;
+    throw new HttpsError(
+      "unavailable",
+      retryable
+        ? "We couldn't send the email right now. Please try again."
+        : "We couldn't send an email to this address. Check it and try again, or contact support.",
+      { reason: "delivery-failed", retryable }
+    );
+  }
+
+  logger.info("Code sent", { emailTag: emailTag(email), purpose, messageId: delivery?.id });
+  return { sent: true, expiresAt: now + CODE_TTL_MS };
+});
+
+const VERIFY_ERRORS = {
+  missing: ["not-found", "No code found. Please request a new one."],
+  expired: ["deadline-exceeded", "This code has expired. Please request a new one."],
+  locked: ["resource-exhausted", "Too many wrong codes. Please request a new one."],
+  purpose: ["failed-precondition", "This code was sent for a different request. Please request a new one."],
+  wrong: ["invalid-argument", "Invalid code. Please try again."]
+};
+
+exports.verifyOtp = onCall(async (request) => {
+  const { email, purpose, code } = readArgs(request.data, { withCode: true });
+
+  const now = Date.now();
+  let outcome = "missing";
+  await codeRef(email).transaction((record) => {
+    const result = checkCode(record, code, purpose, now);
+    outcome = result.outcome;
+    return result.record;
+  });
+
+  if (outcome !== "ok") {
+    const [status, message] = VERIFY_ERRORS[outcome];
+    throw new HttpsError(status, message);
+  }
+
+  let user = await findUser(email);
+  checkAccount(user, purpose);
+  if (!user) {
+    user = await admin.auth().createUser({ email, emailVerified: true });
+    logger.info("Account created", { uid: user.uid });
+  } else if (!user.emailVerified) {
+    await admin.auth().updateUser(user.uid, { emailVerified: true });
+  }
+
+  const token = await admin.auth().createCustomToken(user.uid);
+  return { token, created: purpose === "register" };
+});
@@ -0,0 +1,32 @@
+// mail/dev.js - Local development transport
+//
+// Logs each message and stores it under DevOutbox/<pushId> in the database
+// emulator ({ to, subject, text, html, sentAt }), so a tester or an emulator
+// test can read the code without a real inbox. Set MAIL_DEV_FAIL=true to make
+// every send fail and try the app's delivery error handling.
+
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+const { MailDeliveryError } = require("./errors");
+
+const createDevTransport = () => ({
+  name: "dev",
+
+  async send({ to, subject, html, text }) {
+    if (process.env.MAIL_DEV_FAIL === "true") {
+      throw new MailDeliveryError("MAIL_DEV_FAIL is set", { transport: "dev" });
+    }
+
+    const ref = await admin.database().ref("DevOutbox").push({
+      to,
+      subject,
+      text: text || null,
+      html: html || null,
+      sentAt: Date.now()
+    });
+    logger.info(`[dev mail] to ${to}: ${subject}\n${text || html}`);
+    return { id: ref.key };
+  }
+});
+
+module.exports = { createDevTransport };
@@ -0,0 +1,15 @@
+// mail/errors.js
+
+// The provider refused the message or couldn't be reached. `retryable` is false
+// for problems a retry won't fix (bad address, bad API key).
+class MailDeliveryError extends Error {
+  constructor(message, { transport, status = null, retryable = true } = {}) {
+    super(message);
+    this.name = "MailDeliveryError";
+    this.transport = transport;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+module.exports = { MailDeliveryError };
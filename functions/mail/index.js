@@ -0,0 +1,34 @@
+// mail/index.js - Pluggable outgoing mail
+//
+// A transport is { name, send({ to, subject, html, text }) }. send resolves once
+// the provider accepted the message and rejects with MailDeliveryError when it
+// didn't, so callers can tell the user instead of pretending it went out.
+//
+// MAIL_TRANSPORT picks one (functions/.env or .env.local):
+//   resend   Resend HTTP API, key in the RESEND_API_KEY secret (default when deployed)
+//   dev      nothing leaves the machine; see dev.js (default in the emulator, refused elsewhere)
+
+const { MailDeliveryError } = require("./errors");
+const { createResendTransport } = require("./resend");
+const { createDevTransport } = require("./dev");
+
+const isEmulator = () => process.env.FUNCTIONS_EMULATOR === "true";
+
+// secrets: { resendApiKey } - a defineSecret param, read lazily so the dev transport never touches it
+const getTransport = ({ secrets = {}, from } = {}) => {
+  const name = process.env.MAIL_TRANSPORT || (isEmulator() ? "dev" : "resend");
+
+  switch (name) {
+    case "resend":
+      return createResendTransport({ apiKey: () => secrets.resendApiKey?.value(), from });
+    case "dev":
+      if (!isEmulator()) {
+        throw new Error("The dev mail transport only runs in the Firebase emulator");
+      }
+      return createDevTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+};
+
+module.exports = { getTransport, MailDeliveryError };
@@ -0,0 +1,47 @@
+// mail/resend.js - Sends through the Resend HTTP API (https://resend.com/docs/api-reference)
+
+const { MailDeliveryError } = require("./errors");
+
+const RESEND_URL = "https://api.resend.com/emails";
+
+// apiKey is a function so the secret is only read when something is sent
+const createResendTransport = ({ apiKey, from }) => ({
+  name: "resend",
+
+  async send({ to, subject, html, text }) {
+    const key = apiKey();
+    if (!key) {
+      throw new MailDeliveryError("RESEND_API_KEY is not set", { transport: "resend", retryable: false });
+    }
+
+    let response;
+    try {
+      response = await fetch(RESEND_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${key}`
+        },
+        body: JSON.stringify({ from, to: [to], subject, html, text })
+      });
+    } catch (error) {
+      throw new MailDeliveryError(`Resend unreachable: ${error.message}`, { transport: "resend" });
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => "");
+      // 4xx other than rate limiting means the request itself is wrong
+      const retryable = response.status === 429 || response.status >= 500;
+      throw new MailDeliveryError(`Resend responded ${response.status}: ${body}`, {
+        transport: "resend",
+        status: response.status,
+        retryable
+      });
+    }
+
+    const { id } = await response.json().catch(() => ({}));
+    return { id: id || null };
+  }
+});
+
+module.exports = { createResendTransport };
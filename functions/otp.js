@@ -0,0 +1,122 @@
+// otp.js - One-time sign-in codes
+//
+// Codes are issued and checked only here; the app never sees one except in the
+// email. Each address has one record at Otp/Codes/<emailKey>:
+//   codeHash, salt    sha256 of the current code, salted per code
+//   purpose           "login" or "register" - a code only works for what it was sent for
+//   expiresAt         epoch ms
+//   attempts          wrong guesses against the current code
+//   lastSentAt        epoch ms, for the resend cooldown
+//   windowStart       epoch ms, start of the hourly send window
+//   sendCount         emails sent in that window
+// Sends are also counted per caller IP under Otp/IpQuota/<ipKey> so one phone
+// can't spray codes at many addresses.
+
+const crypto = require("crypto");
+
+const CODE_LENGTH = 6;
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_VERIFY_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+const MAX_SENDS_PER_EMAIL = 5;
+const MAX_SENDS_PER_IP = 20;
+
+const PURPOSES = ["login", "register"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Lower-cased, trimmed address, or null when it doesn't look like one
+const normalizeEmail = (email) => {
+  if (typeof email !== "string") return null;
+  const normalized = email.trim().toLowerCase();
+  return EMAIL_PATTERN.test(normalized) && normalized.length <= 254 ? normalized : null;
+};
+
+// Database key for an email or a caller IP: the characters keys can't hold
+// (. # $ [ ] /) and the colons in IPv6 addresses become "_". Only used for the
+// Otp paths - the app's EmailToUIDMapping keys keep "/" and ":".
+const toKey = (value) => value.replace(/[.#$[\]/:]/g, "_");
+
+const generateCode = () => crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, "0");
+
+const hashCode = (code, salt) => crypto.createHash("sha256").update(`${salt}:${code}`).digest("hex");
+
+const codeMatches = (code, record) => {
+  if (typeof code !== "string" || !record?.codeHash || !record.salt) return false;
+  const expected = Buffer.from(record.codeHash, "hex");
+  const actual = Buffer.from(hashCode(code, record.salt), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Counts one send against a { windowStart, sendCount } quota. Returns the updated
+// quota, or null when the window is already full.
+const takeSendSlot = (quota, limit, now) => {
+  const windowOpen = quota?.windowStart && now - quota.windowStart < SEND_WINDOW_MS;
+  const sendCount = windowOpen ? quota.sendCount || 0 : 0;
+  if (sendCount >= limit) return null;
+  return {
+    windowStart: windowOpen ? quota.windowStart : now,
+    sendCount: sendCount + 1
+  };
+};
+
+// The record with a fresh code in it, or { error } when the address is rate limited
+const issueCode = (record, purpose, code, now) => {
+  if (record?.lastSentAt && now - record.lastSentAt < RESEND_COOLDOWN_MS) {
+    const seconds = Math.ceil((RESEND_COOLDOWN_MS - (now - record.lastSentAt)) / 1000);
+    return { error: `Please wait ${seconds} seconds before requesting another code.` };
+  }
+
+  const quota = takeSendSlot(record, MAX_SENDS_PER_EMAIL, now);
+  if (!quota) {
+    return { error: "Too many codes requested for this email. Please try again in an hour." };
+  }
+
+  const salt = crypto.randomBytes(16).toString("hex");
+  return {
+    record: {
+      ...quota,
+      codeHash: hashCode(code, salt),
+      salt,
+      purpose,
+      expiresAt: now + CODE_TTL_MS,
+      attempts: 0,
+      lastSentAt: now
+    }
+  };
+};
+
+// Checks `code` against the record. Returns the record to store back and the outcome:
+// "ok", "missing", "expired", "locked", "purpose" or "wrong".
+const checkCode = (record, code, purpose, now) => {
+  if (!record?.codeHash) return { record, outcome: "missing" };
+
+  const { codeHash, salt, expiresAt, attempts = 0, ...quota } = record;
+  if (now > expiresAt) return { record: quota, outcome: "expired" };
+  if (attempts >= MAX_VERIFY_ATTEMPTS) return { record: quota, outcome: "locked" };
+  if (record.purpose !== purpose) return { record, outcome: "purpose" };
+
+  if (!codeMatches(code, record)) {
+    const nextAttempts = attempts + 1;
+    // The last wrong guess burns the code
+    if (nextAttempts >= MAX_VERIFY_ATTEMPTS) return { record: quota, outcome: "locked" };
+    return { record: { ...record, attempts: nextAttempts }, outcome: "wrong" };
+  }
+
+  return { record: quota, outcome: "ok" };
+};
+
+module.exports = {
+  CODE_LENGTH,
+  CODE_TTL_MS,
+  MAX_VERIFY_ATTEMPTS,
+  MAX_SENDS_PER_IP,
+  PURPOSES,
+  normalizeEmail,
+  toKey,
+  generateCode,
+  takeSendSlot,
+  issueCode,
+  checkCode
+};
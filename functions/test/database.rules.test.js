@@ -0,0 +1,206 @@
+// database.rules.test.js - Realtime Database rules against the emulator
+//
+// Run from functions/: `npm run test:rules` (starts the database emulator under
+// the demo-paws project, so nothing here can reach a real database).
+
+const { describe, it, before, beforeEach, after } = require("node:test");
+const fs = require("fs");
+const path = require("path");
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds
+} = require("@firebase/rules-unit-testing");
+
+const PROJECT_ID = "demo-paws";
+const CONTROLLER = "PAWS-1001";
+const OTHER_CONTROLLER = "PAWS-2002";
+
+const ALICE = { uid: "alice", token: { email: "alice@example.com", email_verified: true } };
+const BOB = { uid: "bob", token: { email: "bob@example.com", email_verified: true } };
+
+let testEnv;
+
+const as = ({ uid, token }) => testEnv.authenticatedContext(uid, token).database();
+const anonymous = () => testEnv.unauthenticatedContext().database();
+
+const pumpCommand = (command = "ON") => ({
+  command,
+  commandId: "cmd-1",
+  durationSec: 30,
+  timestamp: new Date().toISOString(),
+  sensorId: 1
+});
+
+// Alice owns CONTROLLER; OTHER_CONTROLLER is unpaired and showing code ABC123.
+// Controllers use the database secret, which skips the rules, so they have no
+// identity here - only what app users may do is tested.
+const seed = () =>
+  testEnv.withSecurityRulesDisabled((context) =>
+    context.database().ref().set({
+      Devices: {
+        [CONTROLLER]: {
+          owner: ALICE.uid,
+          pairedAt: "2026-01-01T00:00:00.000Z",
+          Sensor1: 512,
+          PumpState1: "OFF",
+          AutoMode: { Sensor1: { enabled: false } }
+        },
+        [OTHER_CONTROLLER]: {
+          Sensor1: 300
+        }
+      },
+      Pairing: {
+        ABC123: { deviceId: OTHER_CONTROLLER, createdAt: 1767225600000 }
+      },
+      Users: {
+        [ALICE.uid]: { devices: { device1: { controllerId: CONTROLLER, name: "Balcony" } } },
+        [BOB.uid]: { devices: {} }
+      },
+      Schedules: {
+        [ALICE.uid]: { device1: { Sensor1: { enabled: true } } }
+      },
+      Otp: {
+        Codes: { "alice@example_com": { codeHash: "x", salt: "y" } }
+      }
+    })
+  );
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    database: {
+      rules: fs.readFileSync(path.join(__dirname, "..", "..", "database.rules.json"), "utf8")
+    }
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearDatabase();
+  await seed();
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+describe("pump commands", () => {
+  it("lets the owner start their own pump", async () => {
+    await assertSucceeds(as(ALICE).ref(`Devices/${CONTROLLER}/PumpControl/Sensor1`).set(pumpCommand()));
+  });
+
+  it("stops another user from starting someone else's pump", async () => {
+    await assertFails(as(BOB).ref(`Devices/${CONTROLLER}/PumpControl/Sensor1`).set(pumpCommand()));
+    await assertFails(as(BOB).ref().update({ [`Devices/${CONTROLLER}/PumpControl/Sensor1/command`]: "ON" }));
+  });
+
+  it("stops another user from turning on auto mode for someone else's pump", async () => {
+    await assertFails(as(BOB).ref(`Devices/${CONTROLLER}/AutoMode/Sensor1/enabled`).set(true));
+  });
+
+  it("stops signed-out callers from starting any pump", async () => {
+    await assertFails(anonymous().ref(`Devices/${CONTROLLER}/PumpControl/Sensor1`).set(pumpCommand()));
+  });
+
+  it("stops anyone from starting a pump on an unpaired controller", async () => {
+    await assertFails(as(BOB).ref(`Devices/${OTHER_CONTROLLER}/PumpControl/Sensor1`).set(pumpCommand()));
+  });
+
+  it("rejects unknown commands and out-of-range durations", async () => {
+    const pumpRef = as(ALICE).ref(`Devices/${CONTROLLER}/PumpControl/Sensor1`);
+    await assertFails(pumpRef.set(pumpCommand("FLOOD")));
+    await assertFails(pumpRef.set({ ...pumpCommand(), durationSec: 3600 }));
+  });
+});
+
+describe("controller data", () => {
+  it("is readable by the owner only", async () => {
+    await assertSucceeds(as(ALICE).ref(`Devices/${CONTROLLER}/Sensor1`).once("value"));
+    await assertFails(as(BOB).ref(`Devices/${CONTROLLER}/Sensor1`).once("value"));
+    await assertFails(as(BOB).ref("Devices").once("value"));
+  });
+
+  it("keeps telemetry out of every user's reach, the owner's included", async () => {
+    await assertFails(as(ALICE).ref(`Devices/${CONTROLLER}/Sensor1`).set(0));
+    await assertFails(as(ALICE).ref(`Devices/${CONTROLLER}/PumpState1`).set("ON"));
+    await assertFails(as(ALICE).ref(`Devices/${CONTROLLER}/History/Sensor1`).push({ value: 0, timestamp: 1 }));
+    await assertFails(as(ALICE).ref(`Devices/${CONTROLLER}/WateringLog/Sensor1`).push({ source: "auto", startedAt: 1 }));
+    await assertFails(as(BOB).ref(`Devices/${OTHER_CONTROLLER}/Sensor1`).set(310));
+  });
+
+  it("keeps schedules and config to the owner", async () => {
+    await assertSucceeds(as(ALICE).ref(`Devices/${CONTROLLER}/Schedules/Sensor1/enabled`).set(true));
+    await assertFails(as(BOB).ref(`Devices/${CONTROLLER}/Schedules/Sensor1/enabled`).set(true));
+    await assertFails(as(BOB).ref(`Devices/${CONTROLLER}/Config/timezone`).set("UTC"));
+  });
+});
+
+describe("pairing", () => {
+  const claim = (user, controllerId, code) => ({
+    [`Devices/${controllerId}/owner`]: user.uid,
+    [`Devices/${controllerId}/claimCode`]: code,
+    [`Devices/${controllerId}/pairedAt`]: new Date().toISOString(),
+    [`Pairing/${code}`]: null
+  });
+
+  it("lets a user claim a controller with its pairing code", async () => {
+    await assertSucceeds(as(BOB).ref().update(claim(BOB, OTHER_CONTROLLER, "ABC123")));
+  });
+
+  it("refuses a claim without the controller's code", async () => {
+    await assertFails(as(BOB).ref(`Devices/${OTHER_CONTROLLER}/owner`).set(BOB.uid));
+  });
+
+  it("refuses a code published by a different controller", async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      context.database().ref(`Devices/${CONTROLLER}/owner`).remove()
+    );
+    await assertFails(as(BOB).ref().update(claim(BOB, CONTROLLER, "ABC123")));
+  });
+
+  it("refuses to take over a controller that is already paired", async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      context.database().ref("Pairing/XYZ789").set({ deviceId: CONTROLLER, createdAt: 1767225600000 })
+    );
+    await assertFails(as(BOB).ref().update(claim(BOB, CONTROLLER, "XYZ789")));
+    await assertFails(as(BOB).ref(`Devices/${CONTROLLER}/owner`).remove());
+  });
+
+  it("lets the owner release their controller", async () => {
+    await assertSucceeds(
+      as(ALICE).ref().update({
+        [`Devices/${CONTROLLER}/owner`]: null,
+        [`Devices/${CONTROLLER}/claimCode`]: null,
+        [`Devices/${CONTROLLER}/pairedAt`]: null
+      })
+    );
+  });
+
+  it("stops users from publishing or withdrawing codes", async () => {
+    await assertFails(as(BOB).ref("Pairing/QWE456").set({ deviceId: OTHER_CONTROLLER, createdAt: 1 }));
+    await assertFails(as(BOB).ref("Pairing/ABC123").remove());
+    await assertFails(as(BOB).ref("Pairing").once("value"));
+  });
+});
+
+describe("user data", () => {
+  it("keeps Users and Schedules private to their owner", async () => {
+    await assertSucceeds(as(ALICE).ref(`Users/${ALICE.uid}/devices`).once("value"));
+    await assertFails(as(BOB).ref(`Users/${ALICE.uid}/devices`).once("value"));
+    await assertFails(as(BOB).ref(`Users/${ALICE.uid}/plants/device1/0`).set({ name: "Fern" }));
+    await assertFails(as(BOB).ref(`Schedules/${ALICE.uid}`).once("value"));
+    await assertFails(as(BOB).ref(`Schedules/${ALICE.uid}/device1/Sensor1/enabled`).set(false));
+  });
+
+  it("limits account backups to the matching email", async () => {
+    const backup = { email: "alice@example.com", originalUid: ALICE.uid, deletedAt: 1 };
+    await assertSucceeds(as(ALICE).ref("EmailToUIDMapping/alice@example_com").set(backup));
+    await assertFails(as(BOB).ref("EmailToUIDMapping/alice@example_com").once("value"));
+    await assertFails(as(BOB).ref("EmailToUIDMapping/alice@example_com").set({ ...backup, originalUid: BOB.uid }));
+  });
+
+  it("hides one-time codes from every client", async () => {
+    await assertFails(as(ALICE).ref("Otp/Codes/alice@example_com").once("value"));
+    await assertFails(as(ALICE).ref("Otp/Codes/alice@example_com").remove());
+  });
+});
@@ -0,0 +1,138 @@
+// otp.test.js - Issuing and checking one-time codes (no emulator needed)
+//
+// Run from functions/: `npm test`
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  CODE_LENGTH,
+  CODE_TTL_MS,
+  MAX_VERIFY_ATTEMPTS,
+  normalizeEmail,
+  toKey,
+  generateCode,
+  takeSendSlot,
+  issueCode,
+  checkCode
+} = require("../otp");
+
+const NOW = 1767225600000;
+const CODE = "123456";
+
+const issued = (purpose = "login", code = CODE, now = NOW) => issueCode(null, purpose, code, now).record;
+
+describe("issueCode", () => {
+  it("stores a salted hash of the code, never the code itself", () => {
+    const record = issued();
+    assert.equal(record.purpose, "login");
+    assert.equal(record.expiresAt, NOW + CODE_TTL_MS);
+    assert.equal(record.attempts, 0);
+    assert.ok(!Object.values(record).includes(CODE));
+    assert.notEqual(issued().codeHash, record.codeHash, "each code gets its own salt");
+  });
+
+  it("makes the caller wait before another code", () => {
+    const { error } = issueCode(issued(), "login", "654321", NOW + 30 * 1000);
+    assert.match(error, /wait 30 seconds/);
+  });
+
+  it("limits sends per address per hour", () => {
+    let record = null;
+    for (let send = 0; send < 5; send++) {
+      record = issueCode(record, "login", CODE, NOW + send * 2 * 60 * 1000).record;
+      assert.ok(record);
+    }
+    assert.match(issueCode(record, "login", CODE, NOW + 10 * 60 * 1000).error, /Too many codes/);
+    assert.ok(issueCode(record, "login", CODE, NOW + 61 * 60 * 1000).record, "a new hour opens a new window");
+  });
+});
+
+describe("checkCode", () => {
+  it("accepts the right code once and removes it", () => {
+    const { record, outcome } = checkCode(issued(), CODE, "login", NOW + 1000);
+    assert.equal(outcome, "ok");
+    assert.equal(record.codeHash, undefined);
+    assert.equal(record.salt, undefined);
+    assert.equal(record.expiresAt, undefined);
+    assert.equal(record.sendCount, 1, "the send quota survives the code");
+    assert.equal(checkCode(record, CODE, "login", NOW + 2000).outcome, "missing");
+  });
+
+  it("rejects a wrong code and counts the attempt", () => {
+    const { record, outcome } = checkCode(issued(), "000000", "login", NOW + 1000);
+    assert.equal(outcome, "wrong");
+    assert.equal(record.attempts, 1);
+    assert.ok(record.codeHash, "the code stays usable");
+  });
+
+  it("only compares codes given as strings", () => {
+    assert.equal(checkCode(issued(), 123456, "login", NOW + 1000).outcome, "wrong");
+  });
+
+  it("burns the code on the last allowed wrong guess", () => {
+    let record = issued();
+    for (let attempt = 1; attempt < MAX_VERIFY_ATTEMPTS; attempt++) {
+      ({ record } = checkCode(record, "000000", "login", NOW + 1000));
+    }
+    const result = checkCode(record, "000000", "login", NOW + 1000);
+    assert.equal(result.outcome, "locked");
+    assert.equal(result.record.codeHash, undefined);
+    assert.equal(checkCode(result.record, CODE, "login", NOW + 1000).outcome, "missing");
+  });
+
+  it("refuses a record that is already out of attempts", () => {
+    const record = { ...issued(), attempts: MAX_VERIFY_ATTEMPTS };
+    const result = checkCode(record, CODE, "login", NOW + 1000);
+    assert.equal(result.outcome, "locked");
+    assert.equal(result.record.codeHash, undefined);
+  });
+
+  it("expires codes after the TTL and removes them", () => {
+    assert.equal(checkCode(issued(), CODE, "login", NOW + CODE_TTL_MS).outcome, "ok");
+    const result = checkCode(issued(), CODE, "login", NOW + CODE_TTL_MS + 1);
+    assert.equal(result.outcome, "expired");
+    assert.equal(result.record.codeHash, undefined);
+  });
+
+  it("only accepts a code for the purpose it was sent for", () => {
+    const record = issued("register");
+    const result = checkCode(record, CODE, "login", NOW + 1000);
+    assert.equal(result.outcome, "purpose");
+    assert.deepEqual(result.record, record);
+  });
+
+  it("reports a missing code", () => {
+    assert.equal(checkCode(null, CODE, "login", NOW).outcome, "missing");
+  });
+});
+
+describe("takeSendSlot", () => {
+  it("counts sends within the hour and refuses past the limit", () => {
+    const first = takeSendSlot(null, 2, NOW);
+    assert.deepEqual(first, { windowStart: NOW, sendCount: 1 });
+    const second = takeSendSlot(first, 2, NOW + 1000);
+    assert.deepEqual(second, { windowStart: NOW, sendCount: 2 });
+    assert.equal(takeSendSlot(second, 2, NOW + 2000), null);
+    assert.deepEqual(takeSendSlot(second, 2, NOW + 60 * 60 * 1000), { windowStart: NOW + 60 * 60 * 1000, sendCount: 1 });
+  });
+});
+
+describe("helpers", () => {
+  it("generates zero-padded numeric codes", () => {
+    for (let i = 0; i < 20; i++) {
+      assert.match(generateCode(), new RegExp(`^\\d{${CODE_LENGTH}}$`));
+    }
+  });
+
+  it("normalizes email addresses", () => {
+    assert.equal(normalizeEmail("  Alice@Example.COM "), "alice@example.com");
+    assert.equal(normalizeEmail("not-an-email"), null);
+    assert.equal(normalizeEmail(undefined), null);
+  });
+
+  it("turns emails and IPs into database keys", () => {
+    assert.equal(toKey("alice@example.com"), "alice@example_com");
+    assert.equal(toKey("2001:db8::1"), "2001_db8__1");
+    assert.equal(toKey("a#b$c[d]e/f"), "a_b_c_d_e_f");
+  });
+});